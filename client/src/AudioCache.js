@@ -0,0 +1,92 @@
+// AudioCache.js
+
+/**
+ * Decoded AudioBuffer cache for library items.
+ *
+ * Buffers are fetched and decoded on first use (placement or preview), concurrent requests
+ * for the same id share one decode, and once the decoded size passes budgetBytes the least
+ * recently used buffers are dropped — except pinned ids (items that are placed on the grid),
+ * which stay until they are unpinned. onEvict(id) lets the UI reset the item's load state.
+ */
+
+export const DEFAULT_CACHE_BUDGET = 96 * 1024 * 1024; // bytes of decoded float samples
+
+export function bufferBytes(buffer) {
+  return buffer ? buffer.length * buffer.numberOfChannels * 4 : 0;
+}
+
+export function createAudioCache({ decode, budgetBytes = DEFAULT_CACHE_BUDGET, onEvict = () => {} }) {
+  const entries = new Map(); // id -> buffer, in least- to most-recently used order
+  const pending = new Map(); // id -> Promise<AudioBuffer>
+  let pinned = new Set();
+  let total = 0;
+
+  function touch(id, buffer) {
+    entries.delete(id);
+    entries.set(id, buffer);
+  }
+
+  function evict() {
+    for (const [id, buffer] of entries) {
+      if (total <= budgetBytes) break;
+      if (pinned.has(id)) continue;
+      entries.delete(id);
+      total -= bufferBytes(buffer);
+      onEvict(id);
+    }
+  }
+
+  function get(id) {
+    const buffer = entries.get(id);
+    if (!buffer) return null;
+    touch(id, buffer);
+    return buffer;
+  }
+
+  function set(id, buffer) {
+    const prev = entries.get(id);
+    if (prev) total -= bufferBytes(prev);
+    touch(id, buffer);
+    total += bufferBytes(buffer);
+    evict();
+  }
+
+  // resolves with the decoded buffer; rejects if fetching or decoding fails
+  function load(id, src) {
+    const cached = get(id);
+    if (cached) return Promise.resolve(cached);
+    if (pending.has(id)) return pending.get(id);
+    const promise = decode(src)
+      .then((buffer) => {
+        set(id, buffer);
+        return buffer;
+      })
+      .finally(() => pending.delete(id));
+    pending.set(id, promise);
+    return promise;
+  }
+
+  function remove(id) {
+    const buffer = entries.get(id);
+    if (!buffer) return;
+    entries.delete(id);
+    total -= bufferBytes(buffer);
+  }
+
+  // ids that must not be evicted (e.g. library items referenced by placements)
+  function setPinned(ids) {
+    pinned = new Set(ids);
+    evict();
+  }
+
+  return {
+    get,
+    set,
+    load,
+    remove,
+    setPinned,
+    has: (id) => entries.has(id),
+    isLoading: (id) => pending.has(id),
+    getUsage: () => ({ bytes: total, budget: budgetBytes, items: entries.size }),
+  };
+}
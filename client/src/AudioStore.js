@@ -0,0 +1,100 @@
+// AudioStore.js
+
+/**
+ * IndexedDB storage for uploaded audio. Blobs are keyed by library id in one object store;
+ * the grids keep only library metadata ({ id, name, type, size, ... }) in localStorage.
+ *
+ * Every call returns a Promise and rejects with the underlying DOMException, so callers can
+ * tell quota failures (isQuotaError) apart from other storage errors and report them.
+ */
+
+const DB_NAME = "sound-garden-audio";
+const DB_VERSION = 1;
+const STORE = "blobs";
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      if (!req.result.objectStoreNames.contains(STORE)) req.result.createObjectStore(STORE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // let a later call retry after a failed open
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+async function run(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error || (req && req.error));
+    tx.onabort = () => reject(tx.error || new Error("Storage transaction aborted"));
+  });
+}
+
+export function putAudio(id, blob) {
+  return run("readwrite", (store) => store.put(blob, id));
+}
+
+// resolves with the Blob, or null if nothing is stored under id
+export async function getAudio(id) {
+  const blob = await run("readonly", (store) => store.get(id));
+  return blob || null;
+}
+
+export function deleteAudio(id) {
+  return run("readwrite", (store) => store.delete(id));
+}
+
+export function listAudioIds() {
+  return run("readonly", (store) => store.getAllKeys());
+}
+
+// { usage, quota } in bytes for this origin, or null when the browser cannot tell
+export async function estimateStorage() {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch {
+    return null;
+  }
+}
+
+export function isQuotaError(e) {
+  return !!e && (e.name === "QuotaExceededError" || e.name === "NS_ERROR_DOM_QUOTA_REACHED" || e.code === 22);
+}
+
+export function dataUrlToBlob(dataUrl) {
+  return fetch(dataUrl).then((res) => res.blob());
+}
+
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
@@ -0,0 +1,176 @@
+// Bounce.js
+
+/**
+ * Offline bounce of a soundscape walk to a WAV file.
+ *
+ * A walk is a cursor path [{ t, x, y }] (t in seconds from the start), either recorded
+ * live from cursor moves or derived from a drawn region path (regionToPath). renderWalk
+ * builds a SoundEngine on an OfflineAudioContext with the same placements, walls, zones
+ * and spatial settings as the live grid, then suspends rendering at each path step to
+ * move the listener, so the exported mix uses exactly the live gain/pan logic.
+ */
+
+import { createSoundEngine } from "./SoundEngine";
+
+export const BOUNCE_SAMPLE_RATE = 44100;
+const RENDER_QUANTUM = 128; // OfflineAudioContext.suspend() is quantized to render quanta
+
+// walk a drawn path at a fixed speed (cells per second), starting at t = 0
+export function regionToPath(cells, cellsPerSecond = 2) {
+  const step = 1 / Math.max(0.1, cellsPerSecond);
+  return cells.map((c, i) => ({ t: i * step, x: c.x, y: c.y }));
+}
+
+// rebase a recorded walk so it starts at t = 0 and drop consecutive duplicate cells
+export function normalizePath(path) {
+  if (path.length === 0) return [];
+  const t0 = path[0].t;
+  return path.reduce((out, p) => {
+    const last = out[out.length - 1];
+    if (last && last.x === p.x && last.y === p.y) return out;
+    out.push({ t: Math.max(0, p.t - t0), x: p.x, y: p.y });
+    return out;
+  }, []);
+}
+
+export function pathDuration(path) {
+  return path.length ? path[path.length - 1].t : 0;
+}
+
+// map each path step to a suspend time, keeping the last step that lands in a given quantum
+function suspendPoints(path, sampleRate, duration) {
+  const quantum = RENDER_QUANTUM / sampleRate;
+  const points = new Map();
+  path.slice(1).forEach((p) => {
+    const time = Math.round(p.t / quantum) * quantum;
+    if (time > 0 && time < duration) points.set(time, p);
+  });
+  return points;
+}
+
+/**
+ * Load the recordings a walk needs before rendering it. Resolves with { render, skipped, getSource }.
+ *
+ * - load(item): the live grid's buffer cache; resolves with the item's AudioBuffer, or null if it cannot be decoded
+ * - confirmed: the user already chose to export without the recordings that failed
+ * - skipped: labels of the placements whose recording is missing; render stays false while there are any, unless confirmed
+ * - getSource: for renderWalk, reading only the buffers loaded here
+ */
+export async function planBounce({ placements, library, load, confirmed = false }) {
+  const buffers = new Map();
+  await Promise.all([...new Set(placements.map((pl) => pl.libId))].map(async (libId) => {
+    const item = library.find((l) => l.id === libId);
+    buffers.set(libId, item ? await load(item) : null);
+  }));
+  const skipped = placements
+    .filter((pl) => !buffers.get(pl.libId))
+    .map((pl) => `"${library.find((l) => l.id === pl.libId)?.name || "recording"}" at ${pl.cells[0].x + 1}, ${pl.cells[0].y + 1}`);
+  return {
+    render: skipped.length === 0 || confirmed,
+    skipped,
+    getSource: (pl) => {
+      const buffer = buffers.get(pl.libId);
+      return buffer ? { buffer } : null;
+    },
+  };
+}
+
+/**
+ * Render placements heard along a path. Returns the rendered AudioBuffer.
+ *
+ * - getSource(placement): the engine source for a placement ({ buffer } or { freq, wave }), or null to skip it
+ * - engineOptions: passed to createSoundEngine (cols, defaultRadius, spatialization, panMode, ...)
+ * - tail: seconds rendered after the last step so reverb and releases ring out
+ */
+export async function renderWalk({
+  placements,
+  getSource,
+  path,
+  engineOptions = {},
+  walls = [],
+  zones = [],
+  sampleRate = BOUNCE_SAMPLE_RATE,
+  tail = 2,
+  OfflineContext = globalThis.OfflineAudioContext,
+}) {
+  if (!path || path.length === 0) throw new Error("The walk has no cursor positions");
+  if (!OfflineContext) throw new Error("Offline rendering is not supported in this browser");
+
+  const duration = pathDuration(path) + tail;
+  const ctx = new OfflineContext(2, Math.ceil(duration * sampleRate), sampleRate);
+  const points = suspendPoints(path, sampleRate, duration);
+  if (points.size > 0 && typeof ctx.suspend !== "function") {
+    throw new Error("This browser cannot move the listener during offline rendering");
+  }
+
+  const engine = createSoundEngine({ ...engineOptions, context: ctx });
+  engine.setWalls(walls);
+  engine.setReverbZones(zones);
+  engine.setListener(path[0]);
+  placements.forEach((pl) => {
+    const source = getSource(pl);
+    if (source) engine.addPlacement(pl, source);
+  });
+
+  points.forEach((p, time) => {
+    ctx.suspend(time).then(() => {
+      engine.setListener(p);
+      ctx.resume();
+    });
+  });
+
+  try {
+    return await ctx.startRendering();
+  } finally {
+    engine.dispose();
+  }
+}
+
+// 16-bit PCM WAV, channels interleaved
+export function encodeWav(buffer) {
+  const channels = buffer.numberOfChannels;
+  const frames = buffer.length;
+  const bytesPerSample = 2;
+  const dataSize = frames * channels * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  const writeString = (offset, s) => {
+    for (let i = 0; i < s.length; i++) view.setUint8(offset + i, s.charCodeAt(i));
+  };
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * channels * bytesPerSample, true);
+  view.setUint16(32, channels * bytesPerSample, true);
+  view.setUint16(34, 16, true);
+  writeString(36, "data");
+  view.setUint32(40, dataSize, true);
+
+  const data = [];
+  for (let ch = 0; ch < channels; ch++) data.push(buffer.getChannelData(ch));
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let ch = 0; ch < channels; ch++) {
+      const s = Math.max(-1, Math.min(1, data[ch][i]));
+      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+  return new Blob([view], { type: "audio/wav" });
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from "vitest";
+import { planBounce, renderWalk } from "./Bounce";
+import { createAudioCache } from "./AudioCache";
+import { createSoundEngine } from "./SoundEngine";
+
+// the engine records what it was given; the gain/pan logic has its own tests
+vi.mock("./SoundEngine", () => ({
+  createSoundEngine: vi.fn(() => ({
+    added: [],
+    setWalls() {},
+    setReverbZones() {},
+    setListener() {},
+    addPlacement(pl, source) {
+      this.added.push([pl.id, source.buffer.name]);
+    },
+    dispose() {},
+  })),
+}));
+
+const library = [
+  { id: "rain", name: "rain.mp3", type: "public", src: "/rain.mp3" },
+  { id: "broken", name: "broken.wav", type: "upload" },
+  { id: "wind", name: "wind.mp3", type: "public", src: "/wind.mp3" },
+];
+const placements = [
+  { id: "p1", cells: [{ x: 0, y: 0 }], libId: "rain" },
+  { id: "p2", cells: [{ x: 2, y: 1 }], libId: "broken" },
+  { id: "p3", cells: [{ x: 1, y: 3 }], libId: "rain" },
+  { id: "p4", cells: [{ x: 4, y: 4 }], libId: "gone" },
+];
+
+// the grid's buffer cache over a decoder that fails for "broken"; load resolves null on failure
+function stubbedCache() {
+  const decode = vi.fn(async (item) => {
+    if (item.id === "broken") throw new Error("Unable to decode audio data");
+    return { name: item.name, length: 10, numberOfChannels: 1 };
+  });
+  const cache = createAudioCache({ decode });
+  return { decode, load: (item) => cache.load(item.id, item).catch(() => null) };
+}
+
+// an offline context that renders instantly
+class FakeOfflineContext {
+  suspend() {
+    return new Promise(() => {});
+  }
+  startRendering() {
+    return Promise.resolve({ rendered: true });
+  }
+}
+
+describe("planBounce", () => {
+  it("loads each recording once and names the placements it cannot play", async () => {
+    const { decode, load } = stubbedCache();
+    const plan = await planBounce({ placements, library, load });
+    expect(decode.mock.calls.map(([item]) => item.id).sort()).toEqual(["broken", "rain"]);
+    expect(plan.render).toBe(false);
+    expect(plan.skipped).toEqual(['"broken.wav" at 3, 2', '"recording" at 5, 5']);
+    expect(plan.getSource(placements[0]).buffer.name).toBe("rain.mp3");
+    expect(plan.getSource(placements[1])).toBeNull();
+  });
+
+  it("renders straight away when every recording loads", async () => {
+    const plan = await planBounce({ placements: [placements[0], placements[2]], library, load: stubbedCache().load });
+    expect(plan).toMatchObject({ render: true, skipped: [] });
+  });
+
+  it("renders without the missing recordings once the export is confirmed", async () => {
+    const { load } = stubbedCache();
+    const first = await planBounce({ placements, library, load });
+    const second = await planBounce({ placements, library, load, confirmed: first.skipped.length > 0 });
+    expect(second.render).toBe(true);
+    expect(second.skipped).toEqual(first.skipped);
+
+    const rendered = await renderWalk({
+      placements,
+      getSource: second.getSource,
+      path: [{ t: 0, x: 0, y: 0 }, { t: 1, x: 1, y: 0 }],
+      OfflineContext: FakeOfflineContext,
+    });
+    expect(rendered).toEqual({ rendered: true });
+    const engine = createSoundEngine.mock.results.at(-1).value;
+    expect(engine.added).toEqual([
+      ["p1", "rain.mp3"],
+      ["p3", "rain.mp3"],
+    ]);
+  });
+});
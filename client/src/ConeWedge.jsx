@@ -0,0 +1,27 @@
+// --- ConeWedge: small SVG wedge showing a directional placement's facing and cone ---
+
+// point on a circle for a grid bearing (0 = up, clockwise)
+function polar(c, r, deg) {
+  const rad = (deg * Math.PI) / 180;
+  return [c + r * Math.sin(rad), c - r * Math.cos(rad)];
+}
+
+function wedgePath(c, r, direction, angle) {
+  const half = Math.min(angle, 359.9) / 2;
+  const [x0, y0] = polar(c, r, direction - half);
+  const [x1, y1] = polar(c, r, direction + half);
+  const largeArc = half * 2 > 180 ? 1 : 0;
+  return `M ${c} ${c} L ${x0} ${y0} A ${r} ${r} 0 ${largeArc} 1 ${x1} ${y1} Z`;
+}
+
+export default function ConeWedge({ direction = 0, inner = 360, outer, size = 44, className = "" }) {
+  const c = size / 2;
+  const r = c - 1;
+  const outerAngle = Math.max(inner, outer ?? inner);
+  return (
+    <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} className={`absolute pointer-events-none ${className}`} aria-hidden>
+      {outerAngle > inner && <path d={wedgePath(c, r, direction, outerAngle)} fill="rgba(245,158,11,0.15)" />}
+      <path d={wedgePath(c, r, direction, inner)} fill="rgba(245,158,11,0.35)" stroke="rgba(217,119,6,0.8)" strokeWidth={1} />
+    </svg>
+  );
+}
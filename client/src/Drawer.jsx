@@ -2,6 +2,7 @@
 import React, { useEffect, useRef, useState } from "react";
 import { Link } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
+import SceneMenu from "./SceneMenu";
 
 export default function LeftDrawer({ links }) {
   const [open, setOpen] = useState(false);
@@ -10,15 +11,17 @@ export default function LeftDrawer({ links }) {
   // Focus trap
   useEffect(() => {
     if (open && drawerRef.current) {
-      const focusable = drawerRef.current.querySelectorAll(
+      // re-queried on every Tab: the scene forms add and remove fields while open
+      const getFocusable = () => drawerRef.current.querySelectorAll(
         'button, [href], input, select, textarea, [tabindex]'
       );
-      const first = focusable[0];
-      const last = focusable[focusable.length - 1];
-      first.focus();
+      getFocusable()[0].focus();
 
       function handleKey(e) {
-        if (e.key === "Tab") {
+        if (e.key === "Tab" && drawerRef.current) {
+          const focusable = getFocusable();
+          const first = focusable[0];
+          const last = focusable[focusable.length - 1];
           if (e.shiftKey) {
             if (document.activeElement === first) {
               e.preventDefault();
@@ -67,7 +70,7 @@ export default function LeftDrawer({ links }) {
             <motion.aside
               key="drawer"
               ref={drawerRef}
-              className="fixed top-0 left-0 h-full w-64 bg-gray-900 text-white z-50 p-4 border-r border-gray-700"
+              className="fixed top-0 left-0 h-full w-64 overflow-y-auto bg-gray-900 text-white z-50 p-4 border-r border-gray-700"
               initial={{ x: "-100%" }}
               animate={{ x: 0 }}
               exit={{ x: "-100%" }}
@@ -95,6 +98,7 @@ export default function LeftDrawer({ links }) {
                   </Link>
                 ))}
               </nav>
+              <SceneMenu onNavigate={() => setOpen(false)} />
             </motion.aside>
           </>
         )}
@@ -0,0 +1,155 @@
+// Effects.js
+
+/**
+ * Per-placement insert effects. A placement's chain is stored as
+ * params.effects = [{ type, ...settings }] so it persists with the placement and
+ * is rebuilt by the SoundEngine whenever the placement is (re)started.
+ *
+ * Each type declares its default settings and the editable fields the
+ * EffectsChainEditor renders; createEffectNode turns one entry into Web Audio
+ * nodes exposing { input, output, update(settings), disconnect() }.
+ */
+
+export const FILTER_TYPES = ["lowpass", "highpass", "bandpass", "lowshelf", "highshelf", "peaking", "notch"];
+
+export const EFFECT_TYPES = {
+  filter: {
+    label: "Filter / EQ",
+    defaults: { filterType: "lowpass", frequency: 1000, Q: 1, gain: 0 },
+    fields: [
+      { name: "filterType", label: "Type", options: FILTER_TYPES },
+      { name: "frequency", label: "Frequency (Hz)", min: 20, max: 20000, step: 1 },
+      { name: "Q", label: "Q", min: 0.1, max: 20, step: 0.1 },
+      { name: "gain", label: "Gain (dB, shelf/peaking)", min: -24, max: 24, step: 0.5 },
+    ],
+  },
+  delay: {
+    label: "Delay",
+    defaults: { time: 0.25, feedback: 0.3, mix: 0.3 },
+    fields: [
+      { name: "time", label: "Time (sec)", min: 0.01, max: 2, step: 0.01 },
+      { name: "feedback", label: "Feedback", min: 0, max: 0.95, step: 0.01 },
+      { name: "mix", label: "Mix", min: 0, max: 1, step: 0.01 },
+    ],
+  },
+  distortion: {
+    label: "Distortion",
+    defaults: { amount: 20 },
+    fields: [{ name: "amount", label: "Amount", min: 0, max: 100, step: 1 }],
+  },
+  compressor: {
+    label: "Compressor",
+    defaults: { threshold: -24, ratio: 4, attack: 0.003, release: 0.25 },
+    fields: [
+      { name: "threshold", label: "Threshold (dB)", min: -60, max: 0, step: 1 },
+      { name: "ratio", label: "Ratio", min: 1, max: 20, step: 0.5 },
+      { name: "attack", label: "Attack (sec)", min: 0, max: 1, step: 0.001 },
+      { name: "release", label: "Release (sec)", min: 0, max: 1, step: 0.01 },
+    ],
+  },
+};
+
+export const EFFECT_TYPE_IDS = Object.keys(EFFECT_TYPES);
+
+export function createEffect(type) {
+  return { type, ...EFFECT_TYPES[type].defaults };
+}
+
+// soft-clipping curve; amount 0 is (almost) linear
+export function makeDistortionCurve(amount, samples = 1024) {
+  const k = Math.max(0, amount);
+  const curve = new Float32Array(samples);
+  for (let i = 0; i < samples; i++) {
+    const x = (i * 2) / samples - 1;
+    curve[i] = ((3 + k) * x * 20 * (Math.PI / 180)) / (Math.PI + k * Math.abs(x));
+  }
+  return curve;
+}
+
+function settingsOf(effect) {
+  return { ...EFFECT_TYPES[effect.type].defaults, ...effect };
+}
+
+function disconnectAll(nodes) {
+  nodes.forEach((n) => {
+    try {
+      n.disconnect();
+    } catch {
+      // already disconnected
+    }
+  });
+}
+
+function createFilter(ctx, effect) {
+  const node = ctx.createBiquadFilter();
+  function update(next) {
+    const s = settingsOf(next);
+    node.type = s.filterType;
+    node.frequency.value = s.frequency;
+    node.Q.value = s.Q;
+    node.gain.value = s.gain;
+  }
+  update(effect);
+  return { input: node, output: node, update, disconnect: () => disconnectAll([node]) };
+}
+
+function createDelay(ctx, effect) {
+  const input = ctx.createGain();
+  const output = ctx.createGain();
+  const dry = ctx.createGain();
+  const wet = ctx.createGain();
+  const delay = ctx.createDelay(2);
+  const feedback = ctx.createGain();
+  input.connect(dry);
+  dry.connect(output);
+  input.connect(delay);
+  delay.connect(feedback);
+  feedback.connect(delay);
+  delay.connect(wet);
+  wet.connect(output);
+  function update(next) {
+    const s = settingsOf(next);
+    delay.delayTime.value = s.time;
+    feedback.gain.value = Math.min(0.95, s.feedback);
+    wet.gain.value = s.mix;
+    dry.gain.value = 1 - s.mix;
+  }
+  update(effect);
+  return { input, output, update, disconnect: () => disconnectAll([input, output, dry, wet, delay, feedback]) };
+}
+
+function createDistortion(ctx, effect) {
+  const node = ctx.createWaveShaper();
+  node.oversample = "4x";
+  function update(next) {
+    node.curve = makeDistortionCurve(settingsOf(next).amount);
+  }
+  update(effect);
+  return { input: node, output: node, update, disconnect: () => disconnectAll([node]) };
+}
+
+function createCompressor(ctx, effect) {
+  const node = ctx.createDynamicsCompressor();
+  function update(next) {
+    const s = settingsOf(next);
+    node.threshold.value = s.threshold;
+    node.ratio.value = s.ratio;
+    node.attack.value = s.attack;
+    node.release.value = s.release;
+  }
+  update(effect);
+  return { input: node, output: node, update, disconnect: () => disconnectAll([node]) };
+}
+
+const FACTORIES = {
+  filter: createFilter,
+  delay: createDelay,
+  distortion: createDistortion,
+  compressor: createCompressor,
+};
+
+// returns null for unknown types so a stale or hand-edited entry is skipped rather than fatal
+export function createEffectNode(ctx, effect) {
+  const factory = effect && Object.hasOwn(FACTORIES, effect.type) && FACTORIES[effect.type];
+  return factory ? factory(ctx, effect) : null;
+}
@@ -0,0 +1,80 @@
+// --- EffectsChainEditor: add / reorder / tweak a placement's insert effects ---
+import { useState } from "react";
+import { EFFECT_TYPES, EFFECT_TYPE_IDS, createEffect } from "./Effects";
+
+const sameChain = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Keeps its own copy of the chain and reports every change through onChange,
+// so it works both inside the "edit then Save" panels and in live editors. When the
+// effects prop itself changes (undo / redo under a live editor) the copy follows it.
+export default function EffectsChainEditor({ effects = [], onChange }) {
+  const [chain, setChain] = useState(effects);
+  const [seen, setSeen] = useState(effects);
+  const [addType, setAddType] = useState(EFFECT_TYPE_IDS[0]);
+  if (!sameChain(effects, seen)) {
+    setSeen(effects);
+    setChain(effects);
+  }
+
+  function commit(next) {
+    setChain(next);
+    onChange && onChange(next);
+  }
+
+  function updateEffect(i, name, value) {
+    commit(chain.map((fx, j) => (j === i ? { ...fx, [name]: value } : fx)));
+  }
+
+  function moveEffect(i, delta) {
+    const j = i + delta;
+    if (j < 0 || j >= chain.length) return;
+    const next = chain.slice();
+    [next[i], next[j]] = [next[j], next[i]];
+    commit(next);
+  }
+
+  return (
+    <div>
+      <label className="block text-xs text-gray-600">Effects chain (applied top to bottom)</label>
+      <ol className="space-y-2 mt-1">
+        {chain.length === 0 && <li className="text-xs text-gray-500">No effects</li>}
+        {chain.map((fx, i) => {
+          const spec = Object.hasOwn(EFFECT_TYPES, fx.type) && EFFECT_TYPES[fx.type];
+          if (!spec) return null;
+          const label = `${i + 1}. ${spec.label}`;
+          return (
+            <li key={i} className="border rounded p-2" aria-label={label}>
+              <div className="flex items-center justify-between mb-1">
+                <div className="text-xs font-semibold">{label}</div>
+                <div className="flex gap-1">
+                  <button className="px-1 border rounded text-xs" aria-label={`Move ${spec.label} up`} onClick={() => moveEffect(i, -1)}>↑</button>
+                  <button className="px-1 border rounded text-xs" aria-label={`Move ${spec.label} down`} onClick={() => moveEffect(i, 1)}>↓</button>
+                  <button className="px-1 border rounded text-xs" aria-label={`Remove ${spec.label}`} onClick={() => commit(chain.filter((_, j) => j !== i))}>✕</button>
+                </div>
+              </div>
+              {spec.fields.map((field) => (
+                <div key={field.name}>
+                  <label className="block text-xs text-gray-600">{field.label}</label>
+                  {field.options ? (
+                    <select value={fx[field.name] ?? spec.defaults[field.name]} onChange={(e) => updateEffect(i, field.name, e.target.value)} className="w-full border rounded p-1 text-xs">
+                      {field.options.map((o) => <option key={o} value={o}>{o}</option>)}
+                    </select>
+                  ) : (
+                    <input type="number" min={field.min} max={field.max} step={field.step} value={fx[field.name] ?? spec.defaults[field.name]}
+                      onChange={(e) => updateEffect(i, field.name, parseFloat(e.target.value) || 0)} className="w-full border rounded p-1 text-xs" />
+                  )}
+                </div>
+              ))}
+            </li>
+          );
+        })}
+      </ol>
+      <div className="flex gap-2 mt-2">
+        <select aria-label="Effect to add" value={addType} onChange={(e) => setAddType(e.target.value)} className="flex-1 border rounded p-1 text-xs">
+          {EFFECT_TYPE_IDS.map((id) => <option key={id} value={id}>{EFFECT_TYPES[id].label}</option>)}
+        </select>
+        <button className="px-2 py-0.5 border rounded text-xs" onClick={() => commit([...chain, createEffect(addType)])}>Add effect</button>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,19 @@
 import React, { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router";
+import { createSoundEngine, ROLLOFF_MODELS, parseCurvePoints, formatCurvePoints, isDirectional } from "./SoundEngine";
+import MasterBus from "./MasterBus";
+import useMasterVolume from "./useMasterVolume";
+import useStorageStatus from "./useStorageStatus";
+import StorageStatus from "./StorageStatus";
+import ConeWedge from "./ConeWedge";
+import EffectsChainEditor from "./EffectsChainEditor";
+import { loadState, serializeState, describeLoad, cellPlacementsFromRegions, regionsFromCellPlacements, STATE_KEYS } from "./Persistence";
+import { encodeShare, shareBlockers } from "./ShareLink";
+import ShareLinkControls from "./ShareLinkControls";
+import SharedSceneBanner from "./SharedSceneBanner";
+import useHistory from "./useHistory";
+import HistoryControls from "./HistoryControls";
+import { historyShortcut } from "./History";
 
 // Single-file React + Tailwind prototype for keyboard-accessible soundscape grid
 // Default grid: 8x8
@@ -6,26 +21,47 @@ import React, { useEffect, useRef, useState } from "react";
 // - Move with Arrow keys or WASD (W / ArrowUp = forward / up, S / ArrowDown = back / down, A / ArrowLeft, D / ArrowRight)
 // - Library uses synthesized tones (oscillators) so no external assets required for this prototype
 // - Press any alphanumeric key while a cursor is on a cell to open searchable dropdown. Press Enter to place a recording.
-// - Placed recordings create a dot and start playing. Gain is computed as linear decay from distance 0..radius (default 3)
+// - Placed recordings create a dot and start playing through the shared SoundEngine. Gain is computed as linear decay from distance 0..radius (default 3)
 // - Backspace/Delete removes a placed recording under cursor
 // - Press 'e' on a cell with a recording to open a side panel with editable params
+// - With 'Proximity triggers' on, a placement plays as a one-shot event when the cursor enters its radius instead of looping
 // - Top menu with labeled controls: 1=Add recording to lib, 2=Toggle mute, 3=Toggle blackout
-
-export default function GridNote({ cols = 8, rows = 8, defaultRadius = 3 }) {
+// - Library and placements persist as a versioned state document (see Persistence.js)
+// - Ctrl+Z / Ctrl+Shift+Z (or the Undo / Redo buttons) step through placing, removing, param edits and library additions
+// - "Copy link" puts the layout in the URL hash (see ShareLink.js); opening a link shows it read-only or editable, unsaved
+
+// default synth tones: a simple octave-ish set
+const DEFAULT_TONES = [
+  ["C4", 261.63], ["D4", 293.66], ["E4", 329.63], ["F4", 349.23],
+  ["G4", 392.0], ["A4", 440.0], ["B4", 493.88], ["C5", 523.25],
+].map(([name, freq], i) => ({ id: `lib-${i}`, name, type: "synth", freq }));
+
+// shortcuts that change the layout, ignored on a read-only shared scene
+const LAYOUT_EDIT_KEYS = ["1", "e", "Backspace", "Delete"];
+
+export default function GridNote({ cols: defaultCols = 8, rows: defaultRows = 8, defaultRadius: defaultRadiusProp = 3, shared = null }) {
+  // persisted state (read once; validated by Persistence.loadState), or the scene from a link
+  const [persisted] = useState(() => (shared ? { state: shared.state, migratedFrom: null, quarantined: 0 } : loadState("note")));
+  const readOnly = !!shared && !shared.editable;
+  const { cols, rows, defaultRadius } = persisted.state.grid || { cols: defaultCols, rows: defaultRows, defaultRadius: defaultRadiusProp };
+  const navigate = useNavigate();
+  const history = useHistory();
   const [cursor, setCursor] = useState(null); // {x,y} or null
   const [blackout, setBlackout] = useState(false);
   const [muted, setMuted] = useState(false);
+  const [volume, setVolume, nudgeVolume] = useMasterVolume();
+  const storage = useStorageStatus();
 
   // Library of recordings (synth tones for the prototype)
   const [library, setLibrary] = useState(() => {
-    // simple octave-ish set
-    const base = ["C4", "D4", "E4", "F4", "G4", "A4", "B4", "C5"];
-    const freqs = [261.63, 293.66, 329.63, 349.23, 392.0, 440.0, 493.88, 523.25];
-    return base.map((n, i) => ({ id: `lib-${i}`, name: n, type: "synth", freq: freqs[i] }));
+    // a link only carries the tones it uses, so the defaults stay available next to them
+    if (shared) return [...persisted.state.library, ...DEFAULT_TONES.filter((t) => !persisted.state.library.some((l) => l.name === t.name))];
+    if (persisted.state.library.length > 0) return persisted.state.library;
+    return DEFAULT_TONES;
   });
 
-  // placements map: key = `${x},${y}` -> { libId, params, audioNodes... }
-  const [placements, setPlacements] = useState({});
+  // placements map: key = `${x},${y}` -> { x, y, libId, params } (audio nodes live in the engine)
+  const [placements, setPlacements] = useState(() => cellPlacementsFromRegions(persisted.state.placements));
 
   // editor panel state
   const [editorCell, setEditorCell] = useState(null); // {x,y}
@@ -36,95 +72,70 @@ export default function GridNote({ cols = 8, rows = 8, defaultRadius = 3 }) {
   const [searchHighlightIdx, setSearchHighlightIdx] = useState(0);
   const [searchInitiatorKey, setSearchInitiatorKey] = useState(null);
 
-  // audio context and master nodes
-  const audioCtxRef = useRef(null);
-  const masterGainRef = useRef(null);
+  // sound engine (oscillator voices keyed by "x,y")
+  const engineRef = useRef(null);
   const placementsRef = useRef(placements);
   placementsRef.current = placements;
   const cursorRef = useRef(cursor);
   cursorRef.current = cursor;
+  const libraryRef = useRef(library);
+  libraryRef.current = library;
 
   useEffect(() => {
-    audioCtxRef.current = new (window.AudioContext || window.webkitAudioContext)();
-    masterGainRef.current = audioCtxRef.current.createGain();
-    masterGainRef.current.gain.value = muted ? 0 : 1;
-    masterGainRef.current.connect(audioCtxRef.current.destination);
+    engineRef.current = createSoundEngine({ cols, defaultRadius, panning: false, rampTime: 0.05 });
+    engineRef.current.setMasterGain(muted ? 0 : volume);
+
+    const notice = describeLoad(persisted);
+    if (notice) storage.notify(notice);
 
     return () => {
-      audioCtxRef.current && audioCtxRef.current.close();
+      engineRef.current && engineRef.current.dispose();
+      engineRef.current = null;
     };
   }, []);
 
   useEffect(() => {
-    if (masterGainRef.current) masterGainRef.current.gain.value = muted ? 0 : 1;
-  }, [muted]);
+    if (engineRef.current) engineRef.current.setMasterGain(muted ? 0 : volume);
+  }, [muted, volume]);
+
+  useEffect(() => {
+    if (shared) return;
+    const doc = serializeState({ library, placements: regionsFromCellPlacements(placements) });
+    try {
+      localStorage.setItem(STATE_KEYS.note, JSON.stringify(doc));
+    } catch (e) {
+      console.error("Failed to persist grid state:", e);
+    }
+  }, [library, placements, shared]);
 
   // helpers
   const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
   const keyFor = (x, y) => `${x},${y}`;
 
-  // compute distance and volume
-  function distance(a, b) {
-    // Euclidean
-    const dx = a.x - b.x;
-    const dy = a.y - b.y;
-    return Math.sqrt(dx * dx + dy * dy);
-  }
-
-  function computeGainForPlacement(placement, cursorPos) {
-    if (!cursorPos) return 0;
-    const d = distance({ x: placement.x, y: placement.y }, cursorPos);
-    const radius = placement.params?.radius ?? defaultRadius;
-    if (d > radius) return 0;
-    // linear decay: 1 at dist 0 -> 0 at dist >= radius
-    const base = 1 - d / radius;
-    return base * (placement.params?.volume ?? 1);
+  // engine placements are region-shaped; GridNote placements cover a single cell
+  function toEnginePlacement(key, pl) {
+    return { id: key, cells: [{ x: pl.x, y: pl.y }], params: pl.params };
   }
 
   // create and start oscillator playback for a newly placed synth
   function startPlacementSound(key, libItem, x, y, params) {
-    const ctx = audioCtxRef.current;
-    if (!ctx) return;
-
-    // oscillator + gain -> master
-    const osc = ctx.createOscillator();
-    const gain = ctx.createGain();
-    osc.type = "sine";
-    osc.frequency.value = libItem.freq;
-    gain.gain.value = 0; // start silent; we'll update on cursor move
-    osc.connect(gain);
-    gain.connect(masterGainRef.current);
-    const now = ctx.currentTime;
-    osc.start(now);
-
-    // save nodes in placements
-    setPlacements(prev => ({
-      ...prev,
-      [key]: {
-        ...prev[key],
-        libId: libItem.id,
-        x,
-        y,
-        params,
-        nodes: { osc, gain }
-      }
-    }));
+    const engine = engineRef.current;
+    if (!engine) return;
+    engine.addPlacement(toEnginePlacement(key, { x, y, params }), { freq: libItem.freq, wave: "sine" });
   }
 
+  // restart voices for persisted placements once the engine exists
+  useEffect(() => {
+    Object.entries(placementsRef.current).forEach(([key, pl]) => {
+      const item = library.find(l => l.id === pl.libId);
+      if (item) startPlacementSound(key, item, pl.x, pl.y, pl.params);
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   // stop and remove audio nodes for a placement
   function stopPlacementSound(key) {
-    const ctx = audioCtxRef.current;
-    const pl = placementsRef.current[key];
-    if (!pl || !pl.nodes) return;
-    try {
-      pl.nodes.gain.gain.cancelScheduledValues(0);
-      pl.nodes.gain.gain.setValueAtTime(0, ctx.currentTime);
-      pl.nodes.osc.stop(ctx.currentTime + 0.02);
-      pl.nodes.osc.disconnect();
-      pl.nodes.gain.disconnect();
-    } catch (e) {
-      // ignore
-    }
+    engineRef.current && engineRef.current.removePlacement(key);
     setPlacements(prev => {
       const copy = { ...prev };
       delete copy[key];
@@ -132,24 +143,55 @@ export default function GridNote({ cols = 8, rows = 8, defaultRadius = 3 }) {
     });
   }
 
+  // put a cell back to `pl` (or empty it) with its voice; undo and redo go through here
+  function applyCell(key, pl) {
+    if (!pl) {
+      stopPlacementSound(key);
+      return;
+    }
+    setPlacements(prev => ({ ...prev, [key]: pl }));
+    const engine = engineRef.current;
+    const current = placementsRef.current[key];
+    if (engine && engine.hasPlacement(key) && current && current.libId === pl.libId) {
+      engine.updatePlacement(toEnginePlacement(key, pl));
+      return;
+    }
+    const item = libraryRef.current.find(l => l.id === pl.libId);
+    if (item) startPlacementSound(key, item, pl.x, pl.y, pl.params);
+  }
+
+  // change one cell as an undoable step
+  function editCell(label, key, pl) {
+    const before = placementsRef.current[key];
+    applyCell(key, pl);
+    history.record({ label, undo: () => applyCell(key, before), redo: () => applyCell(key, pl) });
+  }
+
+  const libName = (libId) => libraryRef.current.find(l => l.id === libId)?.name || "tone";
+
+  function removeCell(key) {
+    const pl = placementsRef.current[key];
+    if (pl) editCell(`remove ${libName(pl.libId)} at ${key}`, key, null);
+  }
+
   // update all placement gains based on current cursor
   function refreshPlacementGains(cursorPos) {
-    const ctx = audioCtxRef.current;
-    Object.entries(placementsRef.current).forEach(([key, pl]) => {
-      if (!pl.nodes) return;
-      const gainValue = computeGainForPlacement(pl, cursorPos);
-      // smooth ramp
-      try {
-        pl.nodes.gain.gain.cancelScheduledValues(ctx.currentTime);
-        pl.nodes.gain.gain.linearRampToValueAtTime(gainValue, ctx.currentTime + 0.05);
-      } catch (e) {}
-    });
+    engineRef.current && engineRef.current.setListener(cursorPos);
   }
 
   // keyboard handling
   useEffect(() => {
     function onKeyDown(e) {
       const key = e.key;
+      const step = historyShortcut(e);
+      if (step) {
+        e.preventDefault();
+        if (readOnly) return;
+        if (step === "undo") history.undo();
+        else history.redo();
+        return;
+      }
+      if (readOnly && LAYOUT_EDIT_KEYS.includes(key)) return;
 
       // Top menu shortcuts
       if (key === "1") {
@@ -162,6 +204,16 @@ export default function GridNote({ cols = 8, rows = 8, defaultRadius = 3 }) {
         setMuted(m => !m);
         return;
       }
+      if (key === "-") {
+        e.preventDefault();
+        nudgeVolume(-1);
+        return;
+      }
+      if (key === "=" || key === "+") {
+        e.preventDefault();
+        nudgeVolume(1);
+        return;
+      }
       if (key === "3") {
         e.preventDefault();
         setBlackout(b => !b);
@@ -225,7 +277,7 @@ export default function GridNote({ cols = 8, rows = 8, defaultRadius = 3 }) {
           const k = keyFor(cursorRef.current.x, cursorRef.current.y);
           if (placementsRef.current[k]) {
             e.preventDefault();
-            stopPlacementSound(k);
+            removeCell(k);
             return;
           }
         }
@@ -243,8 +295,8 @@ export default function GridNote({ cols = 8, rows = 8, defaultRadius = 3 }) {
         }
       }
 
-      // alphanumeric key opens searchable dropdown
-      if (/^[a-z0-9]$/i.test(key)) {
+      // alphanumeric key opens searchable dropdown (not on a read-only scene: it places tones)
+      if (/^[a-z0-9]$/i.test(key) && !readOnly) {
         if (cursorRef.current) {
           e.preventDefault();
           setSearchInitiatorKey(key);
@@ -272,19 +324,9 @@ export default function GridNote({ cols = 8, rows = 8, defaultRadius = 3 }) {
     if (!cur) return;
     const key = keyFor(cur.x, cur.y);
     // default params
-    const params = { volume: 1, radius: defaultRadius, angularRange: 360, proximityTriggers: true, timing: 0 };
-    setPlacements(prev => {
-      // if exists, stop existing first
-      if (prev[key] && prev[key].nodes) {
-        try { prev[key].nodes.osc.stop(); } catch (e) {}
-      }
-      return {
-        ...prev,
-        [key]: { x: cur.x, y: cur.y, libId: item.id, params }
-      };
-    });
-    // start audio nodes
-    startPlacementSound(key, item, cur.x, cur.y, params);
+    const params = { volume: 1, radius: defaultRadius, angularRange: 360, proximityTriggers: false, timing: 0, rolloff: "linear", minDistance: 0, floor: 0 };
+    // starts audio nodes (replacing any voice already on this cell)
+    editCell(`place ${item.name} at ${key}`, key, { x: cur.x, y: cur.y, libId: item.id, params });
 
     setSearchOpen(false);
   }
@@ -295,35 +337,60 @@ export default function GridNote({ cols = 8, rows = 8, defaultRadius = 3 }) {
     if (!name) return;
     const freqStr = prompt("Frequency in Hz (e.g. 440):");
     const freq = parseFloat(freqStr) || 440;
-    const id = `lib-${Date.now()}`;
-    setLibrary(prev => [...prev, { id, name, type: "synth", freq }]);
+    const item = { id: `lib-${Date.now()}`, name, type: "synth", freq };
+    const add = () => setLibrary(prev => [...prev, item]);
+    add();
+    // tones placed after this step are undone before it, so removing the item is enough
+    history.record({ label: `add ${name} to the library`, undo: () => setLibrary(prev => prev.filter(l => l.id !== item.id)), redo: add });
   }
 
   // editor save
   function saveEditor(params) {
     if (!editorCell) return;
     const key = keyFor(editorCell.x, editorCell.y);
-    setPlacements(prev => ({ ...prev, [key]: { ...prev[key], params } }));
-    // update node gain based on new params
-    refreshPlacementGains(cursorRef.current);
+    const pl = placementsRef.current[key];
+    // updates the running voice with the new params
+    if (pl) editCell(`edit ${libName(pl.libId)} at ${key}`, key, { ...pl, params });
     setEditorCell(null);
   }
 
+  // the current layout as a link code
+  function shareCode() {
+    return encodeShare("note", { library, placements: regionsFromCellPlacements(placements), grid: { cols, rows, defaultRadius } });
+  }
+
+  // the Notes grid has one saved layout, so keeping a linked scene replaces it
+  function saveSharedScene() {
+    if (!window.confirm("Replace your saved Notes grid with this shared layout?")) return;
+    const doc = serializeState({ library, placements: regionsFromCellPlacements(placements), grid: { cols, rows, defaultRadius } });
+    try {
+      localStorage.setItem(STATE_KEYS.note, JSON.stringify(doc));
+      navigate("/sound-garden/notes");
+    } catch (e) {
+      console.error("Failed to save shared layout:", e);
+      alert("Could not save the layout: browser storage is unavailable or full.");
+    }
+  }
+
   // render helpers
   function renderCell(x, y) {
     const key = keyFor(x, y);
     const has = !!placements[key];
+    const params = placements[key]?.params;
+    const directional = has && isDirectional(params);
     return (
       <div
         key={key}
         role="gridcell"
-        aria-label={`Cell ${x + 1}, ${y + 1}${has ? ", has recording" : ""}`}
+        aria-label={`Cell ${x + 1}, ${y + 1}${has ? ", has recording" : ""}${directional ? `, facing ${params.direction ?? 0}°` : ""}`}
         className={`relative w-12 h-12 border border-gray-300 flex items-center justify-center ${blackout ? "bg-black" : "bg-white"}`}
       >
         {/* cursor outline */}
         {cursor && cursor.x === x && cursor.y === y && (
           <div className="absolute inset-0 border-2 border-black pointer-events-none" aria-hidden />
         )}
+        {/* directional cone */}
+        {directional && <ConeWedge direction={params.direction ?? 0} inner={params.angularRange} outer={params.coneOuter} />}
         {/* placed dot */}
         {has && (
           <div className="w-3 h-3 rounded-full bg-indigo-600" aria-hidden />
@@ -339,15 +406,21 @@ export default function GridNote({ cols = 8, rows = 8, defaultRadius = 3 }) {
 
   return (
     <div className="p-4 font-sans">
+      {shared && (
+        <SharedSceneBanner editable={shared.editable} rejected={shared.rejected} saveLabel="Save as my Notes grid" onSave={saveSharedScene} />
+      )}
       {/* Top menu */}
       <div className="flex items-center gap-4 mb-4">
         <div className="text-sm font-medium">Top Menu (keyboard shortcuts):</div>
         <div className="flex gap-3">
-          <button className="px-3 py-1 rounded border" onClick={openAddRecordingDialog}>1 — Add recording</button>
+          <button className="px-3 py-1 rounded border" disabled={readOnly} onClick={openAddRecordingDialog}>1 — Add recording</button>
           <button className="px-3 py-1 rounded border" onClick={() => setMuted(m => !m)}>2 — Toggle mute ({muted ? 'Muted' : 'Unmuted'})</button>
+          <MasterBus engineRef={engineRef} volume={volume} onVolumeChange={setVolume} muted={muted} />
           <button className="px-3 py-1 rounded border" onClick={() => setBlackout(b => !b)}>3 — Toggle blackout ({blackout ? 'On' : 'Off'})</button>
         </div>
-        <div className="ml-auto text-xs text-gray-500">Use Arrow keys or WASD to move. Press alphanumeric to assign a recording. Backspace/Delete removes. 'e' edits.</div>
+        {!readOnly && <HistoryControls history={history} />}
+        <ShareLinkControls path="/sound-garden/notes" blockers={shareBlockers(library, regionsFromCellPlacements(placements))} getCode={shareCode} />
+        <div className="ml-auto text-xs text-gray-500">Use Arrow keys or WASD to move. Press alphanumeric to assign a recording. Backspace/Delete removes. 'e' edits. Ctrl+Z undoes, Ctrl+Shift+Z redoes. - / + adjust master volume.</div>
       </div>
 
       <div className="flex gap-6">
@@ -367,12 +440,15 @@ export default function GridNote({ cols = 8, rows = 8, defaultRadius = 3 }) {
         <div className="w-80">
           <div className="mb-4">
             <div className="text-sm font-semibold">Library</div>
+            <div className="mt-1">
+              <StorageStatus usage={storage.usage} error={storage.error} onDismiss={storage.dismiss} />
+            </div>
             <ul className="mt-2 max-h-48 overflow-auto border rounded p-2">
               {library.map(item => (
                 <li key={item.id} className="text-sm py-1 flex justify-between items-center">
                   <div>{item.name} <span className="text-xs text-gray-400">({item.freq} Hz)</span></div>
                   <div>
-                    <button className="px-2 py-1 border rounded text-xs" onClick={() => {
+                    <button className="px-2 py-1 border rounded text-xs" disabled={readOnly} onClick={() => {
                       // quick place under cursor if present
                       if (!cursor) return alert('Place the cursor with arrow keys first');
                       selectLibraryItemForCursor(item);
@@ -391,7 +467,7 @@ export default function GridNote({ cols = 8, rows = 8, defaultRadius = 3 }) {
                 <li key={k} className="py-1 flex justify-between">
                   <div>{k} — {library.find(l=>l.id===pl.libId)?.name || pl.libId}</div>
                   <div>
-                    <button className="text-xs px-2 py-0.5 border rounded" onClick={() => stopPlacementSound(k)}>Remove</button>
+                    <button className="text-xs px-2 py-0.5 border rounded" disabled={readOnly} onClick={() => removeCell(k)}>Remove</button>
                   </div>
                 </li>
               ))}
@@ -439,11 +515,23 @@ export default function GridNote({ cols = 8, rows = 8, defaultRadius = 3 }) {
         let vol = params.volume ?? 1;
         let radius = params.radius ?? defaultRadius;
         let angularRange = params.angularRange ?? 360;
-        let proximityTriggers = params.proximityTriggers ?? true;
+        let proximityTriggers = params.proximityTriggers ?? false;
+        let triggerCount = params.triggerCount ?? 1;
+        let triggerCooldown = params.triggerCooldown ?? 2;
+        let stopOnExit = params.stopOnExit ?? false;
+        let fadeOut = params.fadeOut ?? 0.5;
+        let effects = params.effects ?? [];
         let timing = params.timing ?? 0;
+        let rolloff = params.rolloff ?? "linear";
+        let curve = params.curve ?? [[0, 1], [radius, 0]];
+        let minDistance = params.minDistance ?? 0;
+        let floor = params.floor ?? 0;
+        let direction = params.direction ?? 0;
+        let coneOuter = params.coneOuter ?? angularRange;
+        let coneOuterGain = params.coneOuterGain ?? 0;
 
         return (
-          <div key={key} className="fixed right-6 top-24 w-96 bg-white border rounded shadow-lg p-4 z-40">
+          <div key={key} className="fixed right-6 top-24 w-96 max-h-[80vh] overflow-auto bg-white border rounded shadow-lg p-4 z-40">
             <div className="flex items-center justify-between">
               <div className="font-semibold">Edit cell {editorCell.x},{editorCell.y}</div>
               <div className="text-xs text-gray-500">{libItem?.name || '—'}</div>
@@ -460,24 +548,79 @@ export default function GridNote({ cols = 8, rows = 8, defaultRadius = 3 }) {
                   onChange={(e) => { radius = parseFloat(e.target.value); }} />
               </div>
               <div>
-                <label className="block text-xs text-gray-600">Angular range (°)</label>
-                <input type="number" defaultValue={angularRange} onChange={(e)=>{ angularRange = parseFloat(e.target.value); }} className="w-full border rounded p-1" />
+                <label className="block text-xs text-gray-600">Distance rolloff</label>
+                <select defaultValue={rolloff} onChange={(e)=>{ rolloff = e.target.value; }} className="w-full border rounded p-1">
+                  {ROLLOFF_MODELS.map(m => <option key={m} value={m}>{m}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600">Custom curve (distance:gain, used when rolloff is custom)</label>
+                <input type="text" defaultValue={formatCurvePoints(curve)} placeholder="0:1, 2:0.5, 3:0" onChange={(e)=>{ curve = parseCurvePoints(e.target.value); }} className="w-full border rounded p-1" />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600">Min distance (full level within, cells)</label>
+                <input type="number" min={0} step={0.5} defaultValue={minDistance} onChange={(e)=>{ minDistance = parseFloat(e.target.value) || 0; }} className="w-full border rounded p-1" />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600">Floor level (heard everywhere)</label>
+                <input type="range" min={0} max={1} step={0.01} defaultValue={floor} onChange={(e)=>{ floor = parseFloat(e.target.value); }} />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600">Angular range / inner cone (°, 360 = all directions)</label>
+                <input type="number" min={0} max={360} defaultValue={angularRange} onChange={(e)=>{ angularRange = parseFloat(e.target.value); }} className="w-full border rounded p-1" />
               </div>
               <div>
-                <label className="block text-xs text-gray-600">Proximity triggers</label>
+                <label className="block text-xs text-gray-600">Facing direction (°, 0 = up, 90 = right)</label>
+                <input type="number" min={0} max={359} defaultValue={direction} onChange={(e)=>{ direction = parseFloat(e.target.value) || 0; }} className="w-full border rounded p-1" />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600">Outer cone (°)</label>
+                <input type="number" min={0} max={360} defaultValue={coneOuter} onChange={(e)=>{ coneOuter = parseFloat(e.target.value); }} className="w-full border rounded p-1" />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600">Outside-cone level</label>
+                <input type="range" min={0} max={1} step={0.01} defaultValue={coneOuterGain} onChange={(e)=>{ coneOuterGain = parseFloat(e.target.value); }} />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600">Proximity triggers (play as an event when the cursor enters the radius)</label>
                 <select defaultValue={proximityTriggers ? 'on' : 'off'} onChange={(e)=>{ proximityTriggers = e.target.value === 'on'; }} className="w-full border rounded p-1">
                   <option value="on">On</option>
-                  <option value="off">Off</option>
+                  <option value="off">Off (loop)</option>
                 </select>
               </div>
+              <div className="flex gap-2">
+                <div>
+                  <label className="block text-xs text-gray-600">Plays per trigger</label>
+                  <input type="number" min={1} step={1} defaultValue={triggerCount} onChange={(e)=>{ triggerCount = parseInt(e.target.value, 10) || 1; }} className="w-full border rounded p-1" />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-600">Retrigger cooldown (sec)</label>
+                  <input type="number" min={0} step={0.5} defaultValue={triggerCooldown} onChange={(e)=>{ triggerCooldown = parseFloat(e.target.value) || 0; }} className="w-full border rounded p-1" />
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <div>
+                  <label className="block text-xs text-gray-600">Stop on exit</label>
+                  <select defaultValue={stopOnExit ? 'on' : 'off'} onChange={(e)=>{ stopOnExit = e.target.value === 'on'; }} className="w-full border rounded p-1">
+                    <option value="on">On</option>
+                    <option value="off">Off</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-600">Fade-out (sec)</label>
+                  <input type="number" min={0} step={0.1} defaultValue={fadeOut} onChange={(e)=>{ fadeOut = parseFloat(e.target.value) || 0; }} className="w-full border rounded p-1" />
+                </div>
+              </div>
               <div>
                 <label className="block text-xs text-gray-600">Timing offset (sec)</label>
                 <input type="number" defaultValue={timing} onChange={(e)=>{ timing = parseFloat(e.target.value); }} className="w-full border rounded p-1" />
               </div>
 
+              <EffectsChainEditor effects={effects} onChange={(fx)=>{ effects = fx; }} />
+
               <div className="flex gap-2 justify-end">
                 <button className="px-3 py-1 border rounded" onClick={()=>setEditorCell(null)}>Cancel</button>
-                <button className="px-3 py-1 bg-blue-600 text-white rounded" onClick={()=>saveEditor({ volume: vol, radius, angularRange, proximityTriggers, timing })}>Save</button>
+                <button className="px-3 py-1 bg-blue-600 text-white rounded" onClick={()=>saveEditor({ ...params, volume: vol, radius, angularRange, proximityTriggers, timing, rolloff, curve, minDistance, floor, direction, coneOuter, coneOuterGain, triggerCount, triggerCooldown, stopOnExit, fadeOut, effects })}>Save</button>
               </div>
             </div>
           </div>
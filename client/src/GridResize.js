@@ -0,0 +1,76 @@
+// GridResize.js
+
+/**
+ * Resizing a scene's grid. The top-left corner stays put, so shrinking can leave placements,
+ * walls and reverb zone cells past the right or bottom edge. RESIZE_MODES says what happens
+ * to such placements:
+ *   crop  — their cells outside the new bounds are dropped (placements left empty are removed)
+ *   shift — each is moved back inside as a whole, and cropped only if it is larger than the grid
+ *   block — the resize is refused while any placement sticks out
+ * Wall and zone cells outside the new bounds are dropped in every mode.
+ */
+
+export const RESIZE_MODES = ["crop", "shift", "block"];
+export const GRID_SIZE_MIN = 2;
+export const GRID_SIZE_MAX = 32;
+export const CELL_SIZES = [32, 40, 48, 56, 64];
+export const DEFAULT_CELL_SIZE = 48;
+
+export function validGridSize(n) {
+  return Number.isInteger(n) && n >= GRID_SIZE_MIN && n <= GRID_SIZE_MAX;
+}
+
+const fitsIn = (cols, rows) => (c) => c.x >= 0 && c.y >= 0 && c.x < cols && c.y < rows;
+
+// step that brings the cells' far edges back inside cols x rows without crossing the near edges
+function inwardShift(cells, cols, rows) {
+  const xs = cells.map((c) => c.x);
+  const ys = cells.map((c) => c.y);
+  return {
+    dx: Math.max(-Math.min(...xs), Math.min(0, cols - 1 - Math.max(...xs))),
+    dy: Math.max(-Math.min(...ys), Math.min(0, rows - 1 - Math.max(...ys))),
+  };
+}
+
+/**
+ * The layout after resizing to cols x rows: { blocked, outside, placements, walls, zones,
+ * moved, cropped, removed, droppedWalls, droppedZoneCells }. `outside` lists the placements
+ * that stick out; when `blocked` the layout is returned unchanged.
+ */
+export function planResize({ placements, walls, zones }, cols, rows, mode) {
+  const fits = fitsIn(cols, rows);
+  const outside = placements.filter((p) => !p.cells.every(fits));
+  const plan = { blocked: false, outside, placements, walls, zones, moved: 0, cropped: 0, removed: 0, droppedWalls: 0, droppedZoneCells: 0 };
+  if (outside.length && mode === "block") return { ...plan, blocked: true };
+
+  plan.placements = [];
+  placements.forEach((p) => {
+    if (!outside.includes(p)) {
+      plan.placements.push(p);
+      return;
+    }
+    let cells = p.cells;
+    if (mode === "shift") {
+      const { dx, dy } = inwardShift(cells, cols, rows);
+      cells = cells.map((c) => ({ x: c.x + dx, y: c.y + dy }));
+      if (dx || dy) plan.moved += 1;
+    }
+    const kept = cells.filter(fits);
+    if (kept.length === 0) {
+      plan.removed += 1;
+      return;
+    }
+    if (kept.length < cells.length) plan.cropped += 1;
+    plan.placements.push({ ...p, cells: kept });
+  });
+
+  plan.walls = walls.filter(fits);
+  plan.droppedWalls = walls.length - plan.walls.length;
+  plan.zones = [];
+  zones.forEach((z) => {
+    const cells = z.cells.filter(fits);
+    plan.droppedZoneCells += z.cells.length - cells.length;
+    if (cells.length) plan.zones.push(cells.length === z.cells.length ? z : { ...z, cells });
+  });
+  return plan;
+}
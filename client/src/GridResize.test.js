@@ -0,0 +1,87 @@
+import { describe, it, expect } from "vitest";
+import { planResize, validGridSize, GRID_SIZE_MIN, GRID_SIZE_MAX } from "./GridResize";
+
+// a 6x6 layout: one placement well inside, one across the right edge of a 4x4 grid, one
+// entirely outside it, plus a wall and a zone that straddle the same edge
+const inside = { id: "inside", cells: [{ x: 0, y: 0 }, { x: 1, y: 0 }] };
+const straddling = { id: "straddling", cells: [{ x: 3, y: 1 }, { x: 4, y: 1 }] };
+const beyond = { id: "beyond", cells: [{ x: 5, y: 5 }] };
+const layout = {
+  placements: [inside, straddling, beyond],
+  walls: [{ x: 2, y: 2 }, { x: 5, y: 0 }],
+  zones: [{ id: "z", cells: [{ x: 3, y: 3 }, { x: 4, y: 3 }], preset: "hall", wet: 0.4 }],
+};
+
+describe("validGridSize", () => {
+  it.each([
+    [GRID_SIZE_MIN, true],
+    [GRID_SIZE_MAX, true],
+    [GRID_SIZE_MIN - 1, false],
+    [GRID_SIZE_MAX + 1, false],
+    [8.5, false],
+    ["8", false],
+  ])("%j is %s", (n, expected) => {
+    expect(validGridSize(n)).toBe(expected);
+  });
+});
+
+describe("planResize", () => {
+  it("changes nothing when growing", () => {
+    const plan = planResize(layout, 8, 8, "block");
+    expect(plan).toMatchObject({ blocked: false, outside: [], moved: 0, cropped: 0, removed: 0, droppedWalls: 0, droppedZoneCells: 0 });
+    expect(plan.placements).toEqual(layout.placements);
+    expect(plan.zones[0]).toBe(layout.zones[0]);
+  });
+
+  it("crops placements to the new size and removes those left empty", () => {
+    const plan = planResize(layout, 4, 4, "crop");
+    expect(plan.outside.map((p) => p.id)).toEqual(["straddling", "beyond"]);
+    expect(plan.placements).toEqual([inside, { ...straddling, cells: [{ x: 3, y: 1 }] }]);
+    expect(plan).toMatchObject({ cropped: 1, removed: 1, moved: 0 });
+  });
+
+  it("shifts placements back inside whole", () => {
+    const plan = planResize(layout, 4, 4, "shift");
+    expect(plan.placements).toEqual([
+      inside,
+      { ...straddling, cells: [{ x: 2, y: 1 }, { x: 3, y: 1 }] },
+      { ...beyond, cells: [{ x: 3, y: 3 }] },
+    ]);
+    expect(plan).toMatchObject({ moved: 2, cropped: 0, removed: 0 });
+  });
+
+  it("crops a shifted placement that is wider than the grid", () => {
+    const wide = { id: "wide", cells: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }] };
+    const plan = planResize({ placements: [wide], walls: [], zones: [] }, GRID_SIZE_MIN, GRID_SIZE_MIN, "shift");
+    expect(plan.placements).toEqual([{ ...wide, cells: [{ x: 0, y: 0 }, { x: 1, y: 0 }] }]);
+    expect(plan).toMatchObject({ moved: 0, cropped: 1 });
+  });
+
+  it("blocks while placements stick out and returns the layout unchanged", () => {
+    const plan = planResize(layout, 4, 4, "block");
+    expect(plan.blocked).toBe(true);
+    expect(plan.outside.map((p) => p.id)).toEqual(["straddling", "beyond"]);
+    expect(plan.placements).toBe(layout.placements);
+    expect(plan.walls).toBe(layout.walls);
+  });
+
+  it.each(["crop", "shift"])("drops wall and zone cells outside the new size in %s mode", (mode) => {
+    const plan = planResize(layout, 4, 4, mode);
+    expect(plan.walls).toEqual([{ x: 2, y: 2 }]);
+    expect(plan.zones).toEqual([{ ...layout.zones[0], cells: [{ x: 3, y: 3 }] }]);
+    expect(plan).toMatchObject({ droppedWalls: 1, droppedZoneCells: 1 });
+  });
+
+  it("removes a zone with no cells left", () => {
+    const plan = planResize(layout, 3, 3, "crop");
+    expect(plan.zones).toEqual([]);
+    expect(plan.droppedZoneCells).toBe(2);
+  });
+
+  it("keeps a layout that fits the smallest and largest grids", () => {
+    const corner = { id: "corner", cells: [{ x: GRID_SIZE_MAX - 1, y: GRID_SIZE_MAX - 1 }] };
+    expect(planResize({ placements: [corner], walls: [], zones: [] }, GRID_SIZE_MAX, GRID_SIZE_MAX, "block").blocked).toBe(false);
+    const plan = planResize({ placements: [corner], walls: [], zones: [] }, GRID_SIZE_MIN, GRID_SIZE_MIN, "shift");
+    expect(plan.placements[0].cells).toEqual([{ x: GRID_SIZE_MIN - 1, y: GRID_SIZE_MIN - 1 }]);
+  });
+});
@@ -0,0 +1,101 @@
+// --- GridSettingsDialog: resize a scene's grid, pick its cell size and default radius ---
+import React, { useState } from "react";
+import { RESIZE_MODES, GRID_SIZE_MIN, GRID_SIZE_MAX, CELL_SIZES, validGridSize, planResize } from "./GridResize";
+
+const MODE_LABELS = {
+  crop: "Crop — drop the cells that fall outside",
+  shift: "Shift — move those placements back inside",
+  block: "Block — don't resize while placements fall outside",
+};
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+// onApply(grid, plan) receives the new { cols, rows, defaultRadius, cellSize } and the
+// planResize result for the current layout
+export default function GridSettingsDialog({ grid, layout, libName, onApply, onClose }) {
+  const [draft, setDraft] = useState({ ...grid, mode: "crop" });
+  const cols = parseInt(draft.cols, 10);
+  const rows = parseInt(draft.rows, 10);
+  const radius = parseFloat(draft.defaultRadius);
+  const sizeOk = validGridSize(cols) && validGridSize(rows);
+  const radiusOk = Number.isFinite(radius) && radius > 0;
+  const plan = sizeOk ? planResize(layout, cols, rows, draft.mode) : null;
+  const canApply = sizeOk && radiusOk && !plan.blocked;
+
+  function apply() {
+    if (!canApply) return;
+    onApply({ cols, rows, defaultRadius: radius, cellSize: draft.cellSize }, plan);
+  }
+
+  function summary() {
+    if (!sizeOk) return `Columns and rows must be whole numbers from ${GRID_SIZE_MIN} to ${GRID_SIZE_MAX}.`;
+    if (!radiusOk) return "The default radius must be above 0.";
+    const lost = [];
+    if (plan.droppedWalls) lost.push(plural(plan.droppedWalls, "wall cell"));
+    if (plan.droppedZoneCells) lost.push(plural(plan.droppedZoneCells, "reverb zone cell"));
+    const env = lost.length ? ` ${lost.join(" and ")} outside the new size will be dropped.` : "";
+    if (plan.outside.length === 0) return `Every placement fits.${env}`;
+    const names = plan.outside.map((p) => `"${libName(p.libId)}"`).join(", ");
+    if (plan.blocked) return `${plural(plan.outside.length, "placement")} would fall outside: ${names}. Choose crop or shift, or make the grid larger.`;
+    const done = [];
+    if (plan.moved) done.push(`${plan.moved} moved inside`);
+    if (plan.cropped) done.push(`${plan.cropped} cropped`);
+    if (plan.removed) done.push(`${plan.removed} removed (no cells left)`);
+    return `${plural(plan.outside.length, "placement")} fall outside (${names}): ${done.join(", ")}.${env}`;
+  }
+
+  const set = (name) => (e) => setDraft((d) => ({ ...d, [name]: e.target.value }));
+
+  return (
+    <div
+      role="dialog"
+      aria-label="Grid settings"
+      className="fixed left-1/2 transform -translate-x-1/2 top-32 z-50 w-96 bg-white border rounded shadow-lg p-3 text-sm"
+      onKeyDown={(e) => {
+        if (e.key === "Escape") onClose();
+        if (e.key === "Enter" && e.target.tagName !== "BUTTON") apply();
+      }}
+    >
+      <div className="flex items-center gap-2 mb-2">
+        <div>Grid settings</div>
+        <div className="ml-auto text-xs text-gray-400">Enter to apply — Esc to cancel</div>
+      </div>
+      <div className="flex gap-2 mb-2">
+        <label className="block text-xs text-gray-600">
+          Columns
+          <input autoFocus type="number" min={GRID_SIZE_MIN} max={GRID_SIZE_MAX} value={draft.cols} onChange={set("cols")} className="w-full border rounded p-1" />
+        </label>
+        <label className="block text-xs text-gray-600">
+          Rows
+          <input type="number" min={GRID_SIZE_MIN} max={GRID_SIZE_MAX} value={draft.rows} onChange={set("rows")} className="w-full border rounded p-1" />
+        </label>
+      </div>
+      <div className="flex gap-2 mb-2">
+        <label className="block text-xs text-gray-600">
+          Cell size
+          <select value={draft.cellSize} onChange={(e) => setDraft((d) => ({ ...d, cellSize: Number(e.target.value) }))} className="w-full border rounded p-1">
+            {CELL_SIZES.map((px) => <option key={px} value={px}>{px}px</option>)}
+          </select>
+        </label>
+        <label className="block text-xs text-gray-600">
+          Default radius (cells, for placements without their own)
+          <input type="number" min={0.5} max={10} step={0.5} value={draft.defaultRadius} onChange={set("defaultRadius")} className="w-full border rounded p-1" />
+        </label>
+      </div>
+      <fieldset className="mb-2">
+        <legend className="text-xs text-gray-600">Placements outside the new size</legend>
+        {RESIZE_MODES.map((mode) => (
+          <label key={mode} className="block text-xs">
+            <input type="radio" name="grid-resize-mode" value={mode} checked={draft.mode === mode} onChange={set("mode")} className="mr-1" />
+            {MODE_LABELS[mode]}
+          </label>
+        ))}
+      </fieldset>
+      <p role="status" aria-live="polite" className={`text-xs mb-2 ${canApply ? "text-gray-600" : "text-red-600"}`}>{summary()}</p>
+      <div className="flex gap-2 justify-end">
+        <button className="px-3 py-1 border rounded" onClick={onClose}>Cancel</button>
+        <button className="px-3 py-1 bg-blue-600 text-white rounded" disabled={!canApply} onClick={apply}>Apply</button>
+      </div>
+    </div>
+  );
+}
@@ -1,24 +1,41 @@
 import React, { useEffect, useRef, useState } from "react";
+import { createSoundEngine, ROLLOFF_MODELS, parseCurvePoints, formatCurvePoints, isDirectional } from "./SoundEngine";
+import MasterBus from "./MasterBus";
+import useMasterVolume from "./useMasterVolume";
+import ConeWedge from "./ConeWedge";
+import EffectsChainEditor from "./EffectsChainEditor";
+import { putAudio, getAudio, deleteAudio, dataUrlToBlob, formatBytes } from "./AudioStore";
+import useStorageStatus from "./useStorageStatus";
+import StorageStatus from "./StorageStatus";
+import { loadState, serializeState, describeLoad, cellPlacementsFromRegions, regionsFromCellPlacements, STATE_KEYS } from "./Persistence";
 
 // Enhanced single-file React + Tailwind prototype
 // Features added over the previous version:
 //  - Replace synth recordings with uploaded audio files (file picker + decode)
-//  - Persist library and placements to localStorage (audio stored as base64 data URLs)
+//  - Persist library metadata and placements to localStorage as one versioned state document
+//    (Persistence.js migrates the old ss_*_v1 keys); uploaded audio blobs live in IndexedDB
+//    keyed by library id (older base64 entries are moved there on load)
 //  - Spatial audio improvements: StereoPannerNode for left/right panning based on cell X,
 //    smooth gain ramps (linearRampToValueAtTime) for crossfades when cursor moves
+//  - Audio nodes, gain and pan math live in the shared SoundEngine
 // Default grid: 8x8
 
 export default function SoundscapePrototype({ cols = 8, rows = 8, defaultRadius = 3 }) {
+  // persisted state (read once; migrated and validated by Persistence.loadState)
+  const [persisted] = useState(() => loadState("urban"));
+
   // UI state
   const [cursor, setCursor] = useState(null); // {x,y} or null
   const [blackout, setBlackout] = useState(false);
   const [muted, setMuted] = useState(false);
+  const [volume, setVolume, nudgeVolume] = useMasterVolume();
+  const storage = useStorageStatus();
 
-  // Library: { id, name, dataUrl(Base64), audioBuffer (in memory) }
-  const [library, setLibrary] = useState([]);
+  // Library: { id, name, type, size, buffer (in memory, once decoded) } — the audio file itself is in IndexedDB
+  const [library, setLibrary] = useState(persisted.state.library);
 
-  // placements: key = "x,y" -> { x,y, libId, params, nodes }
-  const [placements, setPlacements] = useState({});
+  // placements: key = "x,y" -> { x,y, libId, params } (audio nodes live in the engine)
+  const [placements, setPlacements] = useState(() => cellPlacementsFromRegions(persisted.state.placements));
 
   // editor / search states
   const [editorCell, setEditorCell] = useState(null);
@@ -27,89 +44,89 @@ export default function SoundscapePrototype({ cols = 8, rows = 8, defaultRadius
   const [searchHighlightIdx, setSearchHighlightIdx] = useState(0);
 
   // audio
-  const audioCtxRef = useRef(null);
-  const masterGainRef = useRef(null);
+  const engineRef = useRef(null);
   const placementsRef = useRef(placements);
   placementsRef.current = placements;
   const cursorRef = useRef(cursor);
   cursorRef.current = cursor;
-
-  // localStorage keys
-  const LIB_KEY = "ss_library_v1";
-  const PLACEMENTS_KEY = "ss_placements_v1";
+  // buffer each running voice was started with, keyed by "x,y" (restart when a cell is re-assigned)
+  const runningLibRef = useRef({});
 
   // initialize audio context and restore persisted state
   useEffect(() => {
-    const Ctx = window.AudioContext || window.webkitAudioContext;
-    audioCtxRef.current = new Ctx();
-    masterGainRef.current = audioCtxRef.current.createGain();
-    masterGainRef.current.gain.value = muted ? 0 : 1;
-    masterGainRef.current.connect(audioCtxRef.current.destination);
-
-    // load library & placements from localStorage
-    const libRaw = localStorage.getItem(LIB_KEY);
-    if (libRaw) {
-      try {
-        const parsed = JSON.parse(libRaw);
-        // parsed: [{id,name,dataUrl}]
-        // decode each dataUrl into AudioBuffer asynchronously
-        parsed.forEach((item) => {
-          if (item.dataUrl) {
-            dataUrlToAudioBuffer(item.dataUrl).then((buffer) => {
-              setLibrary(prev => {
-                // avoid duplicates
-                if (prev.find(p => p.id === item.id)) return prev;
-                return [...prev, { id: item.id, name: item.name, dataUrl: item.dataUrl, buffer }];
-              });
-            }).catch(() => {
-              // skip if decode fails
-            });
-          }
-        });
-      } catch (e) {}
-    }
+    engineRef.current = createSoundEngine({ cols, defaultRadius, rampTime: 0.08 });
+    engineRef.current.setMasterGain(muted ? 0 : volume);
 
-    const placementsRaw = localStorage.getItem(PLACEMENTS_KEY);
-    if (placementsRaw) {
+    const notice = describeLoad(persisted);
+    if (notice) storage.notify(notice);
+
+    // read each blob from IndexedDB and decode it into an AudioBuffer asynchronously;
+    // placements start once their library item has a buffer
+    persisted.state.library.forEach(async (item) => {
       try {
-        const parsed = JSON.parse(placementsRaw); // object keyed by 'x,y' -> { x,y,libId,params }
-        setPlacements(parsed);
-        // we will start audio nodes for those placements once the corresponding lib buffer is loaded
-      } catch (e) {}
-    }
+        let blob;
+        if (item.src && item.src.startsWith("data:")) {
+          // legacy base64 entry: move it into IndexedDB
+          blob = await dataUrlToBlob(item.src);
+          await putAudio(item.id, blob);
+        } else {
+          blob = await getAudio(item.id);
+          if (!blob) throw new Error("audio is missing from browser storage");
+        }
+        const buffer = await blobToAudioBuffer(blob);
+        setLibrary(prev => prev.map(p => (p.id === item.id ? { id: p.id, name: p.name, type: "upload", size: blob.size, buffer } : p)));
+      } catch (e) {
+        storage.report(e, `load "${item.name}"`);
+      }
+    });
 
     return () => {
       // stop all nodes and close ctx on unmount
-      Object.values(placementsRef.current).forEach(p => stopPlacementSoundSync(p));
-      audioCtxRef.current && audioCtxRef.current.close();
+      engineRef.current && engineRef.current.dispose();
+      engineRef.current = null;
     };
   }, []);
 
   useEffect(() => {
-    if (masterGainRef.current) masterGainRef.current.gain.value = muted ? 0 : 1;
-    localStorage.setItem(PLACEMENTS_KEY, JSON.stringify(stripPlacementNodes(placements)));
-  }, [muted]);
+    if (engineRef.current) engineRef.current.setMasterGain(muted ? 0 : volume);
+  }, [muted, volume]);
 
   useEffect(() => {
-    // persist library metadata and dataUrl
-    const toSave = library.map(({ id, name, dataUrl }) => ({ id, name, dataUrl }));
-    try { localStorage.setItem(LIB_KEY, JSON.stringify(toSave)); } catch (e) {}
-  }, [library]);
+    // persist library metadata (audio is in IndexedDB) and placements as one versioned document
+    const doc = serializeState({ library, placements: regionsFromCellPlacements(stripPlacementNodes(placements)) });
+    storage.saveLocal(STATE_KEYS.urban, doc, "save the scene");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [library, placements]);
 
   useEffect(() => {
     // whenever placements state changes, ensure audio nodes exist for each placement that has a decoded buffer
-    Object.entries(placements).forEach(([key, pl]) => {
-      if (pl.nodes) return; // already has nodes
-      const lib = library.find(l => l.id === pl.libId);
-      if (lib && lib.buffer) {
-        const nodes = startPlacementSoundNodes(pl.x, pl.y, lib.buffer, pl.params);
-        setPlacements(prev => ({ ...prev, [key]: { ...prev[key], nodes } }));
-      }
-    });
+    const engine = engineRef.current;
+    if (engine) {
+      Object.entries(placements).forEach(([key, pl]) => {
+        const lib = library.find(l => l.id === pl.libId);
+        if (!lib || !lib.buffer) {
+          engine.removePlacement(key);
+          return;
+        }
+        // (re)start when the cell is new or now holds a different recording
+        const running = runningLibRef.current[key];
+        if (engine.hasPlacement(key) && running === lib.buffer) {
+          engine.updatePlacement(toEnginePlacement(key, pl));
+          return;
+        }
+        engine.addPlacement(toEnginePlacement(key, pl), { buffer: lib.buffer });
+        runningLibRef.current[key] = lib.buffer;
+      });
+      // stop voices whose cell was cleared
+      engine.getPlacementIds().forEach((key) => {
+        if (!placements[key]) {
+          engine.removePlacement(key);
+          delete runningLibRef.current[key];
+        }
+      });
+    }
     // update gains per cursor
     refreshPlacementGains(cursorRef.current);
-    // persist placements without nodes
-    localStorage.setItem(PLACEMENTS_KEY, JSON.stringify(stripPlacementNodes(placements)));
   }, [placements, library]);
 
   // helper to remove nodes before persisting
@@ -123,78 +140,42 @@ export default function SoundscapePrototype({ cols = 8, rows = 8, defaultRadius
     return out;
   }
 
-  // convert dataUrl to AudioBuffer
-  function dataUrlToAudioBuffer(dataUrl) {
-    const ctx = audioCtxRef.current;
-    return fetch(dataUrl)
-      .then(r => r.arrayBuffer())
-      .then(buf => ctx.decodeAudioData(buf));
-  }
-
-  // convert File -> dataUrl (base64) and decode
-  function handleFileUpload(file) {
-    const reader = new FileReader();
-    reader.onload = async (ev) => {
-      const dataUrl = ev.target.result;
-      try {
-        const buffer = await dataUrlToAudioBuffer(dataUrl);
-        const id = `lib-${Date.now()}`;
-        const name = file.name;
-        setLibrary(prev => [...prev, { id, name, dataUrl, buffer }]);
-      } catch (e) {
-        alert('Failed to decode audio file. Make sure it is an MP3/WAV/AAC supported by your browser.');
-      }
-    };
-    reader.readAsDataURL(file);
+  // convert Blob/File to AudioBuffer
+  function blobToAudioBuffer(blob) {
+    const ctx = engineRef.current.context;
+    return blob.arrayBuffer().then(buf => ctx.decodeAudioData(buf));
   }
 
-  // start audio nodes for placement: returns { source, gain, panner }
-  function startPlacementSoundNodes(x, y, audioBuffer, params = {}) {
-    const ctx = audioCtxRef.current;
-    if (!ctx || !audioBuffer) return null;
-
-    // create source (AudioBufferSourceNode) and set loop
-    const src = ctx.createBufferSource();
-    src.buffer = audioBuffer;
-    src.loop = true;
-
-    const gain = ctx.createGain();
-    gain.gain.value = 0; // start silent
-
-    const panner = ctx.createStereoPanner();
-    panner.pan.value = computePanForX(x);
-
-    // chain: src -> gain -> panner -> master
-    src.connect(gain);
-    gain.connect(panner);
-    panner.connect(masterGainRef.current);
-
-    const now = ctx.currentTime;
-    try { src.start(now + (params.timing ?? 0)); } catch (e) {}
-
-    return { src, gain, panner };
+  // decode File, then store it in IndexedDB
+  async function handleFileUpload(file) {
+    let buffer;
+    try {
+      buffer = await blobToAudioBuffer(file);
+    } catch {
+      alert('Failed to decode audio file. Make sure it is an MP3/WAV/AAC supported by your browser.');
+      return;
+    }
+    const id = `lib-${Date.now()}`;
+    try {
+      await putAudio(id, file);
+    } catch (e) {
+      storage.report(e, `store "${file.name}"`);
+      return;
+    }
+    storage.refresh();
+    setLibrary(prev => [...prev, { id, name: file.name, type: "upload", size: file.size, buffer }]);
   }
 
-  function stopPlacementSoundSync(pl) {
-    if (!pl || !pl.nodes) return;
-    const ctx = audioCtxRef.current;
-    try {
-      // ramp down quickly
-      pl.nodes.gain.gain.cancelScheduledValues(ctx.currentTime);
-      pl.nodes.gain.gain.linearRampToValueAtTime(0, ctx.currentTime + 0.03);
-      // stop source after brief fade
-      pl.nodes.src.stop(ctx.currentTime + 0.05);
-      pl.nodes.src.disconnect();
-      pl.nodes.gain.disconnect();
-      pl.nodes.panner.disconnect();
-    } catch (e) {}
+  // engine placements are region-shaped; GridUrban placements cover a single cell
+  function toEnginePlacement(key, pl) {
+    return { id: key, cells: [{ x: pl.x, y: pl.y }], params: pl.params };
   }
 
   // remove placement and stop audio
   function stopPlacementSound(key) {
     const pl = placementsRef.current[key];
     if (!pl) return;
-    stopPlacementSoundSync(pl);
+    engineRef.current && engineRef.current.removePlacement(key);
     setPlacements(prev => {
       const copy = { ...prev };
       delete copy[key];
@@ -202,50 +183,29 @@ export default function SoundscapePrototype({ cols = 8, rows = 8, defaultRadius
     });
   }
 
-  // compute stereo pan for given x: -1..1 based on center
-  function computePanForX(x) {
-    const center = (cols - 1) / 2;
-    if (cols === 1) return 0;
-    const pan = (x - center) / center;
-    return Math.max(-1, Math.min(1, pan));
-  }
-
-  // distance and gain calc with linear decay
-  function distance(a, b) {
-    const dx = a.x - b.x;
-    const dy = a.y - b.y;
-    return Math.sqrt(dx * dx + dy * dy);
-  }
-
-  function computeGainForPlacement(placement, cursorPos) {
-    if (!cursorPos) return 0;
-    const d = distance({ x: placement.x, y: placement.y }, cursorPos);
-    const radius = placement.params?.radius ?? defaultRadius;
-    if (d > radius) return 0;
-    const base = 1 - d / radius; // linear in [0,1]
-    return base * (placement.params?.volume ?? 1);
+  // remove a library item together with every placement (and voice) that plays it, so no
+  // placement is left pointing at audio that is gone
+  function deleteLibraryItem(item) {
+    const keys = Object.keys(placementsRef.current).filter(key => placementsRef.current[key].libId === item.id);
+    keys.forEach(key => {
+      engineRef.current && engineRef.current.removePlacement(key);
+      delete runningLibRef.current[key];
+    });
+    if (keys.length) {
+      setPlacements(prev => {
+        const copy = { ...prev };
+        keys.forEach(key => delete copy[key]);
+        return copy;
+      });
+      setEditorCell(cell => (cell && keys.includes(`${cell.x},${cell.y}`) ? null : cell));
+    }
+    setLibrary(prev => prev.filter(p => p.id !== item.id));
+    deleteAudio(item.id).then(storage.refresh, (e) => storage.report(e, `delete "${item.name}" from browser storage`));
   }
 
   // smoothly refresh all placement gains & pans when cursor moves
   function refreshPlacementGains(cursorPos) {
-    const ctx = audioCtxRef.current;
-    const now = ctx.currentTime;
-    Object.entries(placementsRef.current).forEach(([key, pl]) => {
-      if (!pl.nodes) return;
-      const targetGain = computeGainForPlacement(pl, cursorPos);
-      // smooth ramp for crossfade
-      try {
-        pl.nodes.gain.gain.cancelScheduledValues(now);
-        pl.nodes.gain.gain.linearRampToValueAtTime(targetGain, now + 0.08);
-      } catch (e) {}
-
-      // update panner based on actual pan from x and optional angularRange etc.
-      try {
-        const targetPan = computePanForX(pl.x);
-        pl.nodes.panner.pan.cancelScheduledValues(now);
-        pl.nodes.panner.pan.linearRampToValueAtTime(targetPan, now + 0.08);
-      } catch (e) {}
-    });
+    engineRef.current && engineRef.current.setListener(cursorPos);
   }
 
   // keyboard handling
@@ -256,6 +216,8 @@ export default function SoundscapePrototype({ cols = 8, rows = 8, defaultRadius
       // top menu
       if (key === "1") { e.preventDefault(); document.getElementById('file-input')?.click(); return; }
       if (key === "2") { e.preventDefault(); setMuted(m => !m); return; }
+      if (key === "-") { e.preventDefault(); nudgeVolume(-1); return; }
+      if (key === "=" || key === "+") { e.preventDefault(); nudgeVolume(1); return; }
       if (key === "3") { e.preventDefault(); setBlackout(b => !b); return; }
 
       if (searchOpen) {
@@ -322,7 +284,7 @@ export default function SoundscapePrototype({ cols = 8, rows = 8, defaultRadius
     const cur = cursorRef.current;
     if (!cur) return;
     const key = `${cur.x},${cur.y}`;
-    const params = { volume: 1, radius: defaultRadius, angularRange: 360, proximityTriggers: true, timing: 0 };
+    const params = { volume: 1, radius: defaultRadius, angularRange: 360, proximityTriggers: false, timing: 0, rolloff: "linear", minDistance: 0, floor: 0 };
     setPlacements(prev => ({ ...prev, [key]: { x: cur.x, y: cur.y, libId: item.id, params } }));
     setSearchOpen(false);
   }
@@ -347,9 +309,12 @@ export default function SoundscapePrototype({ cols = 8, rows = 8, defaultRadius
   function renderCell(x, y) {
     const key = `${x},${y}`;
     const has = !!placements[key];
+    const params = placements[key]?.params;
+    const directional = has && isDirectional(params);
     return (
-      <div key={key} role="gridcell" aria-label={`Cell ${x+1},${y+1}${has ? ', has recording' : ''}`} className={`relative w-12 h-12 border border-gray-300 flex items-center justify-center ${blackout ? 'bg-black' : 'bg-white'}`}>
+      <div key={key} role="gridcell" aria-label={`Cell ${x+1},${y+1}${has ? ', has recording' : ''}${directional ? `, facing ${params.direction ?? 0}°` : ''}`} className={`relative w-12 h-12 border border-gray-300 flex items-center justify-center ${blackout ? 'bg-black' : 'bg-white'}`}>
         {cursor && cursor.x === x && cursor.y === y && <div className="absolute inset-0 border-2 border-black pointer-events-none" aria-hidden />}
+        {directional && <ConeWedge direction={params.direction ?? 0} inner={params.angularRange} outer={params.coneOuter} />}
         {has && <div className="w-3 h-3 rounded-full bg-emerald-600" aria-hidden />}
       </div>
     );
@@ -357,9 +322,8 @@ export default function SoundscapePrototype({ cols = 8, rows = 8, defaultRadius
 
   // stop all and remove
   function clearAllPlacements() {
-    Object.entries(placementsRef.current).forEach(([k, pl]) => stopPlacementSoundSync(pl));
+    Object.keys(placementsRef.current).forEach((k) => engineRef.current && engineRef.current.removePlacement(k));
     setPlacements({});
-    localStorage.removeItem(PLACEMENTS_KEY);
   }
 
   return (
@@ -372,9 +336,10 @@ export default function SoundscapePrototype({ cols = 8, rows = 8, defaultRadius
             <input id="file-input" type="file" accept="audio/*" onChange={onFileInputChange} className="hidden" />
           </label>
           <button className="px-3 py-1 rounded border" onClick={() => setMuted(m => !m)}>2 — Toggle mute ({muted ? 'Muted' : 'Unmuted'})</button>
+          <MasterBus engineRef={engineRef} volume={volume} onVolumeChange={setVolume} muted={muted} />
           <button className="px-3 py-1 rounded border" onClick={() => setBlackout(b => !b)}>3 — Toggle blackout ({blackout ? 'On' : 'Off'})</button>
         </div>
-        <div className="ml-auto text-xs text-gray-500">Arrows/WASD move. Alphanumeric opens library search. Enter places. Backspace/Delete removes. 'e' edits.</div>
+        <div className="ml-auto text-xs text-gray-500">Arrows/WASD move. Alphanumeric opens library search. Enter places. Backspace/Delete removes. 'e' edits. - / + adjust master volume.</div>
       </div>
 
       <div className="flex gap-6">
@@ -389,6 +354,9 @@ export default function SoundscapePrototype({ cols = 8, rows = 8, defaultRadius
         <div className="w-80">
           <div className="mb-4">
             <div className="text-sm font-semibold">Library</div>
+            <div className="mt-1">
+              <StorageStatus usage={storage.usage} error={storage.error} onDismiss={storage.dismiss} />
+            </div>
             <ul className="mt-2 max-h-48 overflow-auto border rounded p-2 text-sm">
               {library.length === 0 && <li className="text-gray-500">No recordings yet — press 1 or use the file picker</li>}
               {library.map(item => (
@@ -399,7 +367,7 @@ export default function SoundscapePrototype({ cols = 8, rows = 8, defaultRadius
                       if (!cursor) return alert('Place the cursor with arrow keys first');
                       selectLibraryItemForCursor(item);
                     }}>Place</button>
-                    <button className="px-2 py-0.5 border rounded text-xs" onClick={() => setLibrary(prev => prev.filter(p => p.id !== item.id))}>Delete</button>
+                    <button className="px-2 py-0.5 border rounded text-xs" onClick={() => deleteLibraryItem(item)}>Delete</button>
                   </div>
                 </li>
               ))}
@@ -440,7 +408,7 @@ export default function SoundscapePrototype({ cols = 8, rows = 8, defaultRadius
             {filteredLibrary().map((item, i) => (
               <li key={item.id} className={`p-2 rounded cursor-pointer ${i === searchHighlightIdx ? 'bg-gray-100' : ''}`} onMouseEnter={()=>setSearchHighlightIdx(i)} onClick={()=>selectLibraryItemForCursor(item)}>
                 <div className="font-medium">{item.name}</div>
-                <div className="text-xs text-gray-500">{item.dataUrl ? 'file' : '—'}</div>
+                <div className="text-xs text-gray-500">{item.size ? formatBytes(item.size) : '—'}</div>
               </li>
             ))}
             {filteredLibrary().length === 0 && <li className="p-2 text-gray-500">No results</li>}
@@ -456,11 +424,23 @@ export default function SoundscapePrototype({ cols = 8, rows = 8, defaultRadius
         let vol = params.volume ?? 1;
         let radius = params.radius ?? defaultRadius;
         let angularRange = params.angularRange ?? 360;
-        let proximityTriggers = params.proximityTriggers ?? true;
+        let proximityTriggers = params.proximityTriggers ?? false;
+        let triggerCount = params.triggerCount ?? 1;
+        let triggerCooldown = params.triggerCooldown ?? 2;
+        let stopOnExit = params.stopOnExit ?? false;
+        let fadeOut = params.fadeOut ?? 0.5;
+        let effects = params.effects ?? [];
         let timing = params.timing ?? 0;
+        let rolloff = params.rolloff ?? "linear";
+        let curve = params.curve ?? [[0, 1], [radius, 0]];
+        let minDistance = params.minDistance ?? 0;
+        let floor = params.floor ?? 0;
+        let direction = params.direction ?? 0;
+        let coneOuter = params.coneOuter ?? angularRange;
+        let coneOuterGain = params.coneOuterGain ?? 0;
 
         return (
-          <div key={key} className="fixed right-6 top-24 w-96 bg-white border rounded shadow-lg p-4 z-40">
+          <div key={key} className="fixed right-6 top-24 w-96 max-h-[80vh] overflow-auto bg-white border rounded shadow-lg p-4 z-40">
             <div className="flex items-center justify-between">
               <div className="font-semibold">Edit cell {editorCell.x},{editorCell.y}</div>
               <div className="text-xs text-gray-500">{library.find(l=>l.id===pl.libId)?.name || '—'}</div>
@@ -475,24 +455,79 @@ export default function SoundscapePrototype({ cols = 8, rows = 8, defaultRadius
                 <input type="range" min={0.5} max={10} step={0.1} defaultValue={radius} onChange={(e)=>{ radius = parseFloat(e.target.value); }} />
               </div>
               <div>
-                <label className="block text-xs text-gray-600">Angular range (°)</label>
-                <input type="number" defaultValue={angularRange} onChange={(e)=>{ angularRange = parseFloat(e.target.value); }} className="w-full border rounded p-1" />
+                <label className="block text-xs text-gray-600">Distance rolloff</label>
+                <select defaultValue={rolloff} onChange={(e)=>{ rolloff = e.target.value; }} className="w-full border rounded p-1">
+                  {ROLLOFF_MODELS.map(m => <option key={m} value={m}>{m}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600">Custom curve (distance:gain, used when rolloff is custom)</label>
+                <input type="text" defaultValue={formatCurvePoints(curve)} placeholder="0:1, 2:0.5, 3:0" onChange={(e)=>{ curve = parseCurvePoints(e.target.value); }} className="w-full border rounded p-1" />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600">Min distance (full level within, cells)</label>
+                <input type="number" min={0} step={0.5} defaultValue={minDistance} onChange={(e)=>{ minDistance = parseFloat(e.target.value) || 0; }} className="w-full border rounded p-1" />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600">Floor level (heard everywhere)</label>
+                <input type="range" min={0} max={1} step={0.01} defaultValue={floor} onChange={(e)=>{ floor = parseFloat(e.target.value); }} />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600">Angular range / inner cone (°, 360 = all directions)</label>
+                <input type="number" min={0} max={360} defaultValue={angularRange} onChange={(e)=>{ angularRange = parseFloat(e.target.value); }} className="w-full border rounded p-1" />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600">Facing direction (°, 0 = up, 90 = right)</label>
+                <input type="number" min={0} max={359} defaultValue={direction} onChange={(e)=>{ direction = parseFloat(e.target.value) || 0; }} className="w-full border rounded p-1" />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600">Outer cone (°)</label>
+                <input type="number" min={0} max={360} defaultValue={coneOuter} onChange={(e)=>{ coneOuter = parseFloat(e.target.value); }} className="w-full border rounded p-1" />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600">Outside-cone level</label>
+                <input type="range" min={0} max={1} step={0.01} defaultValue={coneOuterGain} onChange={(e)=>{ coneOuterGain = parseFloat(e.target.value); }} />
               </div>
               <div>
-                <label className="block text-xs text-gray-600">Proximity triggers</label>
+                <label className="block text-xs text-gray-600">Proximity triggers (play as an event when the cursor enters the radius)</label>
                 <select defaultValue={proximityTriggers ? 'on' : 'off'} onChange={(e)=>{ proximityTriggers = e.target.value === 'on'; }} className="w-full border rounded p-1">
                   <option value="on">On</option>
-                  <option value="off">Off</option>
+                  <option value="off">Off (loop)</option>
                 </select>
               </div>
+              <div className="flex gap-2">
+                <div>
+                  <label className="block text-xs text-gray-600">Plays per trigger</label>
+                  <input type="number" min={1} step={1} defaultValue={triggerCount} onChange={(e)=>{ triggerCount = parseInt(e.target.value, 10) || 1; }} className="w-full border rounded p-1" />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-600">Retrigger cooldown (sec)</label>
+                  <input type="number" min={0} step={0.5} defaultValue={triggerCooldown} onChange={(e)=>{ triggerCooldown = parseFloat(e.target.value) || 0; }} className="w-full border rounded p-1" />
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <div>
+                  <label className="block text-xs text-gray-600">Stop on exit</label>
+                  <select defaultValue={stopOnExit ? 'on' : 'off'} onChange={(e)=>{ stopOnExit = e.target.value === 'on'; }} className="w-full border rounded p-1">
+                    <option value="on">On</option>
+                    <option value="off">Off</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-600">Fade-out (sec)</label>
+                  <input type="number" min={0} step={0.1} defaultValue={fadeOut} onChange={(e)=>{ fadeOut = parseFloat(e.target.value) || 0; }} className="w-full border rounded p-1" />
+                </div>
+              </div>
               <div>
                 <label className="block text-xs text-gray-600">Timing offset (sec)</label>
                 <input type="number" defaultValue={timing} onChange={(e)=>{ timing = parseFloat(e.target.value); }} className="w-full border rounded p-1" />
               </div>
 
+              <EffectsChainEditor effects={effects} onChange={(fx)=>{ effects = fx; }} />
+
               <div className="flex gap-2 justify-end">
                 <button className="px-3 py-1 border rounded" onClick={()=>setEditorCell(null)}>Cancel</button>
-                <button className="px-3 py-1 bg-blue-600 text-white rounded" onClick={()=>saveEditor({ volume: vol, radius, angularRange, proximityTriggers, timing })}>Save</button>
+                <button className="px-3 py-1 bg-blue-600 text-white rounded" onClick={()=>saveEditor({ ...params, volume: vol, radius, angularRange, proximityTriggers, timing, rolloff, curve, minDistance, floor, direction, coneOuter, coneOuterGain, triggerCount, triggerCooldown, stopOnExit, fadeOut, effects })}>Save</button>
               </div>
             </div>
           </div>
@@ -503,8 +538,8 @@ export default function SoundscapePrototype({ cols = 8, rows = 8, defaultRadius
 }
 
 /* Notes on limitations & behaviour
- - Persistence stores audio files as base64 data URLs inside localStorage (works for small files; very large files may exceed storage quota). For production, moving to IndexedDB/Blob storage is recommended.
- - AudioBufferSourceNodes are created per placement and looped. Stopping them removes the node; re-placing the same library item will create a new source.
+ - Persistence keeps library metadata and placements in localStorage and audio files as Blobs in IndexedDB; storage failures (e.g. quota) are shown under the Library.
+ - AudioBufferSourceNodes are created per placement by the SoundEngine and looped. Stopping them removes the node; re-placing a cell will create a new source.
  - Spatialization is simple stereo panning based on X coordinate. More advanced 3D audio can be added with PannerNode.
  - Gain changes and pan changes are smoothed with linear ramping to achieve crossfade-like transitions.
 */
\ No newline at end of file
@@ -1,183 +1,331 @@
 // SoundscapePrototypeFinal.jsx
 import React, { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router";
 import NavigationPad from "./NavigationPad";
+import { createSoundEngine, isDirectional } from "./SoundEngine";
+import MasterBus from "./MasterBus";
+import useMasterVolume from "./useMasterVolume";
+import ConeWedge from "./ConeWedge";
+import { REVERB_PRESETS, REVERB_PRESET_IDS } from "./Reverb";
+import { planBounce, renderWalk, regionToPath, normalizePath, pathDuration, encodeWav, downloadBlob } from "./Bounce";
+import { createPerformanceLog, appendEvent, cursorPath, parsePerformanceLog, createPerformancePlayer } from "./Performance";
+import PerformanceTransport from "./PerformanceTransport";
+import { createAudioCache } from "./AudioCache";
+import { putAudio, getAudio, deleteAudio, dataUrlToBlob } from "./AudioStore";
+import useStorageStatus from "./useStorageStatus";
+import StorageStatus from "./StorageStatus";
+import { loadState, serializeState, describeLoad } from "./Persistence";
+import { fetchPublicRecordings } from "./PublicRecordings";
+import { DEFAULT_SCENE_ID, sceneStateKey, scenePerformanceKey, scenePath, isLibraryIdShared, addScene } from "./Scenes";
+import { encodeShare, shareBlockers } from "./ShareLink";
+import ShareLinkControls from "./ShareLinkControls";
+import SharedSceneBanner from "./SharedSceneBanner";
+import useHistory from "./useHistory";
+import HistoryControls from "./HistoryControls";
+import PlacementEditor from "./PlacementEditor";
+import GridSettingsDialog from "./GridSettingsDialog";
+import { DEFAULT_CELL_SIZE } from "./GridResize";
+import { historyShortcut, insertAt } from "./History";
+import { placementAt, stackAt, layerOf, copyPlacement, pasteCells, clampShift, shiftCells, clipboardShortcut } from "./PlacementGeometry";
+import { SELECT_MODES, CIRCLE_RADIUS_MAX, rectCells, circleCells, floodFill, combineRegions, describeRegion, selectionShortcut } from "./RegionTools";
 
 /**
  * SoundscapePrototypeFinal
  *
  * Features:
- * - Grid (cols x rows) default 8x8
+ * - Grid (cols x rows, default 10x10); 0 opens the grid settings dialog to resize the scene (placements
+ *   past the new edge are cropped, shifted inside, or block the resize — see GridResize.js), pick
+ *   the cell size and the default radius. Saved with the scene and undoable.
  * - Cursor (initializes on first navigation)
  * - Shift+Arrow region selection (continuous path, backtracking trims)
  * - Alphanumeric opens search dropdown when region active (Enter places)
- * - Library: loads public recordings from /sound-garden/recordings/manifest.json and supports file uploads
+ * - Library: lists public recordings from /sound-garden/recordings/manifest.json and supports file uploads;
+ *   audio is fetched and decoded on first placement or preview into a size-budgeted cache
+ *   (placed items stay cached), and each item shows its loading/error state
  * - Placements: groups of cells -> looping audio source, gain adjusts by min distance, panning by centroid
- * - Persistence: library metadata + placements saved to localStorage
- *
- * Limitations/things to improve:
- * - localStorage stores library metadata (for uploaded files it stores base64 data URLs; large files may exceed quota)
- * - For production, prefer IndexedDB for audio blobs
+ *   (node graph and gain/pan math live in the shared SoundEngine)
+ * - Spatialization mode: stereo panning or 3D HRTF (front/back cues, listener follows the cursor)
+ * - Pan mode per scene: absolute (by column) or listener-relative (from cursor to nearest cell)
+ * - Directional placements (params.angularRange < 360) show a cone wedge facing params.direction
+ * - Wall cells (5 toggles at cursor, or paints the Shift-selected region) block line-of-sight;
+ *   occluded placements are attenuated and low-passed
+ * - Reverb zones (6 with a region selected): acoustic preset + wet level; placements and the
+ *   listener inside a zone are sent through its convolver
+ * - Performances: 7 records cursor moves, region edits and mute toggles with timestamps;
+ *   9 replays the log (pause, seek, speed); logs persist and can be saved/loaded as JSON
+ * - Walk export: 8 bounces the recorded performance's cursor path (or the Shift-selected
+ *   region path at a fixed speed) offline to a downloadable WAV
+ * - Voice management: only placements near the cursor run a source (at most MAX_VOICES, by
+ *   params.priority, loudness, then distance); loops resume in phase when the cursor returns
+ * - Persistence: one versioned state document (see Persistence.js; older layouts are migrated and
+ *   corrupt entries quarantined) holds library metadata, placements, walls, zones and spatial
+ *   settings in localStorage; uploaded audio blobs live in
+ *   IndexedDB keyed by library id (older base64 entries are moved there on load). Storage usage is
+ *   shown under the Library and quota failures are reported instead of dropped silently.
+ * - Scenes: each named scene (see Scenes.js, routed as /sound-garden/urban/:sceneId) has its own
+ *   state document, grid size and performance log; the route remounts this component per scene.
+ * - Scene links: layouts using only public recordings can be copied as a URL (see ShareLink.js);
+ *   opening one hydrates a read-only or editable scene that is not saved until "Save as new scene".
+ * - Undo/redo (Ctrl+Z / Ctrl+Shift+Z or the on-screen buttons) covers placing, removing, library
+ *   additions and deletions (with their placements), walls and reverb zones; each step is announced.
+ * - Clipboard: Ctrl+C / Ctrl+X copy or cut the placement under the cursor, Ctrl+V pastes it at the
+ *   cursor with the same shape and params; G grabs it so the arrows move it (clamped to the grid,
+ *   voices follow live), Enter or G drops it and Escape puts it back.
+ * - Selection tools besides the Shift+Arrow path: Alt+R anchors a rectangle sized with the arrows,
+ *   Alt+C a circle (arrows move it, 1–9 set its radius), Alt+F flood-fills the contiguous empty
+ *   cells under the cursor; Alt+M switches whether the next shape replaces, adds to or subtracts
+ *   from the selection. Each result is announced.
+ * - Placement editor (E on any cell of a placement, or Edit in the list): every param is applied
+ *   live (a dragged slider is one undo step); Space on the grid adds or removes the cursor's cell
+ *   and the current selection can be added to or cut out of the placement's region.
+ * - Stacked placements: a cell can hold several; its badge shows how many, the Placements panel
+ *   lists the stack under the cursor and [ / ] pick which one copy, grab, edit and Backspace act
+ *   on. params.layer orders the stack and params.exclusive silences lower layers on its cells
+ *   while the cursor stands there (see SoundEngine).
  */
 
+// how long the Library "Preview" button plays an item (sec)
+const PREVIEW_SECONDS = 4;
+// concurrent looping sources; further placements wait silently until they rank high enough
+const MAX_VOICES = 24;
+// max level difference between the ears for listener-relative panning (dB)
+const EAR_LEVEL_DIFFERENCE_DB = 20;
+// shortcuts that change the layout, ignored on a read-only shared scene
+const LAYOUT_EDIT_KEYS = ["0", "1", "5", "6", "Backspace", "Delete"];
+// grab and selection-tool modes: keys that move one cell
+const CELL_MOVES = {
+  ArrowUp: [0, -1], w: [0, -1], W: [0, -1],
+  ArrowDown: [0, 1], s: [0, 1], S: [0, 1],
+  ArrowLeft: [-1, 0], a: [-1, 0], A: [-1, 0],
+  ArrowRight: [1, 0], d: [1, 0], D: [1, 0],
+};
+// selection modes (RegionTools.SELECT_MODES) as read out after Alt+M
+const MODE_PHRASES = { replace: "replaces the selection", add: "adds to the selection", subtract: "subtracts from the selection" };
+
 export default function GridUrbanAdvanced({
-  cols = 10,
-  rows = 10,
-  defaultRadius = 3,
+  sceneId = DEFAULT_SCENE_ID,
+  shared = null, // { state, editable, rejected } when opened from a scene link (never saved in place)
+  cols: defaultCols = 10,
+  rows: defaultRows = 10,
+  defaultRadius: defaultRadiusProp = 3,
 }) {
+  // persisted scene (read once; migrated and validated by Persistence.loadState)
+  const [persisted] = useState(() => (shared ? { state: shared.state, migratedFrom: null, quarantined: 0 } : loadState("advanced", sceneStateKey(sceneId))));
+  const readOnly = !!shared && !shared.editable;
+  // a scene saved with its own grid size overrides the props; the settings dialog changes it at runtime
+  const [grid, setGrid] = useState(() => ({
+    cellSize: DEFAULT_CELL_SIZE,
+    ...(persisted.state.grid || { cols: defaultCols, rows: defaultRows, defaultRadius: defaultRadiusProp }),
+  }));
+  const { cols, rows, defaultRadius, cellSize } = grid;
+  const [gridSettingsOpen, setGridSettingsOpen] = useState(false);
+
   // UI state
   const [cursor, setCursor] = useState(null); // {x,y} or null
   const [region, setRegion] = useState([]); // [{x,y}, ...]
   const [regionActive, setRegionActive] = useState(false);
   const [lastRegionCell, setLastRegionCell] = useState(null);
   const [muted, setMuted] = useState(false);
+  const [volume, setVolume, nudgeVolume] = useMasterVolume();
+  const [spatialMode, setSpatialMode] = useState(persisted.state.settings.spatialMode); // "stereo" | "hrtf"
+  const [panMode, setPanMode] = useState(persisted.state.settings.panMode); // "absolute" | "relative"
+  const [walls, setWalls] = useState(persisted.state.walls); // [{x,y}, ...]
+  const [zones, setZones] = useState(persisted.state.zones); // [{ id, cells:[{x,y}], preset, wet }]
+  const [zoneDraft, setZoneDraft] = useState(null); // { cells, preset, wet } while the zone dialog is open
+  const [recording, setRecording] = useState(false);
+  const [performanceLog, setPerformanceLog] = useState(() => {
+    if (shared) return createPerformanceLog();
+    try {
+      const raw = localStorage.getItem(scenePerformanceKey(sceneId));
+      return raw ? parsePerformanceLog(JSON.parse(raw)) : createPerformanceLog();
+    } catch (e) {
+      console.error("Failed to parse performance log:", e);
+      return createPerformanceLog();
+    }
+  });
+  const [replay, setReplay] = useState({ playing: false, position: 0, speed: 1 });
+  const [voiceStats, setVoiceStats] = useState({ placements: 0, playing: 0 });
+  const storage = useStorageStatus();
+  const navigate = useNavigate();
+  const history = useHistory();
+  const [clipboard, setClipboard] = useState(null); // { libId, params, offsets, name } from copy / cut
+  const [grab, setGrab] = useState(null); // { id, origin: cells } while a placement is being moved
+  const [gridStatus, setGridStatus] = useState(""); // announced clipboard / grab / selection feedback
+  const [selectMode, setSelectMode] = useState("replace"); // how the next tool shape combines with the selection
+  const [selectTool, setSelectTool] = useState(null); // { kind: "rect" | "circle", anchor, radius, base, mode } while sizing a shape
+  const [editorId, setEditorId] = useState(null); // id of the placement open in the editor panel
+  const [stackPick, setStackPick] = useState(null); // { x, y, id }: the stacked placement picked on that cell
+  const [bounceDraft, setBounceDraft] = useState(null); // { source, speed, tail, rendering, error } while the export dialog is open
 
   const [searchOpen, setSearchOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
   const [searchHighlightIdx, setSearchHighlightIdx] = useState(0);
 
-  const [library, setLibrary] = useState([]); // {id,name,src,type,buffer?}
-  const [placements, setPlacements] = useState([]); // { id, cells:[{x,y}], libId, params }
+  // {id,name,src,type,size,status?,error?} — buffers live in the audio cache. Persisted "public"
+  // entries are skipped so the on-disk manifest stays authoritative (it re-adds them on mount).
+  const [library, setLibrary] = useState(() =>
+    persisted.state.library
+      .filter((item) => item.type !== "public")
+      .map((item) => {
+        const playable = item.type === "upload" || !!item.src;
+        return { ...item, status: playable ? "idle" : "error", error: playable ? null : "No audio source" };
+      })
+  );
+  const [placements, setPlacements] = useState(persisted.state.placements); // { id, cells:[{x,y}], libId, params }
 
   // navigation
   const [shiftLocked, setShiftLocked] = useState(false);
   const [pressedKey, setPressedKey] = useState(null); // for animating NavigationPad
 
-  // audio
-  const audioCtxRef = useRef(null);
-  const masterGainRef = useRef(null);
-
-  // nodes for running placements (not persisted) keyed by placement id
-  const nodesRef = useRef({}); // { [placementId]: { src, gain, panner } }
+  // audio: engine owns the context and the running nodes (not persisted) keyed by placement id
+  const engineRef = useRef(null);
+  const audioCacheRef = useRef(null); // decoded buffers keyed by library id
+  const previewRef = useRef(null); // source node of the running preview
 
   // refs for latest state in event handlers
   const cursorRef = useRef(cursor);
   const regionRef = useRef(region);
   const placementsRef = useRef(placements);
   const libraryRef = useRef(library);
+  const wallsRef = useRef(walls);
+  const zonesRef = useRef(zones);
+  const clipboardRef = useRef(clipboard);
+  const grabRef = useRef(grab);
+  const selectModeRef = useRef(selectMode);
+  const selectToolRef = useRef(selectTool);
+  const editorIdRef = useRef(editorId);
+  const stackPickRef = useRef(stackPick);
+  const syncedRef = useRef(new Map()); // placement id -> placement object last handed to the engine
+  const zoneDraftRef = useRef(zoneDraft);
+  const bounceDraftRef = useRef(bounceDraft);
+  const gridSettingsOpenRef = useRef(gridSettingsOpen);
+  const recordingRef = useRef(recording);
+  const recordStartRef = useRef(0); // performance.now() when recording started
+  const playerRef = useRef(null);
 
   cursorRef.current = cursor;
   regionRef.current = region;
   placementsRef.current = placements;
   libraryRef.current = library;
-
-  // localStorage keys
-  const LIB_KEY = "ss_v2_library";
-  const PLACEMENTS_KEY = "ss_v2_placements";
+  wallsRef.current = walls;
+  zonesRef.current = zones;
+  clipboardRef.current = clipboard;
+  grabRef.current = grab;
+  selectModeRef.current = selectMode;
+  selectToolRef.current = selectTool;
+  editorIdRef.current = editorId;
+  stackPickRef.current = stackPick;
+  zoneDraftRef.current = zoneDraft;
+  bounceDraftRef.current = bounceDraft;
+  gridSettingsOpenRef.current = gridSettingsOpen;
+  recordingRef.current = recording;
 
   // initialize audio context and load persisted state + public manifest
   useEffect(() => {
-    const Ctx = window.AudioContext || window.webkitAudioContext;
-    audioCtxRef.current = new Ctx();
-    masterGainRef.current = audioCtxRef.current.createGain();
-    masterGainRef.current.gain.value = muted ? 0 : 1;
-    masterGainRef.current.connect(audioCtxRef.current.destination);
-
-    // // load persisted library metadata
-    const libRaw = localStorage.getItem(LIB_KEY);
-    if (libRaw) {
-      try {
-        const parsed = JSON.parse(libRaw);
-        parsed.forEach((item) => {
-          // item: { id, name, src, type }
-          // We intentionally skip persisted "public" entries here so the
-          // on-disk manifest (/public/recordings/manifest.json) remains
-          // authoritative and we avoid double-adding the same public file
-          // (race between persisted decode and manifest decode can cause dupes).
-          if (item.type === "public") return;
-
-          // avoid duplicates by id or name+type
-          const exists = libraryRef.current.find((l) => l.id === item.id || (l.name === item.name && l.type === item.type));
-          if (exists) return;
-
-          if (item.src) {
-            decodeSrcToBuffer(item.src).then((buffer) => {
-              setLibrary((prev) => {
-                if (prev.find((p) => p.id === item.id || (p.name === item.name && p.type === item.type))) return prev;
-                return [...prev, { ...item, buffer }];
-              });
-            }).catch(() => {
-              // decode fail -> keep metadata without buffer
-              setLibrary(prev => {
-                if (prev.find(p => p.id === item.id || (p.name === item.name && p.type === item.type))) return prev;
-                return [...prev, item];
-              });
-            });
-          } else {
-            setLibrary(prev => {
-              if (prev.find(p => p.id === item.id || (p.name === item.name && p.type === item.type))) return prev;
-              return [...prev, item];
-            });
-          }
-        });
-      } catch (e) {
-        console.error("Failed to parse library:", e);
-      }
-    }
+    engineRef.current = createSoundEngine({ cols, defaultRadius, spatialization: spatialMode, panMode, earLevelDifference: EAR_LEVEL_DIFFERENCE_DB, voiceManagement: true, maxVoices: MAX_VOICES });
+    engineRef.current.setMasterGain(muted ? 0 : volume);
+    audioCacheRef.current = createAudioCache({
+      decode: decodeLibraryItem,
+      onEvict: (id) => setLibraryStatus(id, "idle"),
+    });
+
+    const notice = describeLoad(persisted);
+    if (notice) storage.notify(notice);
 
-    // load placements from storage (without nodes)
-    const psRaw = localStorage.getItem(PLACEMENTS_KEY);
-    if (psRaw) {
+    // move legacy base64 uploads into IndexedDB (they stay playable from src until then)
+    libraryRef.current.forEach(async (item) => {
+      if (item.type !== "upload" || !item.src || !item.src.startsWith("data:")) return;
       try {
-        const parsed = JSON.parse(psRaw); // array
-        setPlacements(parsed);
+        const blob = await dataUrlToBlob(item.src);
+        await putAudio(item.id, blob);
+        setLibrary((prev) => prev.map((l) => (l.id === item.id ? { ...l, src: undefined, size: blob.size } : l)));
       } catch (e) {
-        console.error("Failed to parse placements:", e);
+        storage.report(e, `move "${item.name}" into browser storage`);
       }
-    }
+    });
 
     // load public recordings manifest (if exists)
     loadPublicManifest();
 
     return () => {
       // stop nodes and close context on unmount
-      Object.values(nodesRef.current).forEach(stopPlacementNodes);
-      audioCtxRef.current && audioCtxRef.current.close();
+      engineRef.current && engineRef.current.dispose();
+      engineRef.current = null;
+      audioCacheRef.current = null;
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
   useEffect(() => {
-    if (masterGainRef.current) masterGainRef.current.gain.value = muted ? 0 : 1;
-  }, [muted]);
+    if (engineRef.current) engineRef.current.setMasterGain(muted ? 0 : volume);
+  }, [muted, volume]);
 
-  // whenever placements change, persist them (without nodes)
   useEffect(() => {
-    try {
-      localStorage.setItem(PLACEMENTS_KEY, JSON.stringify(placements));
-    } catch (e) {}
-  }, [placements]);
+    if (engineRef.current) engineRef.current.setSpatialization(spatialMode);
+  }, [spatialMode]);
 
-  // whenever library changes, persist metadata
   useEffect(() => {
-    const metadata = library.map(({ id, name, src, type }) => ({ id, name, src, type }));
-    try {
-      localStorage.setItem(LIB_KEY, JSON.stringify(metadata));
-    } catch (e) {}
-  }, [library]);
+    if (engineRef.current) engineRef.current.setPanMode(panMode, EAR_LEVEL_DIFFERENCE_DB);
+  }, [panMode]);
+
+  useEffect(() => {
+    if (engineRef.current) engineRef.current.setWalls(walls);
+  }, [walls]);
+
+  useEffect(() => {
+    if (engineRef.current) engineRef.current.setGrid({ cols, defaultRadius });
+  }, [cols, defaultRadius]);
 
-  // whenever placements or library update, ensure nodes exist for each placement (if buffer available)
   useEffect(() => {
+    if (engineRef.current) engineRef.current.setReverbZones(zones);
+  }, [zones]);
+
+  // persist the scene as one versioned document (upload audio itself is in IndexedDB)
+  useEffect(() => {
+    if (shared) return;
+    const doc = serializeState({ library, placements, walls, zones, settings: { spatialMode, panMode }, grid });
+    storage.saveLocal(sceneStateKey(sceneId), doc, "save the scene");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [library, placements, walls, zones, spatialMode, panMode, grid]);
+
+  // whenever placements or library update, ensure nodes exist for each placement,
+  // loading the item's audio on first placement
+  useEffect(() => {
+    const engine = engineRef.current;
+    const cache = audioCacheRef.current;
+    if (!engine || !cache) return;
+    cache.setPinned(placements.map((pl) => pl.libId));
     placements.forEach((pl) => {
-      if (nodesRef.current[pl.id]) {
+      const synced = syncedRef.current.get(pl.id);
+      if (engine.hasPlacement(pl.id)) {
         // already has nodes
+        if (synced === pl) return;
+        if (synced && synced.libId === pl.libId) {
+          // params or cells changed (an edit, or an undone one)
+          engine.updatePlacement(pl);
+          syncedRef.current.set(pl.id, pl);
+          return;
+        }
+        engine.removePlacement(pl.id);
+      }
+      const buffer = cache.get(pl.libId);
+      if (buffer) {
+        // create nodes; initial gain/pan reflect the engine's current listener
+        engine.addPlacement(pl, { buffer });
+        syncedRef.current.set(pl.id, pl);
         return;
       }
       const lib = libraryRef.current.find((l) => l.id === pl.libId);
-      if (lib && lib.buffer) {
-        // create nodes
-        const nd = createPlacementNodes(pl, lib.buffer, pl.params || {}, audioCtxRef.current, masterGainRef.current, cols);
-        nodesRef.current[pl.id] = nd;
-        // ensure initial gain/pan reflect current cursor
-        updatePlacementGainAndPan(pl, nd, cursorRef.current);
-      }
+      if (lib && lib.status === "idle") ensureBuffer(lib);
     });
     // cleanup finished placements removed from state
-    Object.keys(nodesRef.current).forEach((id) => {
+    engine.getPlacementIds().forEach((id) => {
       if (!placementsRef.current.find((p) => p.id === id)) {
-        stopPlacementNodes(nodesRef.current[id]);
-        delete nodesRef.current[id];
+        engine.removePlacement(id);
+        syncedRef.current.delete(id);
       }
     });
+    setVoiceStats(engine.getVoiceStats());
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [placements, library]);
 
@@ -188,70 +336,175 @@ export default function GridUrbanAdvanced({
   }
 
   async function decodeSrcToBuffer(src) {
-    const ctx = audioCtxRef.current;
-    if (src.startsWith("data:")) {
-      // base64 data URL
-      const res = await fetch(src);
-      const ab = await res.arrayBuffer();
-      const buffer = await ctx.decodeAudioData(ab);
-      return buffer;
-    } else {
-      // regular URL (e.g. /recordings/file.mp3)
-      const res = await fetch(src);
-      const ab = await res.arrayBuffer();
-      const buffer = await ctx.decodeAudioData(ab);
-      return buffer;
+    const ctx = engineRef.current.context;
+    // regular URL (e.g. /recordings/file.mp3)
+    const res = await fetch(src);
+    const ab = await res.arrayBuffer();
+    const buffer = await ctx.decodeAudioData(ab);
+    return buffer;
+  }
+
+  // uploads are read back from IndexedDB, everything else is fetched from its src
+  async function decodeLibraryItem(item) {
+    if (item.type !== "upload" || item.src) return decodeSrcToBuffer(item.src);
+    const blob = await getAudio(item.id);
+    if (!blob) throw new Error("Audio is missing from browser storage");
+    return engineRef.current.context.decodeAudioData(await blob.arrayBuffer());
+  }
+
+  function setLibraryStatus(id, status, error = null) {
+    setLibrary((prev) => prev.map((l) => (l.id === id ? { ...l, status, error } : l)));
+  }
+
+  // fetch + decode an item into the cache (shared if already in flight); resolves null on failure
+  function ensureBuffer(item) {
+    const cache = audioCacheRef.current;
+    if (!cache || (item.type !== "upload" && !item.src)) return Promise.resolve(null);
+    const cached = cache.get(item.id);
+    if (cached) return Promise.resolve(cached);
+    setLibraryStatus(item.id, "loading");
+    return cache.load(item.id, item).then(
+      (buffer) => {
+        setLibraryStatus(item.id, "ready");
+        return buffer;
+      },
+      (e) => {
+        console.warn("Failed to decode recording", item.name, e);
+        setLibraryStatus(item.id, "error", "Could not load or decode this file");
+        return null;
+      }
+    );
+  }
+
+  // play the first few seconds of an item straight into the master bus
+  function previewItem(item) {
+    ensureBuffer(item).then((buffer) => {
+      const engine = engineRef.current;
+      if (!buffer || !engine) return;
+      stopPreview();
+      const ctx = engine.context;
+      const src = ctx.createBufferSource();
+      src.buffer = buffer;
+      src.connect(engine.master);
+      src.onended = () => {
+        src.disconnect();
+        if (previewRef.current === src) previewRef.current = null;
+      };
+      src.start();
+      src.stop(ctx.currentTime + Math.min(PREVIEW_SECONDS, buffer.duration));
+      previewRef.current = src;
+    });
+  }
+
+  function stopPreview() {
+    if (!previewRef.current) return;
+    try {
+      previewRef.current.stop();
+    } catch {
+      // already stopped
     }
+    previewRef.current = null;
   }
 
-  // Public manifest loader - expects /sound-garden/recordings/manifest.json to be an array of filenames
+  // Public manifest loader - expects /sound-garden/recordings/manifest.json to be an array of filenames.
+  // Entries appear immediately; their audio is decoded on first placement or preview.
   async function loadPublicManifest() {
+    const items = await fetchPublicRecordings();
+    setLibrary((prev) => {
+      const added = items
+        .filter((item) => !prev.find((p) => p.id === item.id || (p.name === item.name && p.type === "public")))
+        .map((item) => ({ ...item, status: "idle", error: null }));
+      return added.length ? [...prev, ...added] : prev;
+    });
+  }
+
+  // File upload handler (file -> buffer; the file itself is stored in IndexedDB)
+  async function handleFileUpload(file) {
+    // avoid adding duplicate uploads (same name and size)
+    if (libraryRef.current.find((p) => p.type === "upload" && p.name === file.name && (p.size == null || p.size === file.size))) return;
+    let buffer;
     try {
-      const manifestRes = await fetch("/sound-garden/recordings/manifest.json");
-      if (!manifestRes.ok) return;
-      const files = await manifestRes.json();
-      for (const fname of files) {
-        const src = `/sound-garden/recordings/${fname}`;
-        const id = `pub-${fname}`;
-        // avoid duplicates by id or name+type
-        try {
-          const buffer = await decodeSrcToBuffer(src);
-          setLibrary((prev) => {
-            if (prev.find((p) => p.id === id || (p.name === fname && p.type === "public"))) return prev;
-            return [...prev, { id, name: fname, src, type: "public", buffer }];
-          });
-        } catch (e) {
-          console.warn("Failed to decode public recording", fname, e);
-          setLibrary((prev) => {
-            if (prev.find((p) => p.id === id || (p.name === fname && p.type === "public"))) return prev;
-            return [...prev, { id, name: fname, src, type: "public" }];
-          });
-        }
-      }
+      buffer = await engineRef.current.context.decodeAudioData(await file.arrayBuffer());
+    } catch {
+      alert("Failed to decode uploaded audio file. Ensure it is a supported format.");
+      return;
+    }
+    const id = uid("upl");
+    try {
+      await putAudio(id, file);
     } catch (e) {
-      // no manifest or network error is OK
-      // console.warn("No public manifest or failed to load:", e);
+      storage.report(e, `store "${file.name}"`);
+      return;
     }
+    storage.refresh();
+    audioCacheRef.current && audioCacheRef.current.set(id, buffer);
+    setLibrary((prev) => [...prev, { id, name: file.name, type: "upload", size: file.size, status: "ready", error: null }]);
+    history.record({
+      label: `add "${file.name}" to the library`,
+      undo: () => {
+        setLibrary((prev) => prev.filter((l) => l.id !== id));
+        audioCacheRef.current && audioCacheRef.current.remove(id);
+        // a scene duplicated since the upload lists the same id, so its audio stays
+        if (!isLibraryIdShared(id, sceneId)) {
+          deleteAudio(id).then(storage.refresh, (e) => storage.report(e, `delete "${file.name}" from browser storage`));
+        }
+      },
+      redo: () => {
+        putAudio(id, file).then(
+          () => {
+            storage.refresh();
+            setLibrary((prev) => [...prev, { id, name: file.name, type: "upload", size: file.size, status: "idle", error: null }]);
+          },
+          (e) => storage.report(e, `store "${file.name}"`)
+        );
+      },
+    });
   }
 
-  // File upload handler (file -> dataURL -> buffer)
-  function handleFileUpload(file) {
-    const reader = new FileReader();
-    reader.onload = async (ev) => {
-      const dataUrl = ev.target.result;
+  // delete a library item and every placement using it as one undoable step; the command keeps
+  // an upload's audio in memory so undo can store it again
+  async function deleteLibraryItem(item) {
+    const index = libraryRef.current.findIndex((l) => l.id === item.id);
+    const removed = placementsRef.current.map((p, i) => [i, p]).filter(([, p]) => p.libId === item.id);
+    let blob = null;
+    if (item.type === "upload") {
       try {
-        const buffer = await decodeSrcToBuffer(dataUrl);
-        const id = uid("upl");
-        setLibrary((prev) => {
-          // avoid adding duplicate uploads (same name+type or same src)
-          if (prev.find((p) => (p.type === "upload" && p.name === file.name) || p.src === dataUrl)) return prev;
-          return [...prev, { id, name: file.name, src: dataUrl, type: "upload", buffer }];
-        });
+        blob = await getAudio(item.id);
       } catch (e) {
-        alert("Failed to decode uploaded audio file. Ensure it is a supported format.");
+        console.error("Failed to read audio before deleting:", e);
       }
+    }
+    const remove = () => {
+      setPlacements((prev) => prev.filter((p) => p.libId !== item.id));
+      setLibrary((prev) => prev.filter((l) => l.id !== item.id));
+      audioCacheRef.current && audioCacheRef.current.remove(item.id);
+      // duplicated scenes share upload audio, so keep it while another scene lists it
+      if (item.type === "upload" && !isLibraryIdShared(item.id, sceneId)) {
+        deleteAudio(item.id).then(storage.refresh, (e) => storage.report(e, `delete "${item.name}" from browser storage`));
+      }
+    };
+    const restore = () => {
+      setLibrary((prev) => insertAt(prev, index, { ...item, status: "idle", error: null }));
+      setPlacements((prev) => removed.reduce((list, [i, p]) => insertAt(list, i, p), prev));
     };
-    reader.readAsDataURL(file);
+    remove();
+    history.record({
+      label: `delete "${item.name}"${removed.length ? ` and ${removed.length} placement${removed.length === 1 ? "" : "s"}` : ""}`,
+      undo: () => {
+        if (!blob) {
+          restore();
+          return;
+        }
+        putAudio(item.id, blob).then(
+          () => {
+            storage.refresh();
+            restore();
+          },
+          (e) => storage.report(e, `restore "${item.name}"`)
+        );
+      },
+      redo: remove,
+    });
   }
 
   function handleRegionMovementWithShift(curCursor, key, region, setRegion, lastCell, setLastCell) {
@@ -298,10 +551,7 @@ export default function GridUrbanAdvanced({
       libId: libItem.id,
       params: { volume: params.volume ?? 1, radius: params.radius ?? defaultRadius, timing: 0, ...params },
     };
-    setPlacements((prev) => {
-      const next = [...prev, newPlacement];
-      return next;
-    });
+    addPlacement(newPlacement);
     // clear region
     setRegion([]);
     setRegionActive(false);
@@ -309,104 +559,352 @@ export default function GridUrbanAdvanced({
     setSearchOpen(false);
   }
 
-  // Create audio nodes for a placement: returns { src, gain, panner }
-  function createPlacementNodes(placement, buffer, params, audioCtx = audioCtxRef.current, masterGain = masterGainRef.current, gridWidth = cols) {
-    if (!audioCtx || !buffer) return null;
-    const src = audioCtx.createBufferSource();
-    src.buffer = buffer;
-    src.loop = true;
+  // push the cursor to the engine so every running placement re-ramps its gain & pan
+  function updateListener(cursorPos) {
+    if (!engineRef.current) return;
+    engineRef.current.setListener(cursorPos);
+    setVoiceStats(engineRef.current.getVoiceStats());
+  }
 
-    const gain = audioCtx.createGain();
-    gain.gain.value = 0; // start silent
+  const libName = (libId) => libraryRef.current.find((l) => l.id === libId)?.name || "recording";
 
-    const panner = audioCtx.createStereoPanner();
-    // compute centroid-based pan
-    const centroid = computeCentroid(placement.cells);
-    const pan = centroidToPan(centroid, gridWidth);
-    panner.pan.value = pan;
+  // add a placement as one undoable step (the sync effect starts its voice)
+  function addPlacement(pl, verb = "place") {
+    setPlacements((prev) => [...prev, pl]);
+    history.record({
+      label: `${verb} "${libName(pl.libId)}"`,
+      undo: () => setPlacements((prev) => prev.filter((p) => p.id !== pl.id)),
+      redo: () => setPlacements((prev) => [...prev, pl]),
+    });
+  }
 
-    // chain: src -> gain -> panner -> masterGain
-    src.connect(gain);
-    gain.connect(panner);
-    panner.connect(masterGain);
+  function removePlacementById(id, verb = "remove") {
+    const index = placementsRef.current.findIndex((p) => p.id === id);
+    if (index < 0) return;
+    const pl = placementsRef.current[index];
+    setPlacements((prev) => prev.filter((p) => p.id !== id));
+    engineRef.current && engineRef.current.removePlacement(id);
+    history.record({
+      label: `${verb} "${libName(pl.libId)}"`,
+      undo: () => setPlacements((prev) => insertAt(prev, index, pl)),
+      redo: () => setPlacements((prev) => prev.filter((p) => p.id !== id)),
+    });
+  }
 
-    // start immediately (looping)
-    try {
-      src.start(audioCtx.currentTime + (params.timing ?? 0));
-    } catch (e) {
-      // some browsers require resume on user gesture; assumed already resumed elsewhere
+  const cellCount = (n) => `${n} cell${n === 1 ? "" : "s"}`;
+
+  // the placement cell actions apply to: the one picked with [ / ] on this cell, else the top of its stack
+  function pickedPlacement() {
+    const cur = cursorRef.current;
+    const stack = stackAt(placementsRef.current, cur);
+    const pick = stackPickRef.current;
+    const picked = pick && cur && pick.x === cur.x && pick.y === cur.y && stack.find((p) => p.id === pick.id);
+    return picked || stack[0] || null;
+  }
+
+  const describeLayer = (pl) => `"${libName(pl.libId)}", layer ${layerOf(pl)}${pl.params?.exclusive ? ", exclusive" : ""}`;
+
+  function cycleStack(step) {
+    const cur = cursorRef.current;
+    const stack = stackAt(placementsRef.current, cur);
+    if (stack.length === 0) {
+      setGridStatus("No placements under the cursor");
+      return;
     }
+    const i = (stack.indexOf(pickedPlacement()) + step + stack.length) % stack.length;
+    const pick = { x: cur.x, y: cur.y, id: stack[i].id };
+    stackPickRef.current = pick;
+    setStackPick(pick);
+    setGridStatus(`${i + 1} of ${stack.length}: ${describeLayer(stack[i])}`);
+  }
 
-    return { src, gain, panner };
+  function copyAtCursor(cut) {
+    const cur = cursorRef.current;
+    const pl = pickedPlacement();
+    if (!pl) {
+      setGridStatus(`No placement under the cursor to ${cut ? "cut" : "copy"}`);
+      return;
+    }
+    const name = libName(pl.libId);
+    setClipboard({ ...copyPlacement(pl, cur), name });
+    if (cut) removePlacementById(pl.id, "cut");
+    setGridStatus(`${cut ? "Cut" : "Copied"} "${name}" (${cellCount(pl.cells.length)})`);
   }
 
-  function stopPlacementNodes(nodes) {
-    if (!nodes) return;
-    try {
-      const ctx = audioCtxRef.current;
-      nodes.gain.gain.cancelScheduledValues(ctx.currentTime);
-      nodes.gain.gain.linearRampToValueAtTime(0, ctx.currentTime + 0.03);
-      nodes.src.stop(ctx.currentTime + 0.05);
-      nodes.src.disconnect();
-      nodes.gain.disconnect();
-      nodes.panner.disconnect();
-    } catch (e) {}
-  }
-
-  function centroidToPan(centroid, gridWidth) {
-    // centroid.x in [0 .. gridWidth-1] => pan -1 .. 1
-    if (gridWidth <= 1) return 0;
-    const norm = (centroid.x / (gridWidth - 1)) * 2 - 1;
-    return Math.max(-1, Math.min(1, norm));
-  }
-
-  function computeCentroid(cells) {
-    const sx = cells.reduce((s, c) => s + c.x, 0);
-    const sy = cells.reduce((s, c) => s + c.y, 0);
-    return { x: sx / cells.length, y: sy / cells.length };
-  }
-
-  // compute min distance from cursor to the placement's cells
-  function minDistanceToPlacement(cursorPos, placement) {
-    if (!cursorPos) return Infinity;
-    let md = Infinity;
-    placement.cells.forEach((c) => {
-      const dx = c.x - cursorPos.x;
-      const dy = c.y - cursorPos.y;
-      const d = Math.sqrt(dx * dx + dy * dy);
-      if (d < md) md = d;
+  function pasteAtCursor() {
+    const clip = clipboardRef.current;
+    const cur = cursorRef.current;
+    if (!clip) {
+      setGridStatus("Nothing to paste — copy a placement first");
+      return;
+    }
+    if (!cur) {
+      setGridStatus("Move the cursor onto the grid to paste");
+      return;
+    }
+    if (!libraryRef.current.some((l) => l.id === clip.libId)) {
+      setGridStatus(`"${clip.name}" is no longer in the library`);
+      return;
+    }
+    const cells = pasteCells(clip, cur, cols, rows);
+    if (!cells) {
+      setGridStatus(`"${clip.name}" does not fit on this grid`);
+      return;
+    }
+    addPlacement({ id: uid("pl"), cells, libId: clip.libId, params: { ...clip.params } }, "paste");
+    setGridStatus(`Pasted "${clip.name}" (${cellCount(cells.length)})`);
+  }
+
+  function setPlacementCells(id, cells) {
+    setPlacements((prev) => prev.map((p) => (p.id === id ? { ...p, cells } : p)));
+  }
+
+  function setPlacementParams(id, params) {
+    setPlacements((prev) => prev.map((p) => (p.id === id ? { ...p, params } : p)));
+  }
+
+  function startGrab() {
+    const pl = pickedPlacement();
+    if (!pl) {
+      setGridStatus("No placement under the cursor to grab");
+      return;
+    }
+    setGrab({ id: pl.id, origin: pl.cells });
+    setGridStatus(`Grabbed "${libName(pl.libId)}" — arrows move it, Enter or G drops it, Escape puts it back`);
+  }
+
+  // the listener stays put while the placement moves, so its gain and pan change as it goes
+  function moveGrabbed(wantDx, wantDy) {
+    const g = grabRef.current;
+    const pl = placementsRef.current.find((p) => p.id === g.id);
+    if (!pl) {
+      setGrab(null);
+      return;
+    }
+    const { dx, dy } = clampShift(pl.cells, wantDx, wantDy, cols, rows);
+    if (!dx && !dy) {
+      setGridStatus("At the edge of the grid");
+      return;
+    }
+    const cells = shiftCells(pl.cells, dx, dy);
+    // key repeat can outrun rendering
+    placementsRef.current = placementsRef.current.map((p) => (p.id === pl.id ? { ...p, cells } : p));
+    setPlacementCells(pl.id, cells);
+    setGridStatus(`"${libName(pl.libId)}" at column ${cells[0].x + 1}, row ${cells[0].y + 1}`);
+  }
+
+  function dropGrab(cancel) {
+    const g = grabRef.current;
+    setGrab(null);
+    const pl = placementsRef.current.find((p) => p.id === g.id);
+    if (!pl) return;
+    const name = libName(pl.libId);
+    const moved = pl.cells;
+    const unchanged = moved.every((c, i) => c.x === g.origin[i].x && c.y === g.origin[i].y);
+    if (cancel || unchanged) {
+      if (!unchanged) setPlacementCells(g.id, g.origin);
+      setGridStatus(`"${name}" left where it was`);
+      return;
+    }
+    history.record({
+      label: `move "${name}"`,
+      undo: () => setPlacementCells(g.id, g.origin),
+      redo: () => setPlacementCells(g.id, moved),
     });
-    return md;
+    setGridStatus(`Dropped "${name}"`);
   }
 
-  // compute gain (linear) 1 at 0 -> 0 at >= radius
-  function computeGainFromDistance(d, radius, baseVol = 1) {
-    if (d > radius) return 0;
-    const g = (1 - d / radius) * baseVol;
-    return Math.max(0, Math.min(1.0 * baseVol, g));
+  // placement editor ----------------------------------------------
+
+  function openEditor() {
+    const pl = pickedPlacement();
+    if (!pl) return;
+    setEditorId(pl.id);
+    setGridStatus(`Editing "${libName(pl.libId)}" — changes apply as you make them; Space on the grid adds or removes the cursor's cell`);
   }
 
-  // update gains & pans for all running placement nodes when cursor moves
-  function updatePlacementGainAndPan(placement, nodes, cursorPos) {
-    if (!nodes) return;
-    const ctx = audioCtxRef.current;
-    const now = ctx.currentTime;
-    const d = minDistanceToPlacement(cursorPos, placement);
-    const radius = placement.params?.radius ?? defaultRadius;
-    const target = computeGainFromDistance(d, radius, placement.params?.volume ?? 1.0);
-    try {
-      nodes.gain.gain.cancelScheduledValues(now);
-      nodes.gain.gain.linearRampToValueAtTime(target, now + 0.06);
-    } catch (e) {}
+  // one param change, applied live; a dragged slider folds into one undo step
+  function editPlacementParam(name, value, label) {
+    const id = editorIdRef.current;
+    const pl = placementsRef.current.find((p) => p.id === id);
+    if (!pl) return;
+    const before = pl.params;
+    const after = { ...before, [name]: value };
+    // slider events can outrun rendering
+    placementsRef.current = placementsRef.current.map((p) => (p.id === id ? { ...p, params: after } : p));
+    setPlacementParams(id, after);
+    history.record({
+      label: `change ${label.split(" (")[0].toLowerCase()} of "${libName(pl.libId)}"`,
+      undo: () => setPlacementParams(id, before),
+      redo: () => setPlacementParams(id, after),
+      mergeKey: `param-${id}-${name}`,
+    });
+  }
 
-    // panning remains based on centroid (no change unless region mutated)
-    // If you want dynamic panning based on cursor position, you can compute pan here.
-    try {
-      const centroid = computeCentroid(placement.cells);
-      const pan = centroidToPan(centroid, cols);
-      nodes.panner.pan.cancelScheduledValues(now);
-      nodes.panner.pan.linearRampToValueAtTime(pan, now + 0.06);
-    } catch (e) {}
+  function editPlacementCells(cells, verb) {
+    const id = editorIdRef.current;
+    const pl = placementsRef.current.find((p) => p.id === id);
+    if (!pl) return;
+    const name = libName(pl.libId);
+    if (cells.length === 0) {
+      setGridStatus(`"${name}" needs at least one cell`);
+      return;
+    }
+    if (cells.length === pl.cells.length) {
+      setGridStatus(`"${name}" already has those cells`);
+      return;
+    }
+    const before = pl.cells;
+    placementsRef.current = placementsRef.current.map((p) => (p.id === id ? { ...p, cells } : p));
+    setPlacementCells(id, cells);
+    history.record({
+      label: `${verb} "${name}"`,
+      undo: () => setPlacementCells(id, before),
+      redo: () => setPlacementCells(id, cells),
+    });
+    setGridStatus(`"${name}" now covers ${describeRegion(cells)}`);
+  }
+
+  function toggleEditorCell() {
+    const pl = placementsRef.current.find((p) => p.id === editorIdRef.current);
+    const cur = cursorRef.current;
+    if (!pl || !cur) return;
+    const has = pl.cells.some((c) => c.x === cur.x && c.y === cur.y);
+    editPlacementCells(combineRegions(pl.cells, [cur], has ? "subtract" : "add"), has ? "remove a cell from" : "add a cell to");
+  }
+
+  function editorSelection(mode) {
+    const pl = placementsRef.current.find((p) => p.id === editorIdRef.current);
+    if (!pl || !regionActive) return;
+    editPlacementCells(combineRegions(pl.cells, regionRef.current, mode), mode === "add" ? "add the selection to" : "remove the selection from");
+  }
+
+  // grid settings -------------------------------------------------
+
+  function openGridSettings() {
+    if (grabRef.current || selectToolRef.current) return;
+    setGridSettingsOpen(true);
+  }
+
+  // apply the dialog's size / cell size / radius and the layout planResize produced, as one undoable step
+  function applyGridSettings(nextGrid, plan) {
+    const before = { grid, placements: placementsRef.current, walls: wallsRef.current, zones: zonesRef.current };
+    const after = { grid: nextGrid, placements: plan.placements, walls: plan.walls, zones: plan.zones };
+    const restore = (snap) => {
+      setGrid(snap.grid);
+      setPlacements(snap.placements);
+      setWalls(snap.walls);
+      setZones(snap.zones);
+      const cur = cursorRef.current;
+      if (cur && (cur.x >= snap.grid.cols || cur.y >= snap.grid.rows)) {
+        const next = { x: Math.min(cur.x, snap.grid.cols - 1), y: Math.min(cur.y, snap.grid.rows - 1) };
+        cursorRef.current = next;
+        setCursor(next);
+        updateListener(next);
+      }
+    };
+    restore(after);
+    setRegion([]);
+    setRegionActive(false);
+    setLastRegionCell(null);
+    setGridSettingsOpen(false);
+    const resized = nextGrid.cols !== grid.cols || nextGrid.rows !== grid.rows;
+    history.record({
+      label: resized ? `resize the grid to ${nextGrid.cols}×${nextGrid.rows}` : "change the grid settings",
+      undo: () => restore(before),
+      redo: () => restore(after),
+    });
+    setGridStatus(resized ? `Grid is now ${nextGrid.cols} columns by ${nextGrid.rows} rows` : "Grid settings updated");
+  }
+
+  // selection tools (see RegionTools) ------------------------------
+
+  function applySelection(cells) {
+    regionRef.current = cells;
+    setRegion(cells);
+    setRegionActive(cells.length > 0);
+    setLastRegionCell(cells.length ? cursorRef.current : null);
+  }
+
+  function announceSelection(verb, shape, mode) {
+    const now = describeRegion(regionRef.current);
+    setGridStatus(mode === "replace" ? `${verb} ${now}` : `${verb} ${describeRegion(shape)} (${mode}) — selection is ${now}`);
+  }
+
+  function toolShape(tool, cur) {
+    return tool.kind === "rect" ? rectCells(tool.anchor, cur) : circleCells(cur, tool.radius, cols, rows);
+  }
+
+  function previewTool(tool, cur) {
+    const shape = toolShape(tool, cur);
+    applySelection(combineRegions(tool.base, shape, tool.mode));
+    return shape;
+  }
+
+  function cycleSelectMode() {
+    const next = SELECT_MODES[(SELECT_MODES.indexOf(selectModeRef.current) + 1) % SELECT_MODES.length];
+    setSelectMode(next);
+    setGridStatus(`Next shape ${MODE_PHRASES[next]}`);
+  }
+
+  function startSelectTool(kind) {
+    let cur = cursorRef.current;
+    if (!cur) {
+      cur = { x: Math.floor(cols / 2), y: 0 };
+      setCursor(cur);
+      updateListener(cur);
+    }
+    const tool = { kind, anchor: cur, radius: 2, base: regionActive ? regionRef.current : [], mode: selectModeRef.current };
+    setSelectTool(tool);
+    previewTool(tool, cur);
+    setGridStatus(kind === "rect"
+      ? `Rectangle from column ${cur.x + 1}, row ${cur.y + 1} — arrows size it, Enter keeps it, Escape cancels`
+      : `Circle of radius ${tool.radius} — arrows move it, 1–${CIRCLE_RADIUS_MAX} set the radius, Enter keeps it, Escape cancels`);
+  }
+
+  function moveSelectTool(dx, dy) {
+    const cur = cursorRef.current;
+    const next = { x: Math.max(0, Math.min(cols - 1, cur.x + dx)), y: Math.max(0, Math.min(rows - 1, cur.y + dy)) };
+    cursorRef.current = next;
+    setCursor(next);
+    updateListener(next);
+    setGridStatus(describeRegion(previewTool(selectToolRef.current, next)));
+  }
+
+  function setCircleRadius(radius) {
+    const tool = { ...selectToolRef.current, radius };
+    selectToolRef.current = tool;
+    setSelectTool(tool);
+    setGridStatus(`Radius ${radius}: ${describeRegion(previewTool(tool, cursorRef.current))}`);
+  }
+
+  function finishSelectTool(cancel) {
+    const tool = selectToolRef.current;
+    setSelectTool(null);
+    if (cancel) {
+      applySelection(tool.base);
+      setGridStatus("Selection unchanged");
+      return;
+    }
+    announceSelection("Selected", toolShape(tool, cursorRef.current), tool.mode);
+  }
+
+  // contiguous cells with no placement and no wall, starting under the cursor
+  function fillSelection() {
+    const cur = cursorRef.current;
+    if (!cur) {
+      setGridStatus("Move the cursor onto the grid to fill");
+      return;
+    }
+    const blocked = new Set([...wallsRef.current, ...placementsRef.current.flatMap((p) => p.cells)].map((c) => `${c.x},${c.y}`));
+    const shape = floodFill(cur, (x, y) => !blocked.has(`${x},${y}`), cols, rows);
+    if (shape.length === 0) {
+      setGridStatus("Fill starts on an empty cell — this one has a placement or wall");
+      return;
+    }
+    const mode = selectModeRef.current;
+    applySelection(combineRegions(regionActive ? regionRef.current : [], shape, mode));
+    announceSelection("Filled", shape, mode);
   }
 
   // Event handlers ------------------------------------------------
@@ -418,7 +916,95 @@ export default function GridUrbanAdvanced({
     function onKeyDown(e) {
       const key = e.key;
 
+      // the reverb zone and export dialogs handle their own keys
+      if (zoneDraftRef.current || bounceDraftRef.current || gridSettingsOpenRef.current) return;
+
+      // the editor's fields keep their own keys (its panel closes itself on Escape)
+      if (e.target.closest && e.target.closest("[data-placement-editor]") && ["INPUT", "SELECT", "TEXTAREA"].includes(e.target.tagName)) return;
+
+      // grab mode owns the keyboard until the placement is dropped
+      if (grabRef.current) {
+        e.preventDefault();
+        if (CELL_MOVES[key]) moveGrabbed(...CELL_MOVES[key]);
+        else if (key === "Enter" || key === "g" || key === "G") dropGrab(false);
+        else if (key === "Escape") dropGrab(true);
+        return;
+      }
+
+      // so does a rectangle or circle being sized
+      if (selectToolRef.current) {
+        e.preventDefault();
+        const tool = selectToolRef.current;
+        if (CELL_MOVES[key]) moveSelectTool(...CELL_MOVES[key]);
+        else if (tool.kind === "circle" && /^[1-9]$/.test(key)) setCircleRadius(Number(key));
+        else if (key === "Enter" || selectionShortcut(e) === tool.kind) finishSelectTool(false);
+        else if (key === "Escape") finishSelectTool(true);
+        return;
+      }
+
+      const step = historyShortcut(e);
+      if (step) {
+        e.preventDefault();
+        if (readOnly) return;
+        if (step === "undo") history.undo();
+        else history.redo();
+        return;
+      }
+      const clip = clipboardShortcut(e);
+      if (clip) {
+        e.preventDefault();
+        if (clip === "copy") copyAtCursor(false);
+        else if (readOnly) return;
+        else if (clip === "cut") copyAtCursor(true);
+        else pasteAtCursor();
+        return;
+      }
+      const selection = selectionShortcut(e);
+      if (selection) {
+        e.preventDefault();
+        if (selection === "mode") cycleSelectMode();
+        else if (selection === "fill") fillSelection();
+        else startSelectTool(selection);
+        return;
+      }
+      // [ / ] step through the placements stacked under the cursor
+      if ((key === "[" || key === "]") && cursorRef.current) {
+        e.preventDefault();
+        cycleStack(key === "]" ? 1 : -1);
+        return;
+      }
+      if (readOnly && LAYOUT_EDIT_KEYS.includes(key)) return;
+      if (editorIdRef.current && key === "Escape") {
+        e.preventDefault();
+        setEditorId(null);
+        return;
+      }
+      // Space on the grid (a focused button clicks itself) adds or removes the cursor's cell
+      if (editorIdRef.current && key === " " && e.target.tagName !== "BUTTON") {
+        e.preventDefault();
+        toggleEditorCell();
+        return;
+      }
+      // E on a placement opens it in the editor
+      const onPlacement = !readOnly && !e.ctrlKey && !e.metaKey && !["INPUT", "SELECT", "TEXTAREA"].includes(e.target.tagName) && pickedPlacement();
+      if ((key === "e" || key === "E") && onPlacement) {
+        e.preventDefault();
+        openEditor();
+        return;
+      }
+      // G on a placement grabs it; elsewhere (or while typing) it stays a search letter
+      if ((key === "g" || key === "G") && onPlacement) {
+        e.preventDefault();
+        startGrab();
+        return;
+      }
+
       // Top menu shortcuts
+      if (key === "0") {
+        e.preventDefault();
+        openGridSettings();
+        return;
+      }
       if (key === "1") {
         e.preventDefault();
         openAddRecordingDialog();
@@ -429,11 +1015,60 @@ export default function GridUrbanAdvanced({
         setMuted(m => !m);
         return;
       }
+      if (key === "-") {
+        e.preventDefault();
+        nudgeVolume(-1);
+        return;
+      }
+      if (key === "=" || key === "+") {
+        e.preventDefault();
+        nudgeVolume(1);
+        return;
+      }
     //   if (key === "3") {
     //     e.preventDefault();
     //     setBlackout(b => !b);
     //     return;
     //   }
+      if (key === "3") {
+        e.preventDefault();
+        toggleSpatialMode();
+        return;
+      }
+      if (key === "4") {
+        e.preventDefault();
+        togglePanMode();
+        return;
+      }
+      if (key === "5") {
+        e.preventDefault();
+        toggleWalls();
+        return;
+      }
+      if (key === "6") {
+        e.preventDefault();
+        openZoneDialog();
+        return;
+      }
+      if (key === "7") {
+        e.preventDefault();
+        toggleRecording();
+        return;
+      }
+      if (key === "8") {
+        e.preventDefault();
+        openBounceDialog();
+        return;
+      }
+      if (key === "9") {
+        e.preventDefault();
+        togglePlayback();
+        return;
+      }
+      // moving by hand takes over from a running replay
+      if (playerRef.current && playerRef.current.isPlaying() && (isArrowKey(key) || ["w", "a", "s", "d"].includes(key))) {
+        playerRef.current.pause();
+      }
       if (e.shiftKey) setShiftLocked(true);
 
         // TODO: just shift;
@@ -469,10 +1104,7 @@ export default function GridUrbanAdvanced({
           setLastRegionCell(null);
         }
         // update gains
-        Object.entries(nodesRef.current).forEach(([id, nd]) => {
-          const placement = placementsRef.current.find((p) => p.id === id);
-          if (placement) updatePlacementGainAndPan(placement, nd, next);
-        });
+        updateListener(next);
         // set animations
         setShiftLocked(false);
         setPressedKey(e.key.toLowerCase());
@@ -482,23 +1114,19 @@ export default function GridUrbanAdvanced({
       // Backspace/Delete: delete placement at cursor if any
       if (key === "Backspace" || key === "Delete") {
         if (cursorRef.current) {
-          // find placement that contains this cell
-          const found = placementsRef.current.find((p) => p.cells.some((c) => c.x === cursorRef.current.x && c.y === cursorRef.current.y));
+          // the picked (or topmost) placement on this cell
+          const found = pickedPlacement();
           if (found) {
             e.preventDefault();
             // remove and stop nodes
-            setPlacements((prev) => prev.filter((p) => p.id !== found.id));
-            if (nodesRef.current[found.id]) {
-              stopPlacementNodes(nodesRef.current[found.id]);
-              delete nodesRef.current[found.id];
-            }
+            removePlacementById(found.id);
           }
         }
         return;
       }
 
-      // If alphanumeric pressed:
-      if (/^[a-z0-9]$/i.test(key)) {
+      // If alphanumeric pressed (search places recordings, so not on a read-only scene):
+      if (/^[a-z0-9]$/i.test(key) && !readOnly) {
         // if regionActive => open search with initial char and on Enter place region-recording
         if (regionActive && regionRef.current.length > 0) {
           e.preventDefault();
@@ -543,7 +1171,7 @@ export default function GridUrbanAdvanced({
       window.removeEventListener('keydown', onKeyDown);
       window.removeEventListener('keyup', onKeyUp);
     };
-  }, [regionActive, cols, rows, shiftLocked, pressedKey]);
+  }, [regionActive, cols, rows, shiftLocked, pressedKey, recording, muted, performanceLog]);
 
   useEffect(() => {
     console.log(shiftLocked);
@@ -576,7 +1204,7 @@ export default function GridUrbanAdvanced({
               libId: item.id,
               params: { volume: 1, radius: defaultRadius, timing: 0 },
             };
-            setPlacements((prev) => [...prev, newPlacement]);
+            addPlacement(newPlacement);
             setSearchOpen(false);
           }
         }
@@ -591,18 +1219,237 @@ export default function GridUrbanAdvanced({
     // When cursor is set (including via keyboard), update gains for running placements
   useEffect(() => {
     if (!cursor) return;
-    Object.entries(nodesRef.current).forEach(([id, nd]) => {
-      const placement = placementsRef.current.find((p) => p.id === id);
-      if (placement) updatePlacementGainAndPan(placement, nd, cursor);
-    });
+    updateListener(cursor);
+    recordEvent("cursor", { x: cursor.x, y: cursor.y });
   }, [cursor]);
 
+  useEffect(() => {
+    recordEvent("region", { cells: region.map((c) => ({ x: c.x, y: c.y })), active: regionActive });
+  }, [region, regionActive]);
+
+  useEffect(() => {
+    recordEvent("mute", { muted });
+  }, [muted]);
+
+  useEffect(() => {
+    if (shared) return;
+    try {
+      localStorage.setItem(scenePerformanceKey(sceneId), JSON.stringify(performanceLog));
+    } catch (e) {
+      console.error("Failed to persist performance log:", e);
+    }
+  }, [performanceLog]);
+
+  // a new transport per log; replay drives the same state setters as the keyboard
+  useEffect(() => {
+    const player = createPerformancePlayer({
+      log: performanceLog,
+      onState: applyPerformanceState,
+      onPosition: (position) => setReplay((r) => ({ ...r, position })),
+      onEnd: () => setReplay((r) => ({ ...r, playing: false })),
+    });
+    player.setSpeed(replay.speed);
+    playerRef.current = player;
+    setReplay((r) => ({ ...r, playing: false, position: 0 }));
+    return () => player.dispose();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [performanceLog]);
+
+  function toggleSpatialMode() {
+    setSpatialMode((m) => (m === "hrtf" ? "stereo" : "hrtf"));
+  }
+
+  function togglePanMode() {
+    setPanMode((m) => (m === "relative" ? "absolute" : "relative"));
+  }
+
+  // open the reverb zone dialog for the selected region
+  function openZoneDialog() {
+    if (!regionActive || regionRef.current.length === 0) {
+      alert("Select a region with Shift+Arrows first");
+      return;
+    }
+    setZoneDraft({ cells: regionRef.current.slice(), preset: "street", wet: REVERB_PRESETS.street.wet });
+  }
+
+  // zones only change through here, so each step can restore a snapshot
+  function editZones(label, next, mergeKey) {
+    const before = zonesRef.current;
+    zonesRef.current = next; // a slider can fire again before the next render
+    setZones(next);
+    history.record({ label, mergeKey, undo: () => setZones(before), redo: () => setZones(next) });
+  }
+
+  function saveZoneDraft() {
+    if (!zoneDraft) return;
+    editZones("add reverb zone", [...zonesRef.current, { id: uid("zone"), cells: zoneDraft.cells, preset: zoneDraft.preset, wet: zoneDraft.wet }]);
+    setZoneDraft(null);
+    setRegion([]);
+    setRegionActive(false);
+    setLastRegionCell(null);
+  }
+
+  function updateZone(id, changes) {
+    const field = Object.keys(changes).join(",");
+    editZones(`change reverb zone ${field === "wet" ? "wet level" : field}`, zonesRef.current.map((z) => (z.id === id ? { ...z, ...changes } : z)), `zone-${id}-${field}`);
+  }
+
+  function removeZone(id) {
+    editZones("remove reverb zone", zonesRef.current.filter((z) => z.id !== id));
+  }
+
+  function recordEvent(type, data) {
+    if (!recordingRef.current) return;
+    const t = (performance.now() - recordStartRef.current) / 1000;
+    setPerformanceLog((log) => appendEvent(log, type, data, t));
+  }
+
+  // start a fresh performance from the current state, or stop the running recording
+  function toggleRecording() {
+    if (recording) {
+      setRecording(false);
+      return;
+    }
+    if (playerRef.current) playerRef.current.pause();
+    let log = createPerformanceLog();
+    const cur = cursorRef.current;
+    if (cur) log = appendEvent(log, "cursor", { x: cur.x, y: cur.y }, 0);
+    log = appendEvent(log, "region", { cells: regionRef.current.map((c) => ({ x: c.x, y: c.y })), active: regionActive }, 0);
+    log = appendEvent(log, "mute", { muted }, 0);
+    recordStartRef.current = performance.now();
+    setPerformanceLog(log);
+    setRecording(true);
+  }
+
+  function applyPerformanceState(state) {
+    if (state.cursor) setCursor(state.cursor);
+    setRegion(state.region);
+    setRegionActive(state.regionActive);
+    setLastRegionCell(state.region.length ? state.region[state.region.length - 1] : null);
+    setMuted(state.muted);
+  }
+
+  function togglePlayback() {
+    const player = playerRef.current;
+    if (!player || recording) return;
+    if (player.isPlaying()) player.pause();
+    else player.play();
+    setReplay((r) => ({ ...r, playing: player.isPlaying() }));
+  }
+
+  function seekPlayback(position) {
+    if (playerRef.current) playerRef.current.seek(position);
+  }
+
+  function setPlaybackSpeed(speed) {
+    if (playerRef.current) playerRef.current.setSpeed(speed);
+    setReplay((r) => ({ ...r, speed }));
+  }
+
+  function savePerformanceLog() {
+    const blob = new Blob([JSON.stringify(performanceLog, null, 2)], { type: "application/json" });
+    downloadBlob(blob, "soundscape-performance.json");
+  }
+
+  async function loadPerformanceLog(file) {
+    try {
+      const log = parsePerformanceLog(JSON.parse(await file.text()));
+      setRecording(false);
+      setPerformanceLog(log);
+    } catch (e) {
+      alert(`Failed to load performance log: ${e.message}`);
+    }
+  }
+
+  function openBounceDialog() {
+    const hasRegion = regionActive && regionRef.current.length > 1;
+    const hasWalk = cursorPath(performanceLog).length > 1;
+    setRecording(false);
+    setBounceDraft({ source: hasWalk || !hasRegion ? "recorded" : "region", speed: 2, tail: 2, rendering: false, error: null });
+  }
+
+  function bouncePath(draft) {
+    if (draft.source === "region") return regionToPath(regionRef.current, draft.speed);
+    return normalizePath(cursorPath(performanceLog));
+  }
+
+  // render the walk offline with the live scene settings and download it as WAV. Every
+  // referenced recording is loaded first; if some still can't be, the dialog names the
+  // placements that would be left out and only a second Export renders without them
+  async function runBounce() {
+    const draft = bounceDraftRef.current;
+    if (!draft || draft.rendering) return;
+    const path = bouncePath(draft);
+    if (path.length === 0) {
+      setBounceDraft((d) => ({ ...d, error: draft.source === "region" ? "Select a region path with Shift+Arrows first" : "Record a performance with 7 first" }));
+      return;
+    }
+    setBounceDraft((d) => ({ ...d, rendering: true, error: null }));
+    try {
+      const placements = placementsRef.current;
+      const plan = await planBounce({ placements, library: libraryRef.current, load: ensureBuffer, confirmed: !!draft.skipped });
+      if (!plan.render) {
+        setBounceDraft((d) => d && { ...d, rendering: false, skipped: plan.skipped });
+        return;
+      }
+      const rendered = await renderWalk({
+        placements,
+        getSource: plan.getSource,
+        path,
+        engineOptions: { cols, defaultRadius, spatialization: spatialMode, panMode, earLevelDifference: EAR_LEVEL_DIFFERENCE_DB, voiceManagement: true, maxVoices: MAX_VOICES },
+        walls,
+        zones,
+        tail: draft.tail,
+      });
+      downloadBlob(encodeWav(rendered), `soundscape-walk-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-")}.wav`);
+      setBounceDraft(null);
+    } catch (e) {
+      console.error("Failed to render walk:", e);
+      setBounceDraft((d) => d && { ...d, rendering: false, error: e.message || "Rendering failed" });
+    }
+  }
+
+  // paint walls over the selected region (or the cursor cell); clears them if all are walls already
+  function toggleWalls() {
+    const target = regionActive && regionRef.current.length > 0 ? regionRef.current : cursorRef.current ? [cursorRef.current] : [];
+    if (target.length === 0) return;
+    const before = wallsRef.current;
+    const isWall = (c) => before.some((w) => w.x === c.x && w.y === c.y);
+    const clearing = target.every(isWall);
+    const after = clearing
+      ? before.filter((w) => !target.some((c) => c.x === w.x && c.y === w.y))
+      : [...before, ...target.filter((c) => !isWall(c)).map((c) => ({ x: c.x, y: c.y }))];
+    const changed = clearing ? target.length : after.length - before.length;
+    setWalls(after);
+    history.record({
+      label: `${clearing ? "remove" : "add"} ${changed === 1 ? "wall" : `${changed} walls`}`,
+      undo: () => setWalls(before),
+      redo: () => setWalls(after),
+    });
+  }
+
   // Compute filtered library based on searchQuery
   function filteredLibrary() {
     const q = searchQuery.toLowerCase();
     return library.filter((l) => l.name.toLowerCase().includes(q));
   }
 
+  // the current layout as a link code (throws if a placement uses an upload)
+  function shareCode() {
+    return encodeShare("urban", { library, placements, walls, zones, settings: { spatialMode, panMode }, grid });
+  }
+
+  // keep a scene opened from a link as a new named scene, then open it there
+  function saveSharedScene() {
+    const doc = serializeState({ library, placements, walls, zones, settings: { spatialMode, panMode }, grid });
+    try {
+      const scene = addScene("Shared scene", doc);
+      navigate(scenePath(scene.id));
+    } catch (e) {
+      storage.report(e, "save the shared scene");
+    }
+  }
+
     // utility: add uploaded file via input
   function onFileInputChange(e) {
     const f = e.target.files?.[0];
@@ -610,31 +1457,47 @@ export default function GridUrbanAdvanced({
     e.target.value = null;
   }
 
-  // editor save
-  function saveEditor(params) {
-    if (!editorCell) return;
-    const key = `${editorCell.x},${editorCell.y}`;
-    setPlacements(prev => ({ ...prev, [key]: { ...prev[key], params } }));
-    refreshPlacementGains(cursorRef.current);
-    setEditorCell(null);
-  }
-
   // UI rendering helpers ------------------------------------------
 
+  // placements stacked under the cursor, and the one cell actions go to (outlined when there is a choice)
+  const cursorStack = stackAt(placements, cursor);
+  const pickedAtCursor = (stackPick && cursor && stackPick.x === cursor.x && stackPick.y === cursor.y && cursorStack.find((p) => p.id === stackPick.id)) || cursorStack[0] || null;
+
   function renderCell(x, y) {
     const key = `${x},${y}`;
-    const has = placements.some((p) => p.cells.some((c) => c.x === x && c.y === y));
+    const stacked = placements.filter((p) => p.cells.some((c) => c.x === x && c.y === y)).length;
+    const has = stacked > 0;
+    const directional = placements.find((p) => isDirectional(p.params) && p.cells.some((c) => c.x === x && c.y === y));
     const isCursor = cursor && cursor.x === x && cursor.y === y;
     const isInRegion = region.some((c) => c.x === x && c.y === y);
+    const isWall = walls.some((c) => c.x === x && c.y === y);
+    const zone = zones.find((z) => z.cells.some((c) => c.x === x && c.y === y));
+    const isGrabbed = !!grab && placements.some((p) => p.id === grab.id && p.cells.some((c) => c.x === x && c.y === y));
+    const isAnchor = selectTool?.kind === "rect" && selectTool.anchor.x === x && selectTool.anchor.y === y;
+    const isPicked = cursorStack.length > 1 && pickedAtCursor.cells.some((c) => c.x === x && c.y === y);
+    const isEditing = !!editorId && placements.some((p) => p.id === editorId && p.cells.some((c) => c.x === x && c.y === y));
     return (
       <div
         key={key}
         role="gridcell"
-        aria-label={`Cell ${x + 1}, ${y + 1}${has ? ", has recording" : ""}`}
-        className={`relative w-12 h-12 border border-gray-300 flex items-center justify-center ${isInRegion ? "bg-blue-50" : "bg-white"}`}
+        aria-label={`Cell ${x + 1}, ${y + 1}${isInRegion ? ", selected" : ""}${isAnchor ? ", rectangle anchor" : ""}${isWall ? ", wall" : ""}${zone ? `, ${REVERB_PRESETS[zone.preset]?.label || zone.preset} reverb` : ""}${stacked === 1 ? ", has recording" : stacked > 1 ? `, ${stacked} recordings stacked` : ""}${isPicked ? ", picked" : ""}${isGrabbed ? ", grabbed" : ""}${isEditing ? ", being edited" : ""}${directional ? `, facing ${directional.params.direction ?? 0}°` : ""}`}
+        style={{ width: cellSize, height: cellSize }}
+        className={`relative border border-gray-300 flex items-center justify-center ${isInRegion ? "bg-blue-50" : isWall ? "bg-gray-600" : zone ? "bg-purple-100" : "bg-white"}`}
       >
         {/* cursor outline */}
         {isCursor && <div className="absolute inset-0 border-2 border-black pointer-events-none" aria-hidden />}
+        {/* grabbed placement outline */}
+        {isGrabbed && <div className="absolute inset-1 border-2 border-dashed border-amber-500 pointer-events-none" aria-hidden />}
+        {/* picked placement of a stack */}
+        {isPicked && <div className="absolute inset-1.5 border-2 border-dotted border-sky-500 pointer-events-none" aria-hidden />}
+        {/* stack count badge */}
+        {stacked > 1 && <div className="absolute top-0 right-0.5 text-[10px] font-semibold text-emerald-800 pointer-events-none" aria-hidden>{stacked}</div>}
+        {/* placement open in the editor */}
+        {isEditing && <div className="absolute inset-0.5 border-2 border-emerald-500 pointer-events-none" aria-hidden />}
+        {/* rectangle anchor */}
+        {isAnchor && <div className="absolute inset-2 border-2 border-dotted border-blue-500 pointer-events-none" aria-hidden />}
+        {/* directional cone */}
+        {directional && <ConeWedge direction={directional.params.direction ?? 0} inner={directional.params.angularRange} outer={directional.params.coneOuter} />}
         {/* placed dot */}
         {has && <div className="w-3 h-3 rounded-full bg-emerald-600" aria-hidden />}
       </div>
@@ -647,9 +1510,9 @@ export default function GridUrbanAdvanced({
   // rendering outlines from a different positioning context which could
   // produce mirrored or offset outlines.
 
-  // Utility: find placement that contains cell
+  // Utility: find the topmost placement that contains cell
   function findPlacementAtCell(x, y) {
-    return placements.find((p) => p.cells.some((c) => c.x === x && c.y === y));
+    return placementAt(placements, { x, y });
   }
 
   // UI actions ----------------------------------------------------
@@ -676,7 +1539,7 @@ export default function GridUrbanAdvanced({
         libId: item.id,
         params: { volume: 1, radius: defaultRadius, timing: 0 },
       };
-      setPlacements((prev) => [...prev, newPlacement]);
+      addPlacement(newPlacement);
       setSearchOpen(false);
     } else {
       alert("Place the cursor with arrow keys first");
@@ -689,6 +1552,15 @@ export default function GridUrbanAdvanced({
     // reflect the pressed key for the on-screen animation (lowercase like 'arrowup')
     setPressedKey(key.toLowerCase());
 
+    // the pad steers a grabbed placement or a shape being sized, like the keys do
+    if (grabRef.current || selectToolRef.current) {
+      if (CELL_MOVES[key]) (grabRef.current ? moveGrabbed : moveSelectTool)(...CELL_MOVES[key]);
+      else if (grabRef.current) dropGrab(true);
+      else finishSelectTool(true);
+      setTimeout(() => setPressedKey(null), 150);
+      return;
+    }
+
     // Escape to clear search/region
     if (key === "Escape") {
       setSearchOpen(false);
@@ -730,10 +1602,7 @@ export default function GridUrbanAdvanced({
         setLastRegionCell(null);
       }
       // update gains for running placements
-      Object.entries(nodesRef.current).forEach(([id, nd]) => {
-        const placement = placementsRef.current.find((p) => p.id === id);
-        if (placement) updatePlacementGainAndPan(placement, nd, next);
-      });
+      updateListener(next);
       // reflect UI animation then clear
       setShiftLocked(false);
       setTimeout(() => setPressedKey(null), 150);
@@ -755,32 +1624,45 @@ export default function GridUrbanAdvanced({
 
   return (
     <div className="p-4 font-sans">
+      {shared && (
+        <SharedSceneBanner editable={shared.editable} rejected={shared.rejected} saveLabel="Save as new scene" onSave={saveSharedScene} />
+      )}
       <div className="flex flex-col md:flex-row items-center gap-4 mb-4">
         <div className="text-sm font-medium text-gray-500">Top Menu (keyboard shortcuts)</div>
         <div className="flex gap-3">
-          <button className="px-3 py-1 rounded border">
+          <button className="px-3 py-1 rounded border" disabled={readOnly}>
             1 — Add recording
             <input id="file-input" type="file" accept="audio/*" onChange={onFileInputChange} className="hidden" />
           </button>
           <button className="px-3 py-1 rounded border" onClick={() => setMuted(m => !m)}>2 — Toggle mute ({muted ? 'Muted' : 'Unmuted'})</button>
+          <MasterBus engineRef={engineRef} volume={volume} onVolumeChange={setVolume} muted={muted} />
           {/* <button className="px-3 py-1 rounded border" onClick={() => setBlackout(b => !b)}>3 — Toggle blackout ({blackout ? 'On' : 'Off'})</button> */}
+          <button className="px-3 py-1 rounded border" aria-pressed={spatialMode === "hrtf"} onClick={toggleSpatialMode}>3 — Spatial mode ({spatialMode === "hrtf" ? '3D (HRTF)' : 'Stereo'})</button>
+          <button className="px-3 py-1 rounded border" aria-pressed={panMode === "relative"} onClick={togglePanMode}>4 — Panning ({panMode === "relative" ? 'Listener-relative' : 'Absolute'})</button>
+          <button className="px-3 py-1 rounded border" disabled={readOnly} onClick={toggleWalls}>5 — Wall ({walls.length})</button>
+          <button className="px-3 py-1 rounded border" disabled={readOnly} onClick={openZoneDialog}>6 — Reverb zone</button>
+          <button className="px-3 py-1 rounded border" aria-pressed={recording} onClick={toggleRecording}>7 — Record ({recording ? 'Recording' : 'Off'})</button>
+          <button className="px-3 py-1 rounded border" onClick={openBounceDialog}>8 — Export WAV</button>
+          <button className="px-3 py-1 rounded border" disabled={readOnly} onClick={openGridSettings}>0 — Grid ({cols}×{rows})</button>
         </div>
-        <div className="ml-auto text-xs text-gray-500">Arrows/WASD move. Alphanumeric opens library search. Enter places. Backspace/Delete removes. 'e' edits.</div>
+        {!readOnly && <HistoryControls history={history} />}
+        <ShareLinkControls path={scenePath(DEFAULT_SCENE_ID)} blockers={shareBlockers(library, placements)} getCode={shareCode} />
+        <div className="ml-auto text-xs text-gray-500">Arrows/WASD move. Alphanumeric opens library search. Enter places. Backspace/Delete removes. 'e' edits the placement under the cursor (Space then adds or removes cells); [ / ] pick between stacked placements. Ctrl+Z undoes, Ctrl+Shift+Z redoes. Ctrl+C / Ctrl+X / Ctrl+V copy, cut and paste the placement under the cursor; G grabs it to move with the arrows (Enter drops, Escape cancels). Alt+R / Alt+C / Alt+F select a rectangle, circle or contiguous empty area; Alt+M switches replace / add / subtract. 3 toggles 3D audio (best on headphones), 4 toggles listener-relative panning. 5 paints walls. 6 makes the selected region a reverb zone. 7 records a performance, 9 replays it, 8 exports its walk (or the selected path) as WAV. 0 opens grid settings. - / + adjust master volume.</div>
       </div>
 
       <div className="relative items-center justify-center">
         <div className="flex flex-col md:flex-row gap-3">
           {/* Grid container with CSS grid so region outlines can use gridColumn/gridRow */}
-          <div style={{ display: "grid", gridTemplateColumns: `repeat(${cols}, 48px)` }} className="relative">
+          <div style={{ display: "grid", gridTemplateColumns: `repeat(${cols}, ${cellSize}px)` }} className="relative">
             {Array.from({ length: rows }).flatMap((_, y) =>
               Array.from({ length: cols }).map((_, x) => renderCell(x, y))
             )}
             {/* overlays go after cells so they appear on top */}
             <div style={{ gridColumn: `1 / ${cols + 1}`, gridRow: `1 / ${rows + 1}`, position: "absolute", inset: 0, pointerEvents: "none" }}>
-              <div style={{ display: "grid", gridTemplateColumns: `repeat(${cols}, 48px)` }}>
+              <div style={{ display: "grid", gridTemplateColumns: `repeat(${cols}, ${cellSize}px)` }}>
                 {regionActive && region.map((c) => (
                   // <div key={`outline-${c.x}-${c.y}`} style={{ gridColumn: c.x + 1, gridRow: c.y + 1, width: 48, height: 48, boxSizing: "border-box", border: "2px solid rgba(60,130,255,0.9)", borderRadius: 4, pointerEvents: "none", animation: "pulse 1s infinite" }} />
-                  <div key={`outline-${c.x}-${c.y}`} style={{ gridColumn: c.x + 1, gridRow: c.y + 1, width: 48, height: 48, boxSizing: "border-box"}} />
+                  <div key={`outline-${c.x}-${c.y}`} style={{ gridColumn: c.x + 1, gridRow: c.y + 1, width: cellSize, height: cellSize, boxSizing: "border-box"}} />
                   // TODO: check
                 ))}
               </div>
@@ -789,27 +1671,40 @@ export default function GridUrbanAdvanced({
           {/* On-screen keyboard */}
           <NavigationPad onMove={(dir) => handleMoveFromUI(dir)} shiftLocked={shiftLocked} setShiftLocked={setShiftLocked} pressedKey={pressedKey} />
         </div>
+        {/* Selection tools */}
+        <div className="mt-2 flex flex-wrap items-center gap-1 text-xs">
+          <button className="px-2 py-0.5 border rounded" aria-pressed={selectTool?.kind === "rect"} disabled={!!grab || (!!selectTool && selectTool.kind !== "rect")} onClick={() => (selectTool ? finishSelectTool(false) : startSelectTool("rect"))}>Alt+R — Rectangle</button>
+          <button className="px-2 py-0.5 border rounded" aria-pressed={selectTool?.kind === "circle"} disabled={!!grab || (!!selectTool && selectTool.kind !== "circle")} onClick={() => (selectTool ? finishSelectTool(false) : startSelectTool("circle"))}>Alt+C — Circle</button>
+          <button className="px-2 py-0.5 border rounded" disabled={!!grab || !!selectTool} onClick={fillSelection}>Alt+F — Fill empty area</button>
+          <button className="px-2 py-0.5 border rounded" disabled={!!selectTool} onClick={cycleSelectMode}>Alt+M — Next shape {MODE_PHRASES[selectMode]}</button>
+          <div role="status" aria-live="polite" className="text-gray-500 ml-2">{gridStatus}</div>
+        </div>
       </div>
 
       {/* Library & Placements panel */}
       <div className="mt-4 flex flex-col md:flex-row gap-6">
         <div className="w-80">
           <div className="text-sm font-semibold mb-2">Library</div>
+          <div className="mb-2">
+            <StorageStatus usage={storage.usage} error={storage.error} onDismiss={storage.dismiss} />
+          </div>
           <ul className="max-h-48 overflow-auto border rounded p-2 text-sm">
             {library.length === 0 && <li className="text-gray-500">No recordings yet — upload or place files in public/recordings with manifest.json</li>}
             {library.map((item) => (
               <li key={item.id} className="py-1 flex justify-between items-center">
-                <div className="truncate text-gray-500 dark:text-white">{item.name}</div>
+                <div className="min-w-0">
+                  <div className="truncate text-gray-500 dark:text-white">{item.name}</div>
+                  {item.status === "loading" && <div role="status" className="text-xs text-gray-400">Loading…</div>}
+                  {item.status === "error" && <div role="alert" className="text-xs text-red-600">{item.error || "Failed to load"}</div>}
+                </div>
                 <div className="flex gap-2">
-                  <button className="px-2 py-0.5 border rounded text-xs" onClick={() => handlePlaceFromList(item)}>Place</button>
-                  <button className="px-2 py-0.5 border rounded text-xs" onClick={() => {
-                    // delete library item (also remove any placements referencing it)
-                    setPlacements(prev => prev.filter(p => p.libId !== item.id));
-                    setLibrary(prev => prev.filter(l => l.id !== item.id));
-                    if (item.type === "upload") {
-                      // uploaded dataURL might be large but we'll just remove the entry
-                    }
-                  }}>Delete</button>
+                  {item.status === "error" ? (
+                    <button className="px-2 py-0.5 border rounded text-xs" onClick={() => ensureBuffer(item)}>Retry</button>
+                  ) : (
+                    <button className="px-2 py-0.5 border rounded text-xs" disabled={item.status === "loading"} onClick={() => previewItem(item)}>Preview</button>
+                  )}
+                  <button className="px-2 py-0.5 border rounded text-xs" disabled={readOnly} onClick={() => handlePlaceFromList(item)}>Place</button>
+                  <button className="px-2 py-0.5 border rounded text-xs" disabled={readOnly} onClick={() => deleteLibraryItem(item)}>Delete</button>
                 </div>
               </li>
             ))}
@@ -818,6 +1713,28 @@ export default function GridUrbanAdvanced({
 
         <div className="w-80">
           <div className="text-sm font-semibold mb-2">Placements (grouped by region)</div>
+          <div className="text-xs text-gray-400 mb-1">{voiceStats.playing} of {voiceStats.placements} playing (max {MAX_VOICES} at once)</div>
+          <div className="flex flex-wrap gap-1 mb-1">
+            <button className="px-2 py-0.5 border rounded text-xs" disabled={!!grab} onClick={() => copyAtCursor(false)}>Ctrl+C — Copy</button>
+            <button className="px-2 py-0.5 border rounded text-xs" disabled={readOnly || !!grab} onClick={() => copyAtCursor(true)}>Ctrl+X — Cut</button>
+            <button className="px-2 py-0.5 border rounded text-xs" disabled={readOnly || !!grab || !clipboard} onClick={pasteAtCursor}>Ctrl+V — Paste{clipboard ? ` "${clipboard.name}"` : ""}</button>
+            <button className="px-2 py-0.5 border rounded text-xs" aria-pressed={!!grab} disabled={readOnly} onClick={() => (grab ? dropGrab(false) : startGrab())}>G — {grab ? "Drop" : "Grab"}</button>
+          </div>
+          {cursorStack.length > 0 && (
+            <div className="mb-1 text-xs">
+              <div className="text-gray-500">Under the cursor ({cursorStack.length}{cursorStack.length > 1 ? " — [ / ] to pick" : ""})</div>
+              <ol className="border rounded p-1">
+                {cursorStack.map((p) => (
+                  <li key={p.id}>
+                    <button className={`w-full text-left px-1 rounded ${p === pickedAtCursor ? "bg-sky-100" : ""}`} aria-current={p === pickedAtCursor}
+                      onClick={() => setStackPick({ x: cursor.x, y: cursor.y, id: p.id })}>
+                      {describeLayer(p)}
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
           <ul className="max-h-48 overflow-auto border rounded p-2 text-sm">
             {placements.length === 0 && <li className="text-gray-500">No placements</li>}
             {placements.map((p) => (
@@ -828,21 +1745,166 @@ export default function GridUrbanAdvanced({
                   <div className="text-xs text-gray-400">lib: {library.find(l => l.id === p.libId)?.name || p.libId}</div>
                 </div>
                 <div className="flex flex-col gap-1">
-                  <button className="px-2 py-0.5 border rounded text-xs" onClick={() => {
+                  <button className="px-2 py-0.5 border rounded text-xs" disabled={readOnly} aria-pressed={editorId === p.id} onClick={() => setEditorId(editorId === p.id ? null : p.id)}>Edit</button>
+                  <button className="px-2 py-0.5 border rounded text-xs" disabled={readOnly} onClick={() => {
                     // remove placement
-                    setPlacements(prev => prev.filter(x => x.id !== p.id));
-                    if (nodesRef.current[p.id]) {
-                      stopPlacementNodes(nodesRef.current[p.id]);
-                      delete nodesRef.current[p.id];
-                    }
+                    removePlacementById(p.id);
                   }}>Remove</button>
                 </div>
               </li>
             ))}
           </ul>
         </div>
+
+        <div className="w-80">
+          <div className="text-sm font-semibold mb-2">Reverb zones</div>
+          <ul className="max-h-48 overflow-auto border rounded p-2 text-sm">
+            {zones.length === 0 && <li className="text-gray-500">No zones — select a region and press 6</li>}
+            {zones.map((z) => (
+              <li key={z.id} className="py-1 flex justify-between items-center gap-2">
+                <div className="flex-1">
+                  <select aria-label="Reverb preset" value={z.preset} disabled={readOnly} onChange={(e) => updateZone(z.id, { preset: e.target.value })} className="border rounded p-0.5 text-xs">
+                    {REVERB_PRESET_IDS.map((id) => <option key={id} value={id}>{REVERB_PRESETS[id].label}</option>)}
+                  </select>
+                  <div className="text-xs text-gray-400">{z.cells.length} cells</div>
+                  <input type="range" aria-label="Wet level" min={0} max={1} step={0.01} value={z.wet} disabled={readOnly} onChange={(e) => updateZone(z.id, { wet: parseFloat(e.target.value) })} />
+                </div>
+                <button className="px-2 py-0.5 border rounded text-xs" disabled={readOnly} onClick={() => removeZone(z.id)}>Remove</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <PerformanceTransport
+          log={performanceLog}
+          recording={recording}
+          playing={replay.playing}
+          position={replay.position}
+          speed={replay.speed}
+          onToggleRecord={toggleRecording}
+          onTogglePlay={togglePlayback}
+          onSeek={seekPlayback}
+          onSpeedChange={setPlaybackSpeed}
+          onSave={savePerformanceLog}
+          onLoad={loadPerformanceLog}
+        />
       </div>
 
+      {/* Walk export dialog */}
+      {bounceDraft && (() => {
+        const path = bouncePath(bounceDraft);
+        const seconds = path.length ? pathDuration(path) + bounceDraft.tail : 0;
+        return (
+          <div
+            role="dialog"
+            aria-label="Export walk as WAV"
+            className="fixed left-1/2 transform -translate-x-1/2 top-32 z-50 w-96 bg-white border rounded shadow-lg p-3 text-sm"
+            onKeyDown={(e) => {
+              if (e.key === "Escape" && !bounceDraft.rendering) setBounceDraft(null);
+              if (e.key === "Enter" && e.target.tagName !== "BUTTON") runBounce();
+            }}
+          >
+            <div className="flex items-center gap-2 mb-2">
+              <div>Export walk ({path.length} steps, {seconds.toFixed(1)} sec)</div>
+              <div className="ml-auto text-xs text-gray-400">Enter to export — Esc to cancel</div>
+            </div>
+            <label className="block text-xs text-gray-600">Cursor path</label>
+            <select
+              autoFocus
+              value={bounceDraft.source}
+              onChange={(e) => setBounceDraft((d) => ({ ...d, source: e.target.value, error: null }))}
+              className="w-full border rounded p-1 mb-2"
+            >
+              <option value="recorded">Recorded performance ({cursorPath(performanceLog).length} cursor moves)</option>
+              <option value="region">Selected region path ({regionActive ? region.length : 0} cells)</option>
+            </select>
+            {bounceDraft.source === "region" && (
+              <>
+                <label className="block text-xs text-gray-600">Walking speed (cells per second)</label>
+                <input type="number" min={0.25} max={10} step={0.25} value={bounceDraft.speed} onChange={(e) => setBounceDraft((d) => ({ ...d, speed: parseFloat(e.target.value) || 2 }))} className="w-full border rounded p-1 mb-2" />
+              </>
+            )}
+            <label className="block text-xs text-gray-600">Tail after last step (sec)</label>
+            <input type="number" min={0} max={30} step={0.5} value={bounceDraft.tail} onChange={(e) => setBounceDraft((d) => ({ ...d, tail: Math.max(0, parseFloat(e.target.value) || 0) }))} className="w-full border rounded p-1" />
+            {bounceDraft.skipped && (
+              <div role="alert" className="text-xs text-red-600 mt-2">
+                {bounceDraft.skipped.length === 1 ? "This placement's recording" : `These ${bounceDraft.skipped.length} placements' recordings`} could not be loaded and would be left out of the WAV: {bounceDraft.skipped.join("; ")}. Export again to render without {bounceDraft.skipped.length === 1 ? "it" : "them"}.
+              </div>
+            )}
+            {bounceDraft.error && <div role="alert" className="text-xs text-red-600 mt-2">{bounceDraft.error}</div>}
+            {bounceDraft.rendering && <div role="status" className="text-xs text-gray-500 mt-2">Loading recordings and rendering…</div>}
+            <div className="flex gap-2 justify-end mt-2">
+              <button className="px-3 py-1 border rounded" disabled={bounceDraft.rendering} onClick={() => setBounceDraft(null)}>Cancel</button>
+              <button className="px-3 py-1 bg-blue-600 text-white rounded" disabled={bounceDraft.rendering} onClick={runBounce}>{bounceDraft.skipped ? "Export anyway" : "Export WAV"}</button>
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* Placement editor */}
+      {(() => {
+        const editing = editorId && placements.find((p) => p.id === editorId);
+        if (!editing || readOnly) return null;
+        return (
+          <PlacementEditor
+            placement={editing}
+            name={libName(editing.libId)}
+            defaultRadius={defaultRadius}
+            cursor={cursor}
+            selection={regionActive ? region : []}
+            onParam={editPlacementParam}
+            onToggleCell={toggleEditorCell}
+            onAddSelection={() => editorSelection("add")}
+            onRemoveSelection={() => editorSelection("subtract")}
+            onClose={() => setEditorId(null)}
+          />
+        );
+      })()}
+
+      {/* Grid settings dialog */}
+      {gridSettingsOpen && (
+        <GridSettingsDialog
+          grid={grid}
+          layout={{ placements, walls, zones }}
+          libName={libName}
+          onApply={applyGridSettings}
+          onClose={() => setGridSettingsOpen(false)}
+        />
+      )}
+
+      {/* Reverb zone dialog */}
+      {zoneDraft && (
+        <div
+          role="dialog"
+          aria-label="Create reverb zone"
+          className="fixed left-1/2 transform -translate-x-1/2 top-32 z-50 w-96 bg-white border rounded shadow-lg p-3 text-sm"
+          onKeyDown={(e) => {
+            if (e.key === "Escape") setZoneDraft(null);
+            if (e.key === "Enter" && e.target.tagName !== "BUTTON") saveZoneDraft();
+          }}
+        >
+          <div className="flex items-center gap-2 mb-2">
+            <div>Reverb zone for {zoneDraft.cells.length} cells</div>
+            <div className="ml-auto text-xs text-gray-400">Enter to create — Esc to cancel</div>
+          </div>
+          <label className="block text-xs text-gray-600">Acoustic preset</label>
+          <select
+            autoFocus
+            value={zoneDraft.preset}
+            onChange={(e) => setZoneDraft((d) => ({ ...d, preset: e.target.value, wet: REVERB_PRESETS[e.target.value].wet }))}
+            className="w-full border rounded p-1 mb-2"
+          >
+            {REVERB_PRESET_IDS.map((id) => <option key={id} value={id}>{REVERB_PRESETS[id].label}</option>)}
+          </select>
+          <label className="block text-xs text-gray-600">Wet / dry ({Math.round(zoneDraft.wet * 100)}% wet)</label>
+          <input type="range" min={0} max={1} step={0.01} value={zoneDraft.wet} onChange={(e) => setZoneDraft((d) => ({ ...d, wet: parseFloat(e.target.value) }))} className="w-full" />
+          <div className="flex gap-2 justify-end mt-2">
+            <button className="px-3 py-1 border rounded" onClick={() => setZoneDraft(null)}>Cancel</button>
+            <button className="px-3 py-1 bg-blue-600 text-white rounded" onClick={saveZoneDraft}>Create</button>
+          </div>
+        </div>
+      )}
+
       {/* Search Dropdown */}
       {searchOpen && (
         <div className="fixed left-1/2 transform -translate-x-1/2 top-32 z-50 w-96 bg-white border rounded shadow-lg p-3">
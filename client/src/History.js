@@ -0,0 +1,90 @@
+// History.js
+
+/**
+ * Command-based undo/redo for grid edits.
+ *
+ * A command is { label, undo(), redo(), mergeKey? }: the edit has already been applied when it
+ * is recorded, undo() reverts it and redo() applies it again. label completes "Undid …" /
+ * "Redid …" for the on-screen and screen-reader confirmation. Recording a command whose
+ * mergeKey matches the previous one within MERGE_WINDOW_MS folds both into one step (e.g.
+ * dragging a slider), keeping the first command's undo and the last one's redo.
+ */
+
+export const HISTORY_LIMIT = 100;
+const MERGE_WINDOW_MS = 1000;
+
+export function createHistory({ limit = HISTORY_LIMIT, onChange = () => {}, now = () => Date.now() } = {}) {
+  let done = [];
+  let undone = [];
+  let lastRecordedAt = 0;
+
+  function record(command) {
+    const top = done[done.length - 1];
+    const t = now();
+    if (top && command.mergeKey && top.mergeKey === command.mergeKey && t - lastRecordedAt < MERGE_WINDOW_MS) {
+      done[done.length - 1] = { ...top, redo: command.redo };
+    } else {
+      done.push(command);
+      if (done.length > limit) done.shift();
+    }
+    lastRecordedAt = t;
+    undone = [];
+    onChange();
+  }
+
+  // returns the command that was undone, or null if there was nothing to undo
+  function undo() {
+    const command = done.pop();
+    if (!command) return null;
+    command.undo();
+    undone.push(command);
+    lastRecordedAt = 0;
+    onChange();
+    return command;
+  }
+
+  function redo() {
+    const command = undone.pop();
+    if (!command) return null;
+    command.redo();
+    done.push(command);
+    lastRecordedAt = 0;
+    onChange();
+    return command;
+  }
+
+  function clear() {
+    done = [];
+    undone = [];
+    onChange();
+  }
+
+  return {
+    record,
+    undo,
+    redo,
+    clear,
+    canUndo: () => done.length > 0,
+    canRedo: () => undone.length > 0,
+    nextUndo: () => done[done.length - 1] || null,
+    nextRedo: () => undone[undone.length - 1] || null,
+  };
+}
+
+// "undo" for Ctrl/Cmd+Z, "redo" for Ctrl/Cmd+Shift+Z or Ctrl+Y, otherwise null; text fields
+// keep their own undo
+export function historyShortcut(e) {
+  const target = e.target;
+  if (target && (target.tagName === "INPUT" || target.tagName === "TEXTAREA" || target.isContentEditable)) return null;
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return null;
+  const key = e.key.toLowerCase();
+  if (key === "z") return e.shiftKey ? "redo" : "undo";
+  if (key === "y" && !e.shiftKey) return "redo";
+  return null;
+}
+
+// insert item at index (clamped), for commands that put back what they removed
+export function insertAt(list, index, item) {
+  const i = Math.max(0, Math.min(list.length, index));
+  return [...list.slice(0, i), item, ...list.slice(i)];
+}
@@ -0,0 +1,127 @@
+import { describe, it, expect, vi } from "vitest";
+import { createHistory, historyShortcut, insertAt, HISTORY_LIMIT } from "./History";
+
+// a history over one number, with a clock the test moves by hand
+function setup(options = {}) {
+  let clock = 1_000_000;
+  const scene = { value: 0 };
+  const onChange = vi.fn();
+  const history = createHistory({ onChange, now: () => clock, ...options });
+  const set = (to, mergeKey) => {
+    const from = scene.value;
+    scene.value = to;
+    history.record({ label: `set ${to}`, undo: () => (scene.value = from), redo: () => (scene.value = to), mergeKey });
+  };
+  return { history, scene, set, onChange, tick: (ms) => (clock += ms) };
+}
+
+describe("createHistory", () => {
+  it("undoes and redoes in order", () => {
+    const { history, scene, set } = setup();
+    set(1);
+    set(2);
+    expect(history.undo().label).toBe("set 2");
+    expect(scene.value).toBe(1);
+    expect(history.undo().label).toBe("set 1");
+    expect(scene.value).toBe(0);
+    expect(history.undo()).toBeNull();
+    expect(history.redo().label).toBe("set 1");
+    expect(history.redo().label).toBe("set 2");
+    expect(scene.value).toBe(2);
+    expect(history.redo()).toBeNull();
+  });
+
+  it("clears the redo stack when a new command is recorded", () => {
+    const { history, scene, set } = setup();
+    set(1);
+    set(2);
+    history.undo();
+    expect(history.canRedo()).toBe(true);
+    set(5);
+    expect(history.canRedo()).toBe(false);
+    history.undo();
+    expect(scene.value).toBe(1);
+  });
+
+  it("merges commands with the same mergeKey within a second", () => {
+    const { history, scene, set, tick } = setup();
+    set(1, "volume");
+    tick(400);
+    set(2, "volume");
+    tick(999);
+    set(3, "volume");
+    expect(history.nextUndo().label).toBe("set 1");
+    history.undo();
+    expect(scene.value).toBe(0);
+    expect(history.canUndo()).toBe(false);
+    history.redo();
+    expect(scene.value).toBe(3);
+  });
+
+  it.each([
+    ["a different mergeKey", "radius", 10],
+    ["no mergeKey", undefined, 10],
+    ["the same mergeKey after the window", "volume", 1000],
+  ])("keeps separate steps for %s", (_, mergeKey, gap) => {
+    const { history, scene, set, tick } = setup();
+    set(1, "volume");
+    tick(gap);
+    set(2, mergeKey);
+    history.undo();
+    expect(scene.value).toBe(1);
+  });
+
+  it("does not merge into a command that was undone and redone", () => {
+    const { history, scene, set } = setup();
+    set(1, "volume");
+    history.undo();
+    history.redo();
+    set(2, "volume");
+    history.undo();
+    expect(scene.value).toBe(1);
+  });
+
+  it(`keeps the last ${HISTORY_LIMIT} steps`, () => {
+    const { history, scene, set } = setup();
+    for (let i = 1; i <= HISTORY_LIMIT + 5; i++) set(i);
+    let steps = 0;
+    while (history.undo()) steps += 1;
+    expect(steps).toBe(HISTORY_LIMIT);
+    expect(scene.value).toBe(5);
+  });
+
+  it("honours a smaller limit and reports every change", () => {
+    const { history, set, onChange } = setup({ limit: 2 });
+    set(1);
+    set(2);
+    set(3);
+    history.undo();
+    history.clear();
+    expect(onChange).toHaveBeenCalledTimes(5);
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+  });
+});
+
+describe("historyShortcut", () => {
+  const key = (k, mods = {}, tagName = "DIV") => ({ key: k, ctrlKey: false, metaKey: false, shiftKey: false, altKey: false, target: { tagName }, ...mods });
+
+  it.each([
+    [key("z", { ctrlKey: true }), "undo"],
+    [key("Z", { metaKey: true, shiftKey: true }), "redo"],
+    [key("y", { ctrlKey: true }), "redo"],
+    [key("z"), null],
+    [key("z", { ctrlKey: true, altKey: true }), null],
+    [key("z", { ctrlKey: true }, "INPUT"), null],
+  ])("maps %j to %s", (e, expected) => {
+    expect(historyShortcut(e)).toBe(expected);
+  });
+});
+
+describe("insertAt", () => {
+  it("puts an item back at its index, clamped to the list", () => {
+    expect(insertAt(["a", "c"], 1, "b")).toEqual(["a", "b", "c"]);
+    expect(insertAt(["a"], 5, "b")).toEqual(["a", "b"]);
+    expect(insertAt(["a"], -1, "b")).toEqual(["b", "a"]);
+  });
+});
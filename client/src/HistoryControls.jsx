@@ -0,0 +1,17 @@
+// --- HistoryControls: undo / redo buttons plus a live region confirming each step ---
+export default function HistoryControls({ history }) {
+  const { undo, redo, canUndo, canRedo, undoLabel, redoLabel, announcement } = history;
+  return (
+    <div className="flex items-center gap-2 text-xs">
+      <button className="px-3 py-1 rounded border" disabled={!canUndo} onClick={undo}
+        aria-label={canUndo ? `Undo ${undoLabel}` : "Undo"} title={canUndo ? `Undo ${undoLabel}` : "Nothing to undo"}>
+        Ctrl+Z — Undo
+      </button>
+      <button className="px-3 py-1 rounded border" disabled={!canRedo} onClick={redo}
+        aria-label={canRedo ? `Redo ${redoLabel}` : "Redo"} title={canRedo ? `Redo ${redoLabel}` : "Nothing to redo"}>
+        Ctrl+Shift+Z — Redo
+      </button>
+      <span role="status" aria-live="polite" className="text-gray-500">{announcement}</span>
+    </div>
+  );
+}
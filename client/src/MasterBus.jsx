@@ -0,0 +1,70 @@
+// --- MasterBus: continuous master volume plus a level / clip meter ---
+import { useEffect, useRef, useState } from "react";
+
+const METER_INTERVAL_MS = 80;
+const CLIP_HOLD_MS = 1000;
+const METER_FLOOR_DB = -60;
+// the meter text changes every tick, so only the onset of clipping is announced, and not too often
+const CLIP_ANNOUNCE_MS = 5000;
+
+// polls engineRef.current.getMeter() while mounted; the clip light holds for a moment so it is noticeable
+export default function MasterBus({ engineRef, volume, onVolumeChange, muted }) {
+  const [meter, setMeter] = useState({ levelDb: -Infinity, reduction: 0 });
+  const [clipUntil, setClipUntil] = useState(0);
+  const [now, setNow] = useState(0);
+  const [clipNotice, setClipNotice] = useState("");
+  const clipUntilRef = useRef(0);
+  const announcedAtRef = useRef(-Infinity);
+
+  useEffect(() => {
+    let frame = null;
+    let last = 0;
+    function tick(t) {
+      frame = requestAnimationFrame(tick);
+      if (t - last < METER_INTERVAL_MS) return;
+      last = t;
+      const engine = engineRef.current;
+      if (!engine || !engine.getMeter) return;
+      const m = engine.getMeter();
+      setMeter(m);
+      setNow(t);
+      if (m.clipping) {
+        // a new clip (not a held one) announces itself once per CLIP_ANNOUNCE_MS
+        if (t >= clipUntilRef.current && t - announcedAtRef.current >= CLIP_ANNOUNCE_MS) {
+          announcedAtRef.current = t;
+          setClipNotice("Output is clipping — lower the volume");
+        }
+        clipUntilRef.current = t + CLIP_HOLD_MS;
+        setClipUntil(t + CLIP_HOLD_MS);
+      } else if (t - announcedAtRef.current >= CLIP_HOLD_MS) {
+        // cleared so the next announcement is read again
+        setClipNotice("");
+      }
+    }
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [engineRef]);
+
+  const db = Math.max(METER_FLOOR_DB, meter.levelDb);
+  const fill = ((db - METER_FLOOR_DB) / -METER_FLOOR_DB) * 100;
+  const clipping = now < clipUntil;
+  const limiting = meter.reduction < -0.5;
+  const percent = Math.round(volume * 100);
+
+  return (
+    <div className="flex items-center gap-2 text-xs">
+      <label htmlFor="master-volume" className="text-gray-600">- / + Volume</label>
+      <input id="master-volume" type="range" min="0" max="1" step="0.01" value={volume}
+        aria-valuetext={muted ? `${percent}% (muted)` : `${percent}%`}
+        onChange={(e) => onVolumeChange(parseFloat(e.target.value))} className="w-24" />
+      <span className="w-9 tabular-nums">{percent}%</span>
+      <div className="relative w-24 h-2 bg-gray-200 rounded overflow-hidden" aria-hidden="true">
+        <div className={`absolute inset-y-0 left-0 ${db > -6 ? "bg-yellow-500" : "bg-green-500"}`} style={{ width: `${fill}%` }} />
+      </div>
+      <span className={`px-1 rounded border ${clipping ? "bg-red-500 text-white border-red-600" : limiting ? "bg-yellow-100 border-yellow-400" : "text-gray-400"}`}>
+        {clipping ? "Clip" : limiting ? "Limit" : "OK"}
+      </span>
+      <span role="status" aria-live="polite" className="sr-only">{clipNotice}</span>
+    </div>
+  );
+}
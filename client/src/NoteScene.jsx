@@ -0,0 +1,20 @@
+// --- NoteScene: route element for the Notes grid, hydrating a scene link from the URL hash when present ---
+import React from "react";
+import { Link } from "react-router";
+import GridNote from "./GridNote";
+import useSharedScene from "./useSharedScene";
+
+export default function NoteScene() {
+  const shared = useSharedScene("note");
+
+  if (shared && shared.error) {
+    return (
+      <div className="p-4 pt-20 font-sans">
+        <p role="alert" className="mb-2">{shared.error}.</p>
+        <Link to="/sound-garden/notes" className="underline">Open your Notes grid</Link>
+      </div>
+    );
+  }
+  // remount when the link changes: the grid reads its state once
+  return shared ? <GridNote key={`shared-${shared.code}-${shared.editable}`} shared={shared} /> : <GridNote key="saved" />;
+}
@@ -0,0 +1,183 @@
+// Performance.js
+
+/**
+ * Recorded listener performances: a log of timestamped cursor moves, region edits and
+ * mute toggles, and a transport that replays it.
+ *
+ * Log shape: { version: 1, events: [{ t, type, ... }] } with t in seconds from the start and
+ * events in time order. Types:
+ *   - "cursor": { x, y }
+ *   - "region": { cells: [{x,y}], active }
+ *   - "mute":   { muted }
+ * The recorder writes the full starting state at t = 0, so replay never depends on what
+ * the grid looked like before. Playback is state-based: every tick (and every seek) applies
+ * stateAt(log, position), which makes play, pause, seek and speed changes deterministic.
+ */
+
+export const PERFORMANCE_VERSION = 1;
+export const PERFORMANCE_EVENT_TYPES = ["cursor", "region", "mute"];
+export const PLAYBACK_SPEEDS = [0.5, 1, 1.5, 2];
+
+export function createPerformanceLog() {
+  return { version: PERFORMANCE_VERSION, events: [] };
+}
+
+export function appendEvent(log, type, data, t) {
+  const last = log.events[log.events.length - 1];
+  // clock jitter must never reorder the log
+  const time = Math.max(t, last ? last.t : 0);
+  return { ...log, events: [...log.events, { t: time, type, ...data }] };
+}
+
+export function logDuration(log) {
+  const events = log ? log.events : [];
+  return events.length ? events[events.length - 1].t : 0;
+}
+
+// number of events with t <= time (binary search; events are sorted)
+export function eventCountAt(log, time) {
+  let lo = 0;
+  let hi = log.events.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (log.events[mid].t <= time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// { cursor, region, regionActive, muted } after every event up to `time`
+export function stateAt(log, time) {
+  const state = { cursor: null, region: [], regionActive: false, muted: false };
+  const count = eventCountAt(log, time);
+  for (let i = 0; i < count; i++) {
+    const e = log.events[i];
+    if (e.type === "cursor") state.cursor = { x: e.x, y: e.y };
+    else if (e.type === "region") {
+      state.region = e.cells.map((c) => ({ x: c.x, y: c.y }));
+      state.regionActive = e.active;
+    } else if (e.type === "mute") state.muted = e.muted;
+  }
+  return state;
+}
+
+// cursor moves as a walk path [{ t, x, y }] (e.g. for an offline bounce)
+export function cursorPath(log) {
+  return log.events.filter((e) => e.type === "cursor").map((e) => ({ t: e.t, x: e.x, y: e.y }));
+}
+
+// validate a parsed log file; throws with a readable message when the shape is wrong
+export function parsePerformanceLog(data) {
+  if (!data || data.version !== PERFORMANCE_VERSION || !Array.isArray(data.events)) {
+    throw new Error("Not a performance log (expected version 1 with an events list)");
+  }
+  let last = 0;
+  const events = data.events.map((e, i) => {
+    const ok =
+      e && Number.isFinite(e.t) && e.t >= last && PERFORMANCE_EVENT_TYPES.includes(e.type) &&
+      (e.type !== "cursor" || (Number.isFinite(e.x) && Number.isFinite(e.y))) &&
+      (e.type !== "region" || Array.isArray(e.cells)) &&
+      (e.type !== "mute" || typeof e.muted === "boolean");
+    if (!ok) throw new Error(`Invalid event #${i + 1} in performance log`);
+    last = e.t;
+    return e;
+  });
+  return { version: PERFORMANCE_VERSION, events };
+}
+
+/**
+ * Transport over a log. onState(state, position) fires whenever the applied state changes
+ * (and on every seek); onPosition(position) fires every frame while playing; onEnd() when
+ * playback reaches the end of the log.
+ */
+export function createPerformancePlayer({
+  log,
+  onState,
+  onPosition = () => {},
+  onEnd = () => {},
+  now = () => performance.now(),
+  requestFrame = (cb) => requestAnimationFrame(cb),
+  cancelFrame = (id) => cancelAnimationFrame(id),
+}) {
+  const duration = logDuration(log);
+  let position = 0;
+  let speed = 1;
+  let playing = false;
+  let anchorClock = 0; // wall clock (ms) when position was last anchored
+  let anchorPosition = 0;
+  let applied = -1; // event count currently applied
+  let frame = null;
+
+  function apply(force = false) {
+    const count = eventCountAt(log, position);
+    if (!force && count === applied) return;
+    applied = count;
+    onState(stateAt(log, position), position);
+  }
+
+  function tick() {
+    frame = null;
+    if (!playing) return;
+    position = Math.min(duration, anchorPosition + ((now() - anchorClock) / 1000) * speed);
+    apply();
+    onPosition(position);
+    if (position >= duration) {
+      playing = false;
+      onEnd();
+      return;
+    }
+    frame = requestFrame(tick);
+  }
+
+  function anchor() {
+    anchorClock = now();
+    anchorPosition = position;
+  }
+
+  function play() {
+    if (playing || duration === 0) return;
+    if (position >= duration) seek(0);
+    playing = true;
+    anchor();
+    apply(true);
+    frame = requestFrame(tick);
+  }
+
+  function pause() {
+    if (!playing) return;
+    tick();
+    playing = false;
+    if (frame !== null) cancelFrame(frame);
+    frame = null;
+  }
+
+  function seek(time) {
+    position = Math.max(0, Math.min(duration, time));
+    anchor();
+    apply(true);
+    onPosition(position);
+  }
+
+  function setSpeed(next) {
+    if (playing) {
+      position = Math.min(duration, anchorPosition + ((now() - anchorClock) / 1000) * speed);
+      anchor();
+    }
+    speed = next > 0 ? next : 1;
+  }
+
+  return {
+    play,
+    pause,
+    seek,
+    setSpeed,
+    isPlaying: () => playing,
+    getPosition: () => position,
+    getDuration: () => duration,
+    dispose: () => {
+      playing = false;
+      if (frame !== null) cancelFrame(frame);
+      frame = null;
+    },
+  };
+}
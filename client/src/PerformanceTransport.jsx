@@ -0,0 +1,42 @@
+// --- PerformanceTransport: record / play / seek / speed controls for a performance log ---
+import { PLAYBACK_SPEEDS, logDuration } from "./Performance";
+
+const formatTime = (t) => `${Math.floor(t / 60)}:${String(Math.floor(t % 60)).padStart(2, "0")}`;
+
+export default function PerformanceTransport({ log, recording, playing, position, speed, onToggleRecord, onTogglePlay, onSeek, onSpeedChange, onSave, onLoad }) {
+  const duration = logDuration(log);
+  const empty = log.events.length === 0;
+
+  return (
+    <div className="w-80">
+      <div className="text-sm font-semibold mb-2">Performance</div>
+      <div className="border rounded p-2 text-sm space-y-2">
+        <div className="flex gap-2">
+          <button className="px-2 py-0.5 border rounded text-xs" aria-pressed={recording} onClick={onToggleRecord}>7 — {recording ? "Stop recording" : "Record"}</button>
+          <button className="px-2 py-0.5 border rounded text-xs" aria-pressed={playing} disabled={empty || recording} onClick={onTogglePlay}>9 — {playing ? "Pause" : "Play"}</button>
+          <select aria-label="Playback speed" value={speed} onChange={(e) => onSpeedChange(parseFloat(e.target.value))} className="border rounded p-0.5 text-xs">
+            {PLAYBACK_SPEEDS.map((s) => <option key={s} value={s}>{s}×</option>)}
+          </select>
+        </div>
+        <div className="flex items-center gap-2">
+          <input type="range" aria-label="Seek" min={0} max={duration || 0} step={0.05} value={Math.min(position, duration)} disabled={empty || recording}
+            aria-valuetext={`${formatTime(position)} of ${formatTime(duration)}`}
+            onChange={(e) => onSeek(parseFloat(e.target.value))} className="flex-1" />
+          <span className="text-xs tabular-nums text-gray-500">{formatTime(position)} / {formatTime(duration)}</span>
+        </div>
+        <div className="text-xs text-gray-400">{recording ? "Recording cursor moves, regions and mute…" : empty ? "No performance recorded" : `${log.events.length} events`}</div>
+        <div className="flex gap-2">
+          <button className="px-2 py-0.5 border rounded text-xs" disabled={empty} onClick={onSave}>Save log</button>
+          <label className="px-2 py-0.5 border rounded text-xs cursor-pointer">
+            Load log
+            <input type="file" accept="application/json,.json" className="hidden" onChange={(e) => {
+              const f = e.target.files?.[0];
+              if (f) onLoad(f);
+              e.target.value = null;
+            }} />
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,318 @@
+// Persistence.js
+
+/**
+ * Versioned persisted state shared by the grids, with a migration pipeline.
+ *
+ * Every grid stores one document under STATE_KEYS[grid]:
+ *   { version: 3, library: [meta], placements: [{ id, cells: [{x,y}], libId, params }],
+ *     walls: [{x,y}], zones: [{ id, cells, preset, wet }], settings: { spatialMode, panMode },
+ *     grid: { cols, rows, defaultRadius, cellSize? } | null }
+ * (grid is optional — null means the grid component's defaults — so it needed no migration;
+ * cellSize, the on-screen cell width in px, is optional within it for the same reason.)
+ * Named scenes (Scenes.js) store the same document under their own keys.
+ * Library metadata is { id, name, type: "public" | "upload" | "synth", src?, size?, freq? };
+ * upload audio itself lives in IndexedDB (AudioStore).
+ *
+ * Older layouts are read from their legacy keys and upgraded step by step:
+ *   v1 (GridUrban): ss_library_v1 + ss_placements_v1, placements as an object keyed "x,y"
+ *   v2 (GridUrbanAdvanced): ss_v2_* keys, placements as an array of region placements
+ *   v3: the single document above
+ * Legacy keys are left in place (read-only) so an older build can still open them.
+ *
+ * Loading never throws: unparseable documents and entries that fail validation are moved to
+ * QUARANTINE_KEY ({ at, grid, kind, reason, entry }) and the rest of the state is kept.
+ */
+
+import { REVERB_PRESET_IDS } from "./Reverb";
+import { SPATIAL_MODES, PAN_MODES } from "./SoundEngine";
+import { EFFECT_TYPES } from "./Effects";
+import { validGridSize, CELL_SIZES } from "./GridResize";
+
+export const STATE_VERSION = 3;
+export const QUARANTINE_KEY = "ss_quarantine";
+const QUARANTINE_LIMIT = 50;
+
+export const STATE_KEYS = {
+  note: "ss_state_note",
+  urban: "ss_state_urban",
+  advanced: "ss_state_advanced",
+};
+
+// where each grid kept its data before the versioned document existed
+const LEGACY_LAYOUTS = {
+  urban: { version: 1, keys: { library: "ss_library_v1", placements: "ss_placements_v1" } },
+  advanced: {
+    version: 2,
+    keys: {
+      library: "ss_v2_library",
+      placements: "ss_v2_placements",
+      walls: "ss_v2_walls",
+      zones: "ss_v2_zones",
+      spatialMode: "ss_v2_spatial",
+      panMode: "ss_v2_panmode",
+    },
+  },
+};
+
+const LIBRARY_TYPES = ["public", "upload", "synth"];
+
+export function emptyState() {
+  return {
+    version: STATE_VERSION,
+    library: [],
+    placements: [],
+    walls: [],
+    zones: [],
+    settings: { spatialMode: "stereo", panMode: "absolute" },
+    grid: null,
+  };
+}
+
+// v1 cell placements ({ "x,y": { x, y, libId, params } }) -> region placements
+export function regionsFromCellPlacements(cells) {
+  return Object.entries(cells || {}).map(([key, pl]) => {
+    const [x, y] = key.split(",").map(Number);
+    return {
+      id: `pl-${key.replace(",", "-")}`,
+      cells: [{ x: pl?.x ?? x, y: pl?.y ?? y }],
+      libId: pl?.libId,
+      params: pl?.params || {},
+    };
+  });
+}
+
+// region placements -> single-cell placements keyed "x,y" (for grids without regions);
+// a multi-cell region becomes one placement per cell
+export function cellPlacementsFromRegions(placements) {
+  const out = {};
+  placements.forEach((pl) => {
+    pl.cells.forEach((c) => {
+      out[`${c.x},${c.y}`] = { x: c.x, y: c.y, libId: pl.libId, params: pl.params };
+    });
+  });
+  return out;
+}
+
+// each step takes a document at version n and returns it at version n + 1
+const MIGRATIONS = {
+  1: (doc) => ({
+    version: 2,
+    library: (Array.isArray(doc.library) ? doc.library : []).map((item) => {
+      if (!item || typeof item !== "object") return item;
+      const { dataUrl, ...rest } = item;
+      return { type: "upload", ...rest, ...(dataUrl ? { src: dataUrl } : {}) };
+    }),
+    placements: Array.isArray(doc.placements) ? doc.placements : regionsFromCellPlacements(doc.placements),
+    walls: [],
+    zones: [],
+    spatialMode: "stereo",
+    panMode: "absolute",
+  }),
+  2: (doc) => ({
+    version: 3,
+    library: doc.library || [],
+    placements: doc.placements || [],
+    walls: doc.walls || [],
+    zones: doc.zones || [],
+    settings: { spatialMode: doc.spatialMode || "stereo", panMode: doc.panMode || "absolute" },
+  }),
+};
+
+export function migrateState(doc) {
+  let current = doc;
+  const from = doc.version;
+  while (current.version < STATE_VERSION) {
+    const step = MIGRATIONS[current.version];
+    if (!step) throw new Error(`No migration from version ${current.version}`);
+    current = step(current);
+  }
+  return { state: current, migratedFrom: from < STATE_VERSION ? from : null };
+}
+
+export function readQuarantine() {
+  try {
+    const list = JSON.parse(localStorage.getItem(QUARANTINE_KEY));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+export function clearQuarantine() {
+  localStorage.removeItem(QUARANTINE_KEY);
+}
+
+function quarantine(grid, items) {
+  if (items.length === 0) return;
+  const at = new Date().toISOString();
+  const list = [...readQuarantine(), ...items.map((item) => ({ at, grid, ...item }))].slice(-QUARANTINE_LIMIT);
+  try {
+    localStorage.setItem(QUARANTINE_KEY, JSON.stringify(list));
+  } catch (e) {
+    console.error("Failed to quarantine corrupt entries:", e);
+  }
+}
+
+const isCell = (c) => !!c && Number.isInteger(c.x) && Number.isInteger(c.y) && c.x >= 0 && c.y >= 0;
+const isCellList = (cells) => Array.isArray(cells) && cells.length > 0 && cells.every(isCell);
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+function checkLibraryItem(item) {
+  if (!isObject(item)) return "not an object";
+  if (typeof item.id !== "string" || !item.id) return "missing id";
+  if (typeof item.name !== "string") return "missing name";
+  if (!LIBRARY_TYPES.includes(item.type)) return `unknown type ${JSON.stringify(item.type)}`;
+  if (item.type === "synth" && !Number.isFinite(item.freq)) return "synth without a frequency";
+  return null;
+}
+
+function checkPlacement(pl) {
+  if (!isObject(pl)) return "not an object";
+  if (typeof pl.id !== "string" || !pl.id) return "missing id";
+  if (!isCellList(pl.cells)) return "invalid cells";
+  if (typeof pl.libId !== "string") return "missing libId";
+  if (pl.params !== undefined && !isObject(pl.params)) return "params is not an object";
+  return null;
+}
+
+function checkEffect(fx) {
+  if (!isObject(fx)) return "not an object";
+  if (!Object.hasOwn(EFFECT_TYPES, fx.type)) return `unknown effect type ${JSON.stringify(fx.type)}`;
+  return null;
+}
+
+// a placement's params with effect entries of unknown types dropped
+function checkedParams(params, rejected) {
+  if (!params) return {};
+  if (params.effects === undefined) return params;
+  return { ...params, effects: partition(params.effects, "effect", checkEffect, rejected) };
+}
+
+function validGrid(grid) {
+  if (!isObject(grid) || !validGridSize(grid.cols) || !validGridSize(grid.rows)) return null;
+  const out = { cols: grid.cols, rows: grid.rows, defaultRadius: Number.isFinite(grid.defaultRadius) && grid.defaultRadius > 0 ? grid.defaultRadius : 3 };
+  if (CELL_SIZES.includes(grid.cellSize)) out.cellSize = grid.cellSize;
+  return out;
+}
+
+function checkZone(zone) {
+  if (!isObject(zone)) return "not an object";
+  if (typeof zone.id !== "string" || !isCellList(zone.cells)) return "invalid id or cells";
+  if (!REVERB_PRESET_IDS.includes(zone.preset)) return `unknown preset ${JSON.stringify(zone.preset)}`;
+  if (!Number.isFinite(zone.wet)) return "invalid wet level";
+  return null;
+}
+
+// keep valid entries of a list, collecting the rest for quarantine
+function partition(list, kind, check, rejected) {
+  if (!Array.isArray(list)) {
+    if (list !== undefined) rejected.push({ kind, reason: "not a list", entry: list });
+    return [];
+  }
+  return list.filter((entry) => {
+    const reason = check(entry);
+    if (reason) rejected.push({ kind, reason, entry });
+    return !reason;
+  });
+}
+
+export function validateState(doc) {
+  const rejected = [];
+  const base = emptyState();
+  const settings = isObject(doc.settings) ? doc.settings : {};
+  const state = {
+    version: STATE_VERSION,
+    library: partition(doc.library, "library", checkLibraryItem, rejected),
+    placements: partition(doc.placements, "placement", checkPlacement, rejected).map((pl) => ({ ...pl, params: checkedParams(pl.params, rejected) })),
+    walls: partition(doc.walls, "wall", (c) => (isCell(c) ? null : "invalid cell"), rejected),
+    zones: partition(doc.zones, "zone", checkZone, rejected),
+    settings: {
+      spatialMode: SPATIAL_MODES.includes(settings.spatialMode) ? settings.spatialMode : base.settings.spatialMode,
+      panMode: PAN_MODES.includes(settings.panMode) ? settings.panMode : base.settings.panMode,
+    },
+    grid: validGrid(doc.grid),
+  };
+  if (doc.grid != null && !state.grid) rejected.push({ kind: "grid", reason: "invalid grid size", entry: doc.grid });
+  return { state, rejected };
+}
+
+// build a v1/v2 document from a grid's legacy keys (null if it never stored anything)
+function readLegacy(grid, rejected) {
+  const layout = LEGACY_LAYOUTS[grid];
+  if (!layout) return null;
+  const doc = { version: layout.version };
+  let found = false;
+  Object.entries(layout.keys).forEach(([field, key]) => {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return;
+    found = true;
+    if (field === "spatialMode" || field === "panMode") {
+      doc[field] = raw;
+      return;
+    }
+    try {
+      doc[field] = JSON.parse(raw);
+    } catch (e) {
+      rejected.push({ kind: key, reason: `unparseable JSON (${e.message})`, entry: raw });
+    }
+  });
+  return found ? doc : null;
+}
+
+/**
+ * Load a grid's state (from `key`, by default the grid's own document). Returns
+ * { state, migratedFrom, quarantined } where migratedFrom is the legacy version that was
+ * upgraded (or null) and quarantined the number of entries set aside. Legacy keys are only
+ * consulted for the grid's own document.
+ */
+export function loadState(grid, key = STATE_KEYS[grid]) {
+  const rejected = [];
+  let doc = null;
+  const raw = localStorage.getItem(key);
+  if (raw !== null) {
+    try {
+      doc = JSON.parse(raw);
+      if (!isObject(doc) || !Number.isInteger(doc.version)) throw new Error("missing version");
+      if (doc.version > STATE_VERSION) throw new Error(`saved by a newer version (${doc.version})`);
+    } catch (e) {
+      rejected.push({ kind: "state", reason: e.message, entry: raw });
+      doc = null;
+    }
+  }
+  if (!doc && key === STATE_KEYS[grid]) doc = readLegacy(grid, rejected);
+
+  let result = { state: emptyState(), migratedFrom: null };
+  if (doc) {
+    try {
+      const migrated = migrateState(doc);
+      const { state, rejected: invalid } = validateState(migrated.state);
+      rejected.push(...invalid);
+      result = { state, migratedFrom: migrated.migratedFrom };
+    } catch (e) {
+      rejected.push({ kind: "state", reason: e.message, entry: doc });
+    }
+  }
+  quarantine(grid, rejected);
+  return { ...result, quarantined: rejected.length };
+}
+
+// the document to write for a grid; pass it to localStorage under STATE_KEYS[grid]
+export function serializeState({ library = [], placements = [], walls = [], zones = [], settings = {}, grid = null }) {
+  return {
+    version: STATE_VERSION,
+    library: library.map(({ id, name, type, src, size, freq }) => ({ id, name, type, src, size, freq })),
+    placements: placements.map(({ id, cells, libId, params }) => ({ id, cells, libId, params })),
+    walls,
+    zones,
+    settings: { ...emptyState().settings, ...settings },
+    grid,
+  };
+}
+
+// user-facing summary of what loadState did, or null if there is nothing to say
+export function describeLoad({ migratedFrom, quarantined }) {
+  const parts = [];
+  if (migratedFrom) parts.push(`Saved data was upgraded from an older format (v${migratedFrom}).`);
+  if (quarantined) parts.push(`${quarantined} unreadable saved ${quarantined === 1 ? "entry was" : "entries were"} set aside instead of loaded.`);
+  return parts.length ? parts.join(" ") : null;
+}
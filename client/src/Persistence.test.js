@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { STATE_KEYS, STATE_VERSION, migrateState, validateState, loadState, readQuarantine, serializeState } from "./Persistence";
+
+// localStorage as a plain map, fresh for every test
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+beforeEach(() => {
+  vi.stubGlobal("localStorage", memoryStorage());
+});
+
+const placement = { id: "p1", cells: [{ x: 1, y: 2 }], libId: "a", params: {} };
+
+describe("migrateState", () => {
+  it.each([
+    {
+      name: "v1 cell placements and data URLs",
+      doc: { version: 1, library: [{ id: "a", name: "Rain", dataUrl: "data:audio/wav;base64,AA" }], placements: { "1,2": { libId: "a", params: { volume: 0.5 } } } },
+      expected: {
+        library: [{ id: "a", name: "Rain", type: "upload", src: "data:audio/wav;base64,AA" }],
+        placements: [{ id: "pl-1-2", cells: [{ x: 1, y: 2 }], libId: "a", params: { volume: 0.5 } }],
+        settings: { spatialMode: "stereo", panMode: "absolute" },
+      },
+    },
+    {
+      name: "v2 separate keys",
+      doc: { version: 2, library: [], placements: [placement], walls: [{ x: 0, y: 0 }], spatialMode: "hrtf", panMode: "relative" },
+      expected: { placements: [placement], walls: [{ x: 0, y: 0 }], zones: [], settings: { spatialMode: "hrtf", panMode: "relative" } },
+    },
+  ])("upgrades $name to the current version", ({ doc, expected }) => {
+    const { state, migratedFrom } = migrateState(doc);
+    expect(state.version).toBe(STATE_VERSION);
+    expect(state).toMatchObject(expected);
+    expect(migratedFrom).toBe(doc.version);
+  });
+
+  it("leaves a current document alone", () => {
+    const doc = { version: STATE_VERSION, library: [], placements: [] };
+    expect(migrateState(doc)).toEqual({ state: doc, migratedFrom: null });
+  });
+
+  it("refuses a version it has no step for", () => {
+    expect(() => migrateState({ version: 0 })).toThrow("No migration from version 0");
+  });
+});
+
+describe("validateState", () => {
+  it.each([
+    ["library", { library: [{ id: "a", name: "Rain", type: "tape" }] }, "unknown type \"tape\""],
+    ["library", { library: [{ id: "t", name: "C4", type: "synth" }] }, "synth without a frequency"],
+    ["placement", { placements: [{ ...placement, cells: [{ x: -1, y: 0 }] }] }, "invalid cells"],
+    ["placement", { placements: [{ ...placement, libId: 3 }] }, "missing libId"],
+    ["effect", { placements: [{ ...placement, params: { effects: [{ type: "constructor" }] } }] }, "unknown effect type \"constructor\""],
+    ["wall", { walls: [{ x: 0.5, y: 0 }] }, "invalid cell"],
+    ["zone", { zones: [{ id: "z", cells: [{ x: 0, y: 0 }], preset: "cave", wet: 0.3 }] }, "unknown preset \"cave\""],
+    ["wall", { walls: "none" }, "not a list"],
+    ["grid", { grid: { cols: 64, rows: 8 } }, "invalid grid size"],
+  ])("sets aside an invalid %s entry", (kind, doc, reason) => {
+    const { rejected } = validateState(doc);
+    expect(rejected).toEqual([expect.objectContaining({ kind, reason })]);
+  });
+
+  it("keeps the valid entries next to the rejected ones", () => {
+    const { state, rejected } = validateState({
+      placements: [placement, { id: "p2" }],
+      grid: { cols: 10, rows: 6, defaultRadius: 2, cellSize: 40 },
+      settings: { spatialMode: "surround" },
+    });
+    expect(state.placements).toEqual([placement]);
+    expect(state.grid).toEqual({ cols: 10, rows: 6, defaultRadius: 2, cellSize: 40 });
+    expect(state.settings.spatialMode).toBe("stereo");
+    expect(rejected).toHaveLength(1);
+  });
+});
+
+describe("loadState", () => {
+  it("reads a saved document back", () => {
+    localStorage.setItem(STATE_KEYS.advanced, JSON.stringify(serializeState({ placements: [placement] })));
+    const { state, migratedFrom, quarantined } = loadState("advanced");
+    expect(state.placements).toEqual([placement]);
+    expect(migratedFrom).toBeNull();
+    expect(quarantined).toBe(0);
+  });
+
+  it("upgrades the v1 legacy keys when there is no document yet", () => {
+    localStorage.setItem("ss_library_v1", JSON.stringify([{ id: "a", name: "Rain" }]));
+    localStorage.setItem("ss_placements_v1", JSON.stringify({ "0,0": { libId: "a" } }));
+    const { state, migratedFrom } = loadState("urban");
+    expect(migratedFrom).toBe(1);
+    expect(state.library).toEqual([{ id: "a", name: "Rain", type: "upload" }]);
+    expect(state.placements).toHaveLength(1);
+  });
+
+  it.each([
+    ["unparseable JSON", "{nope"],
+    ["a document without a version", JSON.stringify({ library: [] })],
+    ["a document from a newer version", JSON.stringify({ version: STATE_VERSION + 1 })],
+  ])("quarantines %s and starts empty", (_, raw) => {
+    localStorage.setItem(STATE_KEYS.note, raw);
+    const { state, quarantined } = loadState("note");
+    expect(state.placements).toEqual([]);
+    expect(quarantined).toBe(1);
+    expect(readQuarantine()).toEqual([expect.objectContaining({ grid: "note", kind: "state", entry: raw })]);
+  });
+
+  it("quarantines invalid entries and keeps the rest", () => {
+    localStorage.setItem(STATE_KEYS.advanced, JSON.stringify({ version: STATE_VERSION, placements: [placement, { id: "bad" }] }));
+    const { state, quarantined } = loadState("advanced");
+    expect(state.placements).toEqual([placement]);
+    expect(quarantined).toBe(1);
+    expect(readQuarantine()[0]).toMatchObject({ grid: "advanced", kind: "placement", entry: { id: "bad" } });
+  });
+
+  it("keeps only the latest 50 quarantined entries", () => {
+    const walls = Array.from({ length: 30 }, (_, i) => ({ x: -1, y: i }));
+    localStorage.setItem(STATE_KEYS.advanced, JSON.stringify({ version: STATE_VERSION, walls }));
+    loadState("advanced");
+    loadState("advanced");
+    const list = readQuarantine();
+    expect(list).toHaveLength(50);
+    expect(list[list.length - 1].entry).toEqual({ x: -1, y: 29 });
+    expect(list[0].entry).toEqual({ x: -1, y: 10 });
+  });
+});
@@ -0,0 +1,123 @@
+// --- PlacementEditor: live editor for one region placement's params and cells ---
+import React, { useEffect, useRef } from "react";
+import { ROLLOFF_MODELS, parseCurvePoints, formatCurvePoints } from "./SoundEngine";
+import EffectsChainEditor from "./EffectsChainEditor";
+
+// Every change goes straight to the placement through onParam(name, value, label), so it is
+// heard while editing. Arrow keys pressed on the panel's buttons still move the grid cursor,
+// which is how cells are walked to before "Add cell" / "Remove cell" (or Space on the grid).
+export default function PlacementEditor({ placement, name, defaultRadius, cursor, selection, onParam, onToggleCell, onAddSelection, onRemoveSelection, onClose }) {
+  const headingRef = useRef(null);
+  const params = placement.params || {};
+  const radius = params.radius ?? defaultRadius;
+  const angularRange = params.angularRange ?? 360;
+  const inPlacement = !!cursor && placement.cells.some((c) => c.x === cursor.x && c.y === cursor.y);
+  const curveText = formatCurvePoints(params.curve ?? [[0, 1], [radius, 0]]);
+
+  useEffect(() => {
+    headingRef.current && headingRef.current.focus();
+  }, [placement.id]);
+
+  const number = (field, label, fallback, attrs = {}) => (
+    <div>
+      <label className="block text-xs text-gray-600">
+        {label}
+        <input type="number" value={params[field] ?? fallback} {...attrs} className="w-full border rounded p-1"
+          onChange={(e) => { const v = parseFloat(e.target.value); if (Number.isFinite(v)) onParam(field, v, label); }} />
+      </label>
+    </div>
+  );
+
+  const range = (field, label, fallback, min, max, step) => (
+    <div>
+      <label className="block text-xs text-gray-600">
+        {label} ({Number(params[field] ?? fallback).toFixed(2)})
+        <input type="range" min={min} max={max} step={step} value={params[field] ?? fallback} className="w-full"
+          onChange={(e) => onParam(field, parseFloat(e.target.value), label)} />
+      </label>
+    </div>
+  );
+
+  const toggle = (field, label, on, off) => (
+    <div>
+      <label className="block text-xs text-gray-600">
+        {label}
+        <select value={params[field] ? "on" : "off"} className="w-full border rounded p-1"
+          onChange={(e) => onParam(field, e.target.value === "on", label)}>
+          <option value="on">{on}</option>
+          <option value="off">{off}</option>
+        </select>
+      </label>
+    </div>
+  );
+
+  return (
+    <div data-placement-editor role="dialog" aria-labelledby="placement-editor-title"
+      className="fixed right-6 top-24 w-96 max-h-[80vh] overflow-auto bg-white border rounded shadow-lg p-4 z-40"
+      onKeyDown={(e) => {
+        if (e.key === "Escape") {
+          e.stopPropagation();
+          onClose();
+        }
+      }}>
+      <div className="flex items-center justify-between">
+        <div id="placement-editor-title" ref={headingRef} tabIndex={-1} className="font-semibold">Edit "{name}"</div>
+        <button className="px-2 py-0.5 border rounded text-xs" onClick={onClose}>Esc — Close</button>
+      </div>
+      <div className="mt-3 space-y-3 text-sm">
+        <fieldset className="border rounded p-2">
+          <legend className="text-xs text-gray-600 px-1">Cells ({placement.cells.length})</legend>
+          <div className="flex flex-wrap gap-1">
+            <button className="px-2 py-0.5 border rounded text-xs" disabled={!cursor || (inPlacement && placement.cells.length === 1)} onClick={onToggleCell}>
+              Space — {!cursor ? "Add cell" : `${inPlacement ? "Remove" : "Add"} cell ${cursor.x + 1}, ${cursor.y + 1}`}
+            </button>
+            <button className="px-2 py-0.5 border rounded text-xs" disabled={selection.length === 0} onClick={onAddSelection}>Add selection ({selection.length})</button>
+            <button className="px-2 py-0.5 border rounded text-xs" disabled={selection.length === 0} onClick={onRemoveSelection}>Remove selection</button>
+          </div>
+        </fieldset>
+
+        {range("volume", "Volume", 1, 0, 2, 0.01)}
+        {range("radius", "Radius", defaultRadius, 0.5, 10, 0.1)}
+        {number("priority", "Priority (higher keeps its voice when too many play)", 0, { step: 1 })}
+        <div className="flex gap-2">
+          {number("layer", "Layer (higher sits on top of the stack)", 0, { step: 1 })}
+          {toggle("exclusive", "Exclusive (silences lower layers on its cells while you stand there)", "On", "Off")}
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600">
+            Distance rolloff
+            <select value={params.rolloff ?? "linear"} className="w-full border rounded p-1" onChange={(e) => onParam("rolloff", e.target.value, "Distance rolloff")}>
+              {ROLLOFF_MODELS.map((m) => <option key={m} value={m}>{m}</option>)}
+            </select>
+          </label>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600">
+            Custom curve (distance:gain, used when rolloff is custom; applied on leaving the field)
+            {/* keyed by its value too, so undo / redo of the curve shows up in the field */}
+            <input type="text" key={`${placement.id}:${curveText}`} defaultValue={curveText} placeholder="0:1, 2:0.5, 3:0"
+              className="w-full border rounded p-1" onBlur={(e) => onParam("curve", parseCurvePoints(e.target.value), "Custom curve")} />
+          </label>
+        </div>
+        {number("minDistance", "Min distance (full level within, cells)", 0, { min: 0, step: 0.5 })}
+        {range("floor", "Floor level (heard everywhere)", 0, 0, 1, 0.01)}
+        {number("angularRange", "Angular range / inner cone (°, 360 = all directions)", 360, { min: 0, max: 360 })}
+        {number("direction", "Facing direction (°, 0 = up, 90 = right)", 0, { min: 0, max: 359 })}
+        {number("coneOuter", "Outer cone (°)", angularRange, { min: 0, max: 360 })}
+        {range("coneOuterGain", "Outside-cone level", 0, 0, 1, 0.01)}
+        {toggle("proximityTriggers", "Proximity triggers (play as an event when the cursor enters the radius)", "On", "Off (loop)")}
+        <div className="flex gap-2">
+          {number("triggerCount", "Plays per trigger", 1, { min: 1, step: 1 })}
+          {number("triggerCooldown", "Retrigger cooldown (sec)", 2, { min: 0, step: 0.5 })}
+        </div>
+        <div className="flex gap-2">
+          {toggle("stopOnExit", "Stop on exit", "On", "Off")}
+          {number("fadeOut", "Fade-out (sec)", 0.5, { min: 0, step: 0.1 })}
+        </div>
+        {number("timing", "Timing offset (sec)", 0, { step: 0.1 })}
+
+        <EffectsChainEditor key={placement.id} effects={params.effects ?? []} onChange={(fx) => onParam("effects", fx, "Effects")} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+// PlacementGeometry.js
+
+/**
+ * Cell geometry for region placements ({ id, cells: [{x,y}], libId, params }): hit-testing,
+ * the clipboard shape (cells as offsets from the cell that was under the cursor) and moves
+ * that keep the whole shape on the grid.
+ *
+ * Placements may overlap. The stack on a cell is ordered by params.layer (higher on top,
+ * default 0), then by list order (later on top), and cell actions go to the top of the stack
+ * unless another entry has been picked.
+ */
+
+export const layerOf = (pl) => pl.params?.layer ?? 0;
+
+// every placement covering `cell`, top of the stack first
+export function stackAt(placements, cell) {
+  if (!cell) return [];
+  const stack = [];
+  placements.forEach((p, i) => {
+    if (p.cells.some((c) => c.x === cell.x && c.y === cell.y)) stack.push({ p, i });
+  });
+  return stack.sort((a, b) => layerOf(b.p) - layerOf(a.p) || b.i - a.i).map(({ p }) => p);
+}
+
+export function placementAt(placements, cell) {
+  return stackAt(placements, cell)[0] || null;
+}
+
+// clipboard entry for a placement copied with the cursor on `anchor`
+export function copyPlacement(pl, anchor) {
+  return {
+    libId: pl.libId,
+    params: { ...pl.params },
+    offsets: pl.cells.map((c) => ({ dx: c.x - anchor.x, dy: c.y - anchor.y })),
+  };
+}
+
+// the largest step of at most (dx, dy) that keeps every cell inside cols x rows
+export function clampShift(cells, dx, dy, cols, rows) {
+  const xs = cells.map((c) => c.x);
+  const ys = cells.map((c) => c.y);
+  return {
+    dx: Math.max(-Math.min(...xs), Math.min(cols - 1 - Math.max(...xs), dx)),
+    dy: Math.max(-Math.min(...ys), Math.min(rows - 1 - Math.max(...ys), dy)),
+  };
+}
+
+export function shiftCells(cells, dx, dy) {
+  return cells.map((c) => ({ x: c.x + dx, y: c.y + dy }));
+}
+
+// cells for pasting a clipboard entry at `anchor`, nudged back inside the grid if the shape
+// would hang over an edge (null if the shape is larger than the grid)
+export function pasteCells(clip, anchor, cols, rows) {
+  const cells = clip.offsets.map((o) => ({ x: anchor.x + o.dx, y: anchor.y + o.dy }));
+  const xs = cells.map((c) => c.x);
+  const ys = cells.map((c) => c.y);
+  if (Math.max(...xs) - Math.min(...xs) >= cols || Math.max(...ys) - Math.min(...ys) >= rows) return null;
+  const dx = Math.max(0, -Math.min(...xs)) - Math.max(0, Math.max(...xs) - (cols - 1));
+  const dy = Math.max(0, -Math.min(...ys)) - Math.max(0, Math.max(...ys) - (rows - 1));
+  return shiftCells(cells, dx, dy);
+}
+
+// "copy" | "cut" | "paste" for Ctrl/Cmd+C, X, V outside text fields, otherwise null
+export function clipboardShortcut(e) {
+  const target = e.target;
+  if (target && (target.tagName === "INPUT" || target.tagName === "TEXTAREA" || target.isContentEditable)) return null;
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return null;
+  return { c: "copy", x: "cut", v: "paste" }[e.key.toLowerCase()] || null;
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect } from "vitest";
+import { stackAt, placementAt, copyPlacement, clampShift, shiftCells, pasteCells, clipboardShortcut } from "./PlacementGeometry";
+
+// an L shape: (1,1) (2,1) (2,2)
+const shape = [{ x: 1, y: 1 }, { x: 2, y: 1 }, { x: 2, y: 2 }];
+
+describe("stackAt / placementAt", () => {
+  const base = { id: "base", cells: [{ x: 0, y: 0 }, { x: 1, y: 0 }], params: {} };
+  const later = { id: "later", cells: [{ x: 0, y: 0 }], params: {} };
+  const raised = { id: "raised", cells: [{ x: 0, y: 0 }], params: { layer: 1 } };
+
+  it("orders a stack by layer, then by list order", () => {
+    expect(stackAt([raised, base, later], { x: 0, y: 0 }).map((p) => p.id)).toEqual(["raised", "later", "base"]);
+    expect(placementAt([base, later], { x: 1, y: 0 }).id).toBe("base");
+  });
+
+  it("is empty off the placements or without a cell", () => {
+    expect(stackAt([base], { x: 3, y: 3 })).toEqual([]);
+    expect(stackAt([base], null)).toEqual([]);
+    expect(placementAt([base], { x: 3, y: 3 })).toBeNull();
+  });
+});
+
+describe("copyPlacement", () => {
+  it("stores the cells as offsets from the cursor and copies the params", () => {
+    const pl = { id: "p", cells: shape, libId: "rain", params: { volume: 0.5 } };
+    const clip = copyPlacement(pl, { x: 2, y: 1 });
+    expect(clip.offsets).toEqual([{ dx: -1, dy: 0 }, { dx: 0, dy: 0 }, { dx: 0, dy: 1 }]);
+    expect(clip).toMatchObject({ libId: "rain", params: { volume: 0.5 } });
+    expect(clip.params).not.toBe(pl.params);
+  });
+});
+
+describe("clampShift", () => {
+  it.each([
+    ["inside the grid", 1, 1, { dx: 1, dy: 1 }],
+    ["past the left and top edges", -5, -5, { dx: -1, dy: -1 }],
+    ["past the right and bottom edges", 5, 5, { dx: 1, dy: 1 }],
+    ["along one axis", 0, 3, { dx: 0, dy: 1 }],
+  ])("keeps a 4x4 move %s on the grid", (_, dx, dy, expected) => {
+    expect(clampShift(shape, dx, dy, 4, 4)).toEqual(expected);
+  });
+
+  it("does not move a shape that already spans the grid", () => {
+    expect(clampShift([{ x: 0, y: 0 }, { x: 3, y: 0 }], 1, 0, 4, 4)).toEqual({ dx: 0, dy: 0 });
+  });
+});
+
+describe("shiftCells", () => {
+  it("moves every cell by the step", () => {
+    expect(shiftCells(shape, -1, 2)).toEqual([{ x: 0, y: 3 }, { x: 1, y: 3 }, { x: 1, y: 4 }]);
+  });
+});
+
+describe("pasteCells", () => {
+  const clip = copyPlacement({ cells: shape, params: {} }, { x: 1, y: 1 });
+
+  it("places the shape at the cursor", () => {
+    expect(pasteCells(clip, { x: 0, y: 0 }, 4, 4)).toEqual([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }]);
+  });
+
+  it.each([
+    ["right", { x: 3, y: 0 }, [{ x: 2, y: 0 }, { x: 3, y: 0 }, { x: 3, y: 1 }]],
+    ["bottom", { x: 0, y: 3 }, [{ x: 0, y: 2 }, { x: 1, y: 2 }, { x: 1, y: 3 }]],
+    ["bottom-right corner", { x: 3, y: 3 }, [{ x: 2, y: 2 }, { x: 3, y: 2 }, { x: 3, y: 3 }]],
+  ])("nudges the shape back inside over the %s edge", (_, anchor, expected) => {
+    expect(pasteCells(clip, anchor, 4, 4)).toEqual(expected);
+  });
+
+  it("nudges a shape with negative offsets back over the left edge", () => {
+    const left = copyPlacement({ cells: shape, params: {} }, { x: 2, y: 2 });
+    expect(pasteCells(left, { x: 0, y: 1 }, 4, 4)).toEqual([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }]);
+  });
+
+  it("refuses a shape larger than the grid", () => {
+    expect(pasteCells(clip, { x: 0, y: 0 }, 1, 4)).toBeNull();
+    expect(pasteCells(clip, { x: 0, y: 0 }, 4, 1)).toBeNull();
+  });
+});
+
+describe("clipboardShortcut", () => {
+  const key = (k, mods = {}, tagName = "DIV") => ({ key: k, ctrlKey: false, metaKey: false, shiftKey: false, altKey: false, target: { tagName }, ...mods });
+
+  it.each([
+    [key("c", { ctrlKey: true }), "copy"],
+    [key("X", { metaKey: true }), "cut"],
+    [key("v", { ctrlKey: true }), "paste"],
+    [key("v"), null],
+    [key("v", { ctrlKey: true, shiftKey: true }), null],
+    [key("c", { ctrlKey: true }, "TEXTAREA"), null],
+    [key("z", { ctrlKey: true }), null],
+  ])("maps %j to %s", (e, expected) => {
+    expect(clipboardShortcut(e)).toBe(expected);
+  });
+});
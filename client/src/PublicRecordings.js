@@ -0,0 +1,26 @@
+// PublicRecordings.js
+
+/**
+ * The public recordings shipped with the site: public/recordings/manifest.json lists file
+ * names, and each becomes a library item with the stable id `pub-<file name>` so placements
+ * (and exported scenes) can refer to it across sessions and machines.
+ */
+
+export const PUBLIC_MANIFEST_URL = "/sound-garden/recordings/manifest.json";
+
+export function publicItem(fname) {
+  return { id: `pub-${fname}`, name: fname, src: `/sound-garden/recordings/${fname}`, type: "public" };
+}
+
+// resolves with the library items, or [] when there is no manifest (or the network fails)
+export async function fetchPublicRecordings() {
+  try {
+    const res = await fetch(PUBLIC_MANIFEST_URL);
+    if (!res.ok) return [];
+    const files = await res.json();
+    return Array.isArray(files) ? files.filter((f) => typeof f === "string").map(publicItem) : [];
+  } catch {
+    // no manifest or network error is OK
+    return [];
+  }
+}
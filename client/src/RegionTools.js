@@ -0,0 +1,75 @@
+// RegionTools.js
+
+/**
+ * Region shapes for the selection tools, alongside the Shift+Arrow path: the rectangle between
+ * an anchor and the cursor, a filled circle around the cursor and a flood fill of contiguous
+ * open cells. Regions are cell lists ([{x,y}]); combineRegions folds a new shape into the
+ * current selection (replace, add = union, subtract), keeping the existing cell order so a
+ * Shift+Arrow path still walks the same way.
+ */
+
+export const SELECT_MODES = ["replace", "add", "subtract"];
+export const CIRCLE_RADIUS_MAX = 9;
+
+const cellKey = (c) => `${c.x},${c.y}`;
+
+export function rectCells(a, b) {
+  const cells = [];
+  for (let y = Math.min(a.y, b.y); y <= Math.max(a.y, b.y); y++) {
+    for (let x = Math.min(a.x, b.x); x <= Math.max(a.x, b.x); x++) cells.push({ x, y });
+  }
+  return cells;
+}
+
+// cells whose centres lie within `radius` of the centre cell, clipped to the grid
+export function circleCells(center, radius, cols, rows) {
+  const cells = [];
+  for (let y = Math.max(0, center.y - radius); y <= Math.min(rows - 1, center.y + radius); y++) {
+    for (let x = Math.max(0, center.x - radius); x <= Math.min(cols - 1, center.x + radius); x++) {
+      if ((x - center.x) ** 2 + (y - center.y) ** 2 <= radius * radius + radius) cells.push({ x, y });
+    }
+  }
+  return cells;
+}
+
+// 4-connected cells reachable from `start` through cells where isOpen(x, y) holds
+export function floodFill(start, isOpen, cols, rows) {
+  if (!start || !isOpen(start.x, start.y)) return [];
+  const seen = new Set([cellKey(start)]);
+  const cells = [];
+  const queue = [start];
+  while (queue.length) {
+    const c = queue.shift();
+    cells.push({ x: c.x, y: c.y });
+    for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const n = { x: c.x + dx, y: c.y + dy };
+      if (n.x < 0 || n.y < 0 || n.x >= cols || n.y >= rows || seen.has(cellKey(n))) continue;
+      seen.add(cellKey(n));
+      if (isOpen(n.x, n.y)) queue.push(n);
+    }
+  }
+  return cells;
+}
+
+export function combineRegions(base, cells, mode) {
+  if (mode === "replace") return cells.slice();
+  const keys = new Set(cells.map(cellKey));
+  if (mode === "subtract") return base.filter((c) => !keys.has(cellKey(c)));
+  const have = new Set(base.map(cellKey));
+  return [...base, ...cells.filter((c) => !have.has(cellKey(c)))];
+}
+
+// "12 cells, columns 2–5, rows 1–3" for the selection announcement
+export function describeRegion(cells) {
+  if (cells.length === 0) return "no cells";
+  const xs = cells.map((c) => c.x + 1);
+  const ys = cells.map((c) => c.y + 1);
+  const span = (lo, hi) => (lo === hi ? `${lo}` : `${lo}–${hi}`);
+  return `${cells.length} cell${cells.length === 1 ? "" : "s"}, columns ${span(Math.min(...xs), Math.max(...xs))}, rows ${span(Math.min(...ys), Math.max(...ys))}`;
+}
+
+// selection tool for Alt+R / Alt+C / Alt+F / Alt+M (by code, so macOS option characters work)
+export function selectionShortcut(e) {
+  if (!e.altKey || e.ctrlKey || e.metaKey) return null;
+  return { KeyR: "rect", KeyC: "circle", KeyF: "fill", KeyM: "mode" }[e.code] || null;
+}
@@ -0,0 +1,110 @@
+import { describe, it, expect } from "vitest";
+import { rectCells, circleCells, floodFill, combineRegions, describeRegion, selectionShortcut } from "./RegionTools";
+
+const keys = (cells) => cells.map((c) => `${c.x},${c.y}`).sort();
+
+// "#" is a wall, "." an open cell; rows top to bottom
+function gridOf(rows) {
+  const walls = new Set();
+  rows.forEach((row, y) => [...row].forEach((ch, x) => ch === "#" && walls.add(`${x},${y}`)));
+  return { cols: rows[0].length, rows: rows.length, isOpen: (x, y) => !walls.has(`${x},${y}`) };
+}
+
+describe("rectCells", () => {
+  it("covers the rectangle between two corners in either order", () => {
+    const expected = ["1,0", "1,1", "2,0", "2,1", "3,0", "3,1"];
+    expect(keys(rectCells({ x: 1, y: 0 }, { x: 3, y: 1 }))).toEqual(expected);
+    expect(keys(rectCells({ x: 3, y: 1 }, { x: 1, y: 0 }))).toEqual(expected);
+  });
+
+  it("is a single cell when both corners match", () => {
+    expect(rectCells({ x: 2, y: 2 }, { x: 2, y: 2 })).toEqual([{ x: 2, y: 2 }]);
+  });
+});
+
+describe("circleCells", () => {
+  it("is the centre cell at radius 0", () => {
+    expect(circleCells({ x: 2, y: 2 }, 0, 5, 5)).toEqual([{ x: 2, y: 2 }]);
+  });
+
+  it("rounds small radii out to the surrounding square and trims corners from radius 2", () => {
+    expect(circleCells({ x: 2, y: 2 }, 1, 5, 5)).toHaveLength(9);
+    const two = keys(circleCells({ x: 2, y: 2 }, 2, 5, 5));
+    expect(two).toHaveLength(21);
+    expect(two).not.toContain("0,0");
+    expect(two).toContain("0,1");
+  });
+
+  it("is clipped at the grid edges", () => {
+    expect(keys(circleCells({ x: 0, y: 0 }, 1, 5, 5))).toEqual(["0,0", "0,1", "1,0", "1,1"]);
+    expect(circleCells({ x: 4, y: 2 }, 2, 5, 5)).toHaveLength(13);
+  });
+});
+
+describe("floodFill", () => {
+  it("fills the open room around the start and stops at walls", () => {
+    const { isOpen, cols, rows } = gridOf([
+      "..#.",
+      "..#.",
+      "###.",
+    ]);
+    expect(keys(floodFill({ x: 0, y: 0 }, isOpen, cols, rows))).toEqual(["0,0", "0,1", "1,0", "1,1"]);
+    expect(keys(floodFill({ x: 3, y: 2 }, isOpen, cols, rows))).toEqual(["3,0", "3,1", "3,2"]);
+  });
+
+  it("does not leak through diagonal gaps", () => {
+    const { isOpen, cols, rows } = gridOf([
+      ".#",
+      "#.",
+    ]);
+    expect(floodFill({ x: 0, y: 0 }, isOpen, cols, rows)).toEqual([{ x: 0, y: 0 }]);
+  });
+
+  it("covers the whole grid without walls, up to every edge", () => {
+    const { isOpen, cols, rows } = gridOf(["...", "..."]);
+    expect(floodFill({ x: 2, y: 1 }, isOpen, cols, rows)).toHaveLength(6);
+  });
+
+  it("is empty from a wall or without a start cell", () => {
+    const { isOpen, cols, rows } = gridOf(["#."]);
+    expect(floodFill({ x: 0, y: 0 }, isOpen, cols, rows)).toEqual([]);
+    expect(floodFill(null, isOpen, cols, rows)).toEqual([]);
+  });
+});
+
+describe("combineRegions", () => {
+  const path = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }];
+  const shape = [{ x: 2, y: 0 }, { x: 2, y: 1 }];
+
+  it.each([
+    ["replace", [{ x: 2, y: 0 }, { x: 2, y: 1 }]],
+    ["add", [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 1 }]],
+    ["subtract", [{ x: 0, y: 0 }, { x: 1, y: 0 }]],
+  ])("%s keeps the selection's own order", (mode, expected) => {
+    expect(combineRegions(path, shape, mode)).toEqual(expected);
+  });
+
+  it("does not hand back the shape it was given on replace", () => {
+    expect(combineRegions(path, shape, "replace")).not.toBe(shape);
+  });
+});
+
+describe("describeRegion", () => {
+  it("names the cell count and the 1-based spans", () => {
+    expect(describeRegion([])).toBe("no cells");
+    expect(describeRegion([{ x: 0, y: 2 }])).toBe("1 cell, columns 1, rows 3");
+    expect(describeRegion(rectCells({ x: 1, y: 0 }, { x: 4, y: 2 }))).toBe("12 cells, columns 2–5, rows 1–3");
+  });
+});
+
+describe("selectionShortcut", () => {
+  it.each([
+    [{ altKey: true, code: "KeyR" }, "rect"],
+    [{ altKey: true, code: "KeyF" }, "fill"],
+    [{ altKey: true, ctrlKey: true, code: "KeyR" }, null],
+    [{ altKey: false, code: "KeyR" }, null],
+    [{ altKey: true, code: "KeyQ" }, null],
+  ])("maps %j to %s", (e, expected) => {
+    expect(selectionShortcut(e)).toBe(expected);
+  });
+});
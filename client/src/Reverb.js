@@ -0,0 +1,44 @@
+// Reverb.js
+
+/**
+ * Acoustic presets for reverb zones. Impulse responses are generated locally
+ * (decaying stereo noise) so no IR files need to be shipped or fetched.
+ *
+ * - duration: IR length in seconds
+ * - decay: exponent of the amplitude envelope (higher = dies away faster)
+ * - preDelay: seconds of silence before the tail (early reflection gap)
+ * - brightness: 0..1, one-pole low-pass amount applied to the noise (lower = darker)
+ * - wet: default send level when a zone is created
+ */
+
+export const REVERB_PRESETS = {
+  street: { label: "Street", duration: 0.9, decay: 4, preDelay: 0.01, brightness: 0.8, wet: 0.15 },
+  tunnel: { label: "Tunnel", duration: 3.5, decay: 2, preDelay: 0.03, brightness: 0.45, wet: 0.5 },
+  cafe: { label: "Café", duration: 1.2, decay: 3, preDelay: 0.008, brightness: 0.6, wet: 0.35 },
+  hall: { label: "Hall", duration: 2.8, decay: 2.5, preDelay: 0.025, brightness: 0.7, wet: 0.4 },
+};
+
+export const REVERB_PRESET_IDS = Object.keys(REVERB_PRESETS);
+
+// build a stereo AudioBuffer impulse response for a preset on the given context
+export function createImpulseResponse(ctx, presetId, random = Math.random) {
+  const preset = REVERB_PRESETS[presetId] || REVERB_PRESETS.street;
+  const rate = ctx.sampleRate;
+  const length = Math.max(1, Math.floor(rate * preset.duration));
+  const preDelay = Math.floor(rate * preset.preDelay);
+  const buffer = ctx.createBuffer(2, length, rate);
+  const smoothing = 1 - preset.brightness;
+
+  for (let ch = 0; ch < 2; ch++) {
+    const data = buffer.getChannelData(ch);
+    let last = 0;
+    for (let i = preDelay; i < length; i++) {
+      const t = (i - preDelay) / (length - preDelay);
+      const noise = random() * 2 - 1;
+      // one-pole low-pass so darker rooms lose high frequencies
+      last = last * smoothing + noise * (1 - smoothing);
+      data[i] = last * Math.pow(1 - t, preset.decay);
+    }
+  }
+  return buffer;
+}
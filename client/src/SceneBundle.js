@@ -0,0 +1,192 @@
+// SceneBundle.js
+
+/**
+ * Portable scene files for moving layouts between machines (and into version control).
+ *
+ * A bundle is one JSON file:
+ *   { format: "sound-garden-scene", version: 1, name, exportedAt,
+ *     scene: <persisted-state document, see Persistence.js>,
+ *     audio: { [libId]: "data:audio/...;base64,..." } }
+ * Uploaded recordings are embedded in `audio`; public recordings and synth tones are only
+ * referenced by their library entry, since every install ships (or generates) them.
+ *
+ * Import never trusts ids from the file: embedded uploads are stored under fresh ids, public
+ * references are matched by name against this site's manifest, and anything that cannot be
+ * resolved is reported as missing so the user can keep it, drop its placements, point it at
+ * another recording or supply a file (see importSceneBundle's `choices`).
+ */
+
+import { STATE_VERSION, loadState, migrateState, validateState } from "./Persistence";
+import { getScene, sceneStateKey, addScene } from "./Scenes";
+import { getAudio, putAudio, deleteAudio, dataUrlToBlob, blobToDataUrl } from "./AudioStore";
+
+export const BUNDLE_FORMAT = "sound-garden-scene";
+export const BUNDLE_VERSION = 1;
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+function newUploadId() {
+  return `upl-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+}
+
+function bundleFilename(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  return `${slug || "scene"}.scene.json`;
+}
+
+/**
+ * Build the bundle for a stored scene. Resolves with { blob, filename, missing } where missing
+ * lists the names of uploads whose audio was not in browser storage (exported without it).
+ */
+export async function exportSceneBundle(sceneId) {
+  const scene = getScene(sceneId);
+  if (!scene) throw new Error("Scene not found");
+  const { state } = loadState("advanced", sceneStateKey(sceneId));
+  const audio = {};
+  const missing = [];
+  for (const item of state.library) {
+    if (item.type !== "upload") continue;
+    // legacy entries may still carry their audio as a data: URL
+    const blob = item.src ? await dataUrlToBlob(item.src) : await getAudio(item.id);
+    if (blob) audio[item.id] = await blobToDataUrl(blob);
+    else missing.push(item.name);
+  }
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    name: scene.name,
+    exportedAt: new Date().toISOString(),
+    scene: { ...state, library: state.library.map(({ src, ...item }) => (item.type === "upload" ? item : { ...item, src })) },
+    audio,
+  };
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: "application/json" });
+  return { blob, filename: bundleFilename(scene.name), missing };
+}
+
+/**
+ * Validate a parsed bundle file. Throws with a readable message when it is not a bundle;
+ * otherwise returns { name, state, audio, rejected } where rejected counts scene entries (or
+ * audio entries) that failed validation and were left out.
+ */
+export function parseSceneBundle(data) {
+  if (!isObject(data) || data.format !== BUNDLE_FORMAT) throw new Error("Not a scene file");
+  if (data.version !== BUNDLE_VERSION) throw new Error(`Unsupported scene file version ${JSON.stringify(data.version)}`);
+  if (!isObject(data.scene) || !Number.isInteger(data.scene.version)) throw new Error("The scene file has no scene document");
+  if (data.scene.version > STATE_VERSION) throw new Error(`The scene was saved by a newer version (${data.scene.version})`);
+
+  const { state: migrated } = migrateState(data.scene);
+  const { state, rejected } = validateState(migrated);
+  const audio = {};
+  let badAudio = 0;
+  Object.entries(isObject(data.audio) ? data.audio : {}).forEach(([id, dataUrl]) => {
+    if (typeof dataUrl === "string" && dataUrl.startsWith("data:")) audio[id] = dataUrl;
+    else badAudio += 1;
+  });
+  const name = typeof data.name === "string" && data.name.trim() ? data.name.trim() : "Imported scene";
+  return { name, state, audio, rejected: rejected.length + badAudio };
+}
+
+/**
+ * How each library id of a parsed bundle resolves on this machine: [{ item, status, placements }]
+ * with status "embedded" (audio in the file), "public" (found in publicItems), "synth", or
+ * "missing". Placements pointing at ids the library does not list show up as missing too.
+ */
+export function resolveBundle(bundle, publicItems) {
+  const counts = {};
+  bundle.state.placements.forEach((pl) => {
+    counts[pl.libId] = (counts[pl.libId] || 0) + 1;
+  });
+  const listed = new Set(bundle.state.library.map((item) => item.id));
+  const orphans = Object.keys(counts)
+    .filter((id) => !listed.has(id))
+    .map((id) => ({ id, name: `Unknown recording (${id})`, type: "upload" }));
+
+  return [...bundle.state.library, ...orphans].map((item) => {
+    let status = "missing";
+    if (item.type === "synth") status = "synth";
+    else if (item.type === "upload" && bundle.audio[item.id]) status = "embedded";
+    else if (item.type === "public" && publicItems.some((p) => p.name === item.name)) status = "public";
+    return { item, status, placements: counts[item.id] || 0 };
+  });
+}
+
+/**
+ * Store a parsed bundle as a new scene. `choices` maps each missing library id to
+ *   { action: "keep" }              keep the entry (it shows as failing to load)
+ *   { action: "drop" }              remove it and its placements
+ *   { action: "use", libId }        point its placements at another resolved or public item
+ *   { action: "file", file }        store the given audio file in its place
+ * (missing ids without a choice are kept). Audio written before a failure is removed again,
+ * so a failed import leaves nothing behind. Resolves with the new scene.
+ */
+export async function importSceneBundle({ bundle, name, choices = {}, publicItems = [] }) {
+  const resolution = resolveBundle(bundle, publicItems);
+  const idMap = {};
+  const library = [];
+  const dropped = new Set();
+  const written = [];
+
+  try {
+    for (const { item, status } of resolution) {
+      if (status === "embedded") {
+        const id = newUploadId();
+        const blob = await dataUrlToBlob(bundle.audio[item.id]);
+        await putAudio(id, blob);
+        written.push(id);
+        idMap[item.id] = id;
+        library.push({ id, name: item.name, type: "upload", size: blob.size });
+      } else if (status === "public") {
+        const pub = publicItems.find((p) => p.name === item.name);
+        idMap[item.id] = pub.id;
+        library.push(pub);
+      } else if (status === "synth") {
+        idMap[item.id] = item.id;
+        library.push(item);
+      }
+    }
+
+    const missing = resolution.filter((r) => r.status === "missing");
+    for (const { item } of missing) {
+      const choice = choices[item.id] || { action: "keep" };
+      if (choice.action === "drop") {
+        dropped.add(item.id);
+      } else if (choice.action === "file") {
+        const id = newUploadId();
+        await putAudio(id, choice.file);
+        written.push(id);
+        idMap[item.id] = id;
+        library.push({ id, name: choice.file.name, type: "upload", size: choice.file.size });
+      } else if (choice.action !== "use") {
+        // a kept public reference resolves again once the recording is added to the manifest
+        idMap[item.id] = item.id;
+        library.push(item);
+      }
+    }
+    // remaps last, so they can point at anything resolved above
+    for (const { item } of missing) {
+      const choice = choices[item.id];
+      if (!choice || choice.action !== "use") continue;
+      if (idMap[choice.libId]) {
+        idMap[item.id] = idMap[choice.libId];
+        continue;
+      }
+      const pub = publicItems.find((p) => p.id === choice.libId);
+      if (!pub) throw new Error(`No recording to use for "${item.name}"`);
+      idMap[item.id] = pub.id;
+      library.push(pub);
+    }
+
+    const unique = library.filter((item, i) => library.findIndex((l) => l.id === item.id) === i);
+    const state = {
+      ...bundle.state,
+      library: unique,
+      placements: bundle.state.placements
+        .filter((pl) => !dropped.has(pl.libId))
+        .map((pl) => ({ ...pl, libId: idMap[pl.libId] })),
+    };
+    return addScene(name || bundle.name, state);
+  } catch (e) {
+    await Promise.all(written.map((id) => deleteAudio(id).catch(() => {})));
+    throw e;
+  }
+}
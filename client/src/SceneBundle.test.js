@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { importSceneBundle, parseSceneBundle, resolveBundle, BUNDLE_FORMAT, BUNDLE_VERSION } from "./SceneBundle";
+import { listScenes, sceneStateKey } from "./Scenes";
+import { putAudio, deleteAudio } from "./AudioStore";
+import { publicItem } from "./PublicRecordings";
+
+// the audio store as a map; data: URL conversion stays real
+const stored = new Map();
+vi.mock("./AudioStore", async (importOriginal) => ({
+  ...(await importOriginal()),
+  putAudio: vi.fn(async (id, blob) => {
+    stored.set(id, blob);
+  }),
+  getAudio: vi.fn(async (id) => stored.get(id) || null),
+  deleteAudio: vi.fn(async (id) => {
+    stored.delete(id);
+  }),
+}));
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+beforeEach(() => {
+  stored.clear();
+  vi.clearAllMocks();
+  vi.stubGlobal("localStorage", memoryStorage());
+  // Scenes announces index changes on window
+  vi.stubGlobal("window", new EventTarget());
+});
+
+const rain = publicItem("rain.mp3");
+const wind = publicItem("wind.mp3");
+const placementOf = (libId, x) => ({ id: `p-${x}`, cells: [{ x, y: 0 }], libId, params: {} });
+
+// a bundle with one embedded upload, one public recording this site has, one it lacks and a
+// placement pointing at a library id the file never listed
+function bundleFile() {
+  return parseSceneBundle({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    name: "Market",
+    scene: {
+      version: 3,
+      library: [
+        { id: "up-1", name: "stall.wav", type: "upload" },
+        { id: "pub-rain.mp3", name: "rain.mp3", type: "public" },
+        { id: "pub-gone.mp3", name: "gone.mp3", type: "public" },
+      ],
+      placements: [placementOf("up-1", 0), placementOf("pub-rain.mp3", 1), placementOf("pub-gone.mp3", 2), placementOf("up-lost", 3)],
+    },
+    audio: { "up-1": "data:audio/wav;base64,UklGRg==" },
+  });
+}
+
+const savedScene = (scene) => JSON.parse(localStorage.getItem(sceneStateKey(scene.id)));
+const fileOf = (name) => new File(["RIFF"], name, { type: "audio/wav" });
+
+describe("resolveBundle", () => {
+  it("sorts each library id into embedded, public or missing", () => {
+    const resolution = resolveBundle(bundleFile(), [rain, wind]);
+    expect(resolution.map(({ item, status, placements }) => [item.id, status, placements])).toEqual([
+      ["up-1", "embedded", 1],
+      ["pub-rain.mp3", "public", 1],
+      ["pub-gone.mp3", "missing", 1],
+      ["up-lost", "missing", 1],
+    ]);
+  });
+});
+
+describe("importSceneBundle", () => {
+  it("stores embedded audio under a fresh id and keeps missing entries by default", async () => {
+    const scene = await importSceneBundle({ bundle: bundleFile(), publicItems: [rain] });
+    const doc = savedScene(scene);
+    const upload = doc.library.find((item) => item.name === "stall.wav");
+    expect(upload.id).not.toBe("up-1");
+    expect([...stored.keys()]).toEqual([upload.id]);
+    expect(doc.placements.map((pl) => pl.libId)).toEqual([upload.id, rain.id, "pub-gone.mp3", "up-lost"]);
+    expect(listScenes().map((s) => s.name)).toContain("Market");
+  });
+
+  it("applies drop, use and file choices for missing recordings", async () => {
+    const scene = await importSceneBundle({
+      bundle: bundleFile(),
+      name: "Market copy",
+      publicItems: [rain, wind],
+      choices: {
+        "pub-gone.mp3": { action: "use", libId: wind.id },
+        "up-lost": { action: "file", file: fileOf("lost.wav") },
+      },
+    });
+    const doc = savedScene(scene);
+    const lost = doc.library.find((item) => item.name === "lost.wav");
+    expect(stored.has(lost.id)).toBe(true);
+    expect(doc.placements.map((pl) => pl.libId)).toEqual([expect.any(String), rain.id, wind.id, lost.id]);
+    expect(doc.library.map((item) => item.name)).not.toContain("gone.mp3");
+
+    const dropped = savedScene(await importSceneBundle({ bundle: bundleFile(), publicItems: [rain], choices: { "pub-gone.mp3": { action: "drop" }, "up-lost": { action: "drop" } } }));
+    expect(dropped.placements).toHaveLength(2);
+  });
+
+  it("can point a missing recording at another entry of the same bundle", async () => {
+    const doc = savedScene(await importSceneBundle({ bundle: bundleFile(), publicItems: [rain], choices: { "up-lost": { action: "use", libId: "pub-rain.mp3" } } }));
+    expect(doc.placements[3].libId).toBe(rain.id);
+  });
+
+  it("removes audio it already wrote when a choice cannot be resolved", async () => {
+    const before = listScenes().length;
+    await expect(
+      importSceneBundle({
+        bundle: bundleFile(),
+        publicItems: [rain],
+        choices: { "up-lost": { action: "file", file: fileOf("lost.wav") }, "pub-gone.mp3": { action: "use", libId: "pub-nowhere.mp3" } },
+      })
+    ).rejects.toThrow('No recording to use for "gone.mp3"');
+    expect(putAudio).toHaveBeenCalledTimes(2);
+    expect(deleteAudio).toHaveBeenCalledTimes(2);
+    expect(stored.size).toBe(0);
+    expect(listScenes()).toHaveLength(before);
+  });
+
+  it("removes audio it already wrote when storing a later file fails", async () => {
+    putAudio.mockImplementationOnce(async (id, blob) => {
+      stored.set(id, blob);
+    });
+    putAudio.mockRejectedValueOnce(new Error("QuotaExceededError"));
+    await expect(
+      importSceneBundle({ bundle: bundleFile(), publicItems: [rain], choices: { "up-lost": { action: "file", file: fileOf("lost.wav") } } })
+    ).rejects.toThrow("QuotaExceededError");
+    expect(stored.size).toBe(0);
+  });
+});
@@ -0,0 +1,95 @@
+// --- SceneImport: review a parsed scene file, remap its missing audio, then import it as a new scene ---
+import React, { useState } from "react";
+import { SCENE_NAME_MAX } from "./Scenes";
+import { resolveBundle, importSceneBundle } from "./SceneBundle";
+
+const inputClass = "w-full px-2 py-1 rounded bg-gray-800 border border-gray-600 text-sm";
+const smallButton = "px-2 py-0.5 rounded border border-gray-600 text-xs hover:bg-gray-700";
+
+export default function SceneImport({ bundle, publicItems, onImported, onCancel }) {
+  const [name, setName] = useState(bundle.name);
+  const [choices, setChoices] = useState({}); // libId -> { action, libId?, file? } for missing items
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const resolution = resolveBundle(bundle, publicItems);
+  const missing = resolution.filter((r) => r.status === "missing");
+  // what a missing item can be pointed at: recordings that did resolve, then the public ones
+  const targets = [
+    ...resolution.filter((r) => r.status !== "missing").map((r) => ({ id: r.item.id, name: r.item.name })),
+    ...publicItems.filter((p) => !resolution.some((r) => r.status === "public" && r.item.name === p.name)),
+  ];
+
+  function setChoice(id, choice) {
+    setChoices((prev) => ({ ...prev, [id]: choice }));
+  }
+
+  function choiceValue(id) {
+    const choice = choices[id];
+    if (!choice) return "keep";
+    return choice.action === "use" ? `use:${choice.libId}` : choice.action;
+  }
+
+  async function submit(e) {
+    e.preventDefault();
+    const unfilled = missing.find(({ item }) => choices[item.id]?.action === "file" && !choices[item.id].file);
+    if (unfilled) {
+      setError(`Choose an audio file for "${unfilled.item.name}".`);
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      onImported(await importSceneBundle({ bundle, name, choices, publicItems }));
+    } catch (err) {
+      console.error("Failed to import scene:", err);
+      setError(`Could not import the scene: ${err.message}`);
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form onSubmit={submit} aria-labelledby="scene-import-heading" className="mb-3 space-y-2 border border-gray-700 rounded p-2 text-xs">
+      <div id="scene-import-heading" className="font-semibold text-sm">Import scene</div>
+      <label className="block">
+        Name
+        <input className={inputClass} maxLength={SCENE_NAME_MAX} value={name} onChange={(e) => setName(e.target.value)} />
+      </label>
+      <div className="text-gray-400">
+        {bundle.state.placements.length} placements, {resolution.length} recordings
+        {bundle.rejected > 0 && ` — ${bundle.rejected} invalid ${bundle.rejected === 1 ? "entry" : "entries"} skipped`}
+      </div>
+
+      {missing.length > 0 && (
+        <div role="group" aria-label="Missing audio" className="space-y-2">
+          <div role="status" className="text-yellow-300">{missing.length} {missing.length === 1 ? "recording has" : "recordings have"} no audio on this machine:</div>
+          {missing.map(({ item, placements }) => (
+            <div key={item.id} className="space-y-1">
+              <div className="truncate" title={item.name}>{item.name} <span className="text-gray-400">({placements} placed)</span></div>
+              <select aria-label={`Audio for ${item.name}`} className={inputClass} value={choiceValue(item.id)} onChange={(e) => {
+                const value = e.target.value;
+                if (value.startsWith("use:")) setChoice(item.id, { action: "use", libId: value.slice(4) });
+                else setChoice(item.id, { action: value });
+              }}>
+                <option value="keep">Keep (silent until the audio is available)</option>
+                <option value="drop">Remove it and its placements</option>
+                <option value="file">Choose an audio file…</option>
+                {targets.map((t) => <option key={t.id} value={`use:${t.id}`}>Use {t.name}</option>)}
+              </select>
+              {choices[item.id]?.action === "file" && (
+                <input type="file" accept="audio/*" aria-label={`Audio file for ${item.name}`} className="w-full text-xs"
+                  onChange={(e) => setChoice(item.id, { action: "file", file: e.target.files?.[0] || null })} />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {error && <p role="alert" className="text-red-400">{error}</p>}
+      <div className="flex gap-2">
+        <button type="submit" className={smallButton} disabled={busy}>{busy ? "Importing…" : "Import"}</button>
+        <button type="button" className={smallButton} disabled={busy} onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+}
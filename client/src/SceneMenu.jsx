@@ -0,0 +1,224 @@
+// --- SceneMenu: drawer section listing urban-grid scenes with create / rename / duplicate / delete / export / import ---
+import React, { useEffect, useState } from "react";
+import { Link, useLocation, useNavigate, useParams } from "react-router";
+import {
+  DEFAULT_SCENE_ID,
+  SCENES_KEY,
+  SCENE_NAME_MAX,
+  listScenes,
+  createScene,
+  duplicateScene,
+  renameScene,
+  deleteScene,
+  scenePath,
+} from "./Scenes";
+import { exportSceneBundle, parseSceneBundle } from "./SceneBundle";
+import { fetchPublicRecordings } from "./PublicRecordings";
+import { downloadBlob } from "./Bounce";
+import SceneImport from "./SceneImport";
+import { GRID_SIZE_MIN, GRID_SIZE_MAX, validGridSize } from "./GridResize";
+
+const inputClass = "w-full px-2 py-1 rounded bg-gray-800 border border-gray-600 text-sm";
+const smallButton = "px-2 py-0.5 rounded border border-gray-600 text-xs hover:bg-gray-700";
+
+export default function SceneMenu({ onNavigate = () => {} }) {
+  const [scenes, setScenes] = useState(listScenes);
+  const [renaming, setRenaming] = useState(null); // { id, name } while a scene name is being edited
+  const [draft, setDraft] = useState(null); // { name, cols, rows } while the new-scene form is open
+  const [importing, setImporting] = useState(null); // { bundle, publicItems } while an import is reviewed
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { sceneId } = useParams();
+  const currentId = location.pathname.startsWith("/sound-garden/urban") ? sceneId || DEFAULT_SCENE_ID : null;
+
+  // other tabs and the grid itself can change the index
+  useEffect(() => {
+    const refresh = () => setScenes(listScenes());
+    const onStorage = (e) => {
+      if (e.key === SCENES_KEY) refresh();
+    };
+    window.addEventListener("ss-scenes-changed", refresh);
+    window.addEventListener("storage", onStorage);
+    return () => {
+      window.removeEventListener("ss-scenes-changed", refresh);
+      window.removeEventListener("storage", onStorage);
+    };
+  }, []);
+
+  function run(action, what) {
+    setError(null);
+    setNotice(null);
+    try {
+      return action();
+    } catch (e) {
+      console.error(`Failed to ${what}:`, e);
+      setError(`Could not ${what}: ${e.message}`);
+      return null;
+    }
+  }
+
+  function open(scene) {
+    navigate(scenePath(scene.id));
+    onNavigate();
+  }
+
+  function submitDraft(e) {
+    e.preventDefault();
+    const cols = parseInt(draft.cols, 10);
+    const rows = parseInt(draft.rows, 10);
+    if (!validGridSize(cols) || !validGridSize(rows)) {
+      setError(`Grid size must be between ${GRID_SIZE_MIN} and ${GRID_SIZE_MAX} cells each way.`);
+      return;
+    }
+    const scene = run(() => createScene(draft.name, { cols, rows, defaultRadius: 3 }), "create the scene");
+    if (!scene) return;
+    setDraft(null);
+    open(scene);
+  }
+
+  function submitRename(e) {
+    e.preventDefault();
+    run(() => renameScene(renaming.id, renaming.name), "rename the scene");
+    setRenaming(null);
+  }
+
+  function duplicate(scene) {
+    const copy = run(() => duplicateScene(scene.id), "duplicate the scene");
+    if (copy) open(copy);
+  }
+
+  function remove(scene) {
+    if (!window.confirm(`Delete scene "${scene.name}"? Its placements and performance are removed.`)) return;
+    run(() => deleteScene(scene.id), "delete the scene");
+    if (scene.id === currentId) navigate(scenePath(DEFAULT_SCENE_ID));
+  }
+
+  async function exportScene(scene) {
+    setError(null);
+    setNotice(null);
+    try {
+      const { blob, filename, missing } = await exportSceneBundle(scene.id);
+      downloadBlob(blob, filename);
+      if (missing.length) setNotice(`Exported without audio for: ${missing.join(", ")} (not in browser storage).`);
+    } catch (e) {
+      console.error("Failed to export scene:", e);
+      setError(`Could not export "${scene.name}": ${e.message}`);
+    }
+  }
+
+  async function readImportFile(file) {
+    setError(null);
+    setNotice(null);
+    try {
+      const bundle = parseSceneBundle(JSON.parse(await file.text()));
+      setImporting({ bundle, publicItems: await fetchPublicRecordings() });
+    } catch (e) {
+      console.error("Failed to read scene file:", e);
+      setError(`Could not read "${file.name}": ${e.message}`);
+    }
+  }
+
+  return (
+    // keep typing here away from the grid's global shortcuts; Tab and Escape still reach the drawer
+    <section aria-labelledby="scene-menu-heading" className="mt-6" onKeyDown={(e) => {
+      if (e.key !== "Tab" && e.key !== "Escape") e.stopPropagation();
+    }}>
+      <div className="flex items-center justify-between mb-2">
+        <h3 id="scene-menu-heading" className="text-sm font-semibold text-gray-300">Urban scenes</h3>
+        {!draft && !importing && (
+          <div className="flex gap-1">
+            <button className={smallButton} onClick={() => setDraft({ name: "", cols: 10, rows: 10 })}>New</button>
+            <label className={`${smallButton} cursor-pointer`}>
+              Import
+              <input type="file" accept="application/json,.json" className="sr-only" onChange={(e) => {
+                const f = e.target.files?.[0];
+                if (f) readImportFile(f);
+                e.target.value = null;
+              }} />
+            </label>
+          </div>
+        )}
+      </div>
+
+      {error && <p role="alert" className="mb-2 text-xs text-red-400">{error}</p>}
+      {notice && <p role="status" className="mb-2 text-xs text-yellow-300">{notice}</p>}
+
+      {importing && (
+        <SceneImport
+          bundle={importing.bundle}
+          publicItems={importing.publicItems}
+          onCancel={() => setImporting(null)}
+          onImported={(scene) => {
+            setImporting(null);
+            open(scene);
+          }}
+        />
+      )}
+
+      {draft && (
+        <form onSubmit={submitDraft} className="mb-3 space-y-2 border border-gray-700 rounded p-2">
+          <label className="block text-xs">
+            Name
+            <input className={inputClass} maxLength={SCENE_NAME_MAX} value={draft.name} placeholder={`Scene ${scenes.length + 1}`}
+              onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))} />
+          </label>
+          <div className="flex gap-2">
+            <label className="block text-xs flex-1">
+              Columns
+              <input type="number" min={GRID_SIZE_MIN} max={GRID_SIZE_MAX} className={inputClass} value={draft.cols}
+                onChange={(e) => setDraft((d) => ({ ...d, cols: e.target.value }))} />
+            </label>
+            <label className="block text-xs flex-1">
+              Rows
+              <input type="number" min={GRID_SIZE_MIN} max={GRID_SIZE_MAX} className={inputClass} value={draft.rows}
+                onChange={(e) => setDraft((d) => ({ ...d, rows: e.target.value }))} />
+            </label>
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" className={smallButton}>Create</button>
+            <button type="button" className={smallButton} onClick={() => setDraft(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      <ul className="space-y-1">
+        {scenes.map((scene) => (
+          <li key={scene.id} className="rounded">
+            {renaming && renaming.id === scene.id ? (
+              <form onSubmit={submitRename} className="flex gap-1">
+                <input aria-label="Scene name" className={inputClass} maxLength={SCENE_NAME_MAX} value={renaming.name} autoFocus
+                  onChange={(e) => setRenaming((r) => ({ ...r, name: e.target.value }))}
+                  onKeyDown={(e) => {
+                    if (e.key === "Escape") {
+                      e.stopPropagation();
+                      setRenaming(null);
+                    }
+                  }} />
+                <button type="submit" className={smallButton}>Save</button>
+              </form>
+            ) : (
+              <Link
+                to={scenePath(scene.id)}
+                aria-current={scene.id === currentId ? "page" : undefined}
+                className={`block px-3 py-1 rounded text-sm truncate hover:bg-gray-700 ${scene.id === currentId ? "bg-gray-700" : ""}`}
+                onClick={onNavigate}
+              >
+                {scene.name}
+              </Link>
+            )}
+            <div className="flex flex-wrap gap-1 px-3 pb-1">
+              <button className={smallButton} aria-label={`Rename ${scene.name}`} onClick={() => setRenaming({ id: scene.id, name: scene.name })}>Rename</button>
+              <button className={smallButton} aria-label={`Duplicate ${scene.name}`} onClick={() => duplicate(scene)}>Duplicate</button>
+              <button className={smallButton} aria-label={`Export ${scene.name}`} onClick={() => exportScene(scene)}>Export</button>
+              {scene.id !== DEFAULT_SCENE_ID && (
+                <button className={smallButton} aria-label={`Delete ${scene.name}`} onClick={() => remove(scene)}>Delete</button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
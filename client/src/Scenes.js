@@ -0,0 +1,139 @@
+// Scenes.js
+
+/**
+ * Named scenes for the urban grid. The index (SCENES_KEY) lists { id, name, createdAt };
+ * each scene's placements, library references, walls, zones, settings and grid size live in
+ * its own persisted-state document (see Persistence.js) under sceneStateKey(id), and its
+ * recorded performance under scenePerformanceKey(id).
+ *
+ * The default scene maps onto the grid's original document (STATE_KEYS.advanced), so data
+ * saved before scenes existed opens as "Default scene". Scenes share upload audio in
+ * IndexedDB by library id — use isLibraryIdShared before deleting a blob (deleteScene does,
+ * so audio only the deleted scene used does not keep counting against the quota).
+ */
+
+import { STATE_KEYS, emptyState, loadState } from "./Persistence";
+import { deleteAudio } from "./AudioStore";
+
+export const SCENES_KEY = "ss_scenes";
+export const DEFAULT_SCENE_ID = "default";
+export const SCENE_NAME_MAX = 60;
+
+const SCENE_KEY_PREFIX = "ss_scene_";
+
+export function sceneStateKey(id) {
+  return id === DEFAULT_SCENE_ID ? STATE_KEYS.advanced : `${SCENE_KEY_PREFIX}${id}`;
+}
+
+// the default scene keeps the grid's original performance-log key
+export function scenePerformanceKey(id) {
+  return id === DEFAULT_SCENE_ID ? "ss_v2_performance" : `ss_v2_performance_${id}`;
+}
+
+export function scenePath(id) {
+  return id === DEFAULT_SCENE_ID ? "/sound-garden/urban" : `/sound-garden/urban/${encodeURIComponent(id)}`;
+}
+
+function defaultScene() {
+  return { id: DEFAULT_SCENE_ID, name: "Default scene", createdAt: 0 };
+}
+
+function writeIndex(scenes) {
+  localStorage.setItem(SCENES_KEY, JSON.stringify(scenes));
+  window.dispatchEvent(new Event("ss-scenes-changed"));
+}
+
+// the scene index, always with the default scene first
+export function listScenes() {
+  let scenes = [];
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SCENES_KEY));
+    if (Array.isArray(parsed)) scenes = parsed.filter((s) => s && typeof s.id === "string" && typeof s.name === "string");
+  } catch {
+    // an unreadable index only loses the names; the scene documents stay where they are
+  }
+  const rest = scenes.filter((s) => s.id !== DEFAULT_SCENE_ID);
+  return [scenes.find((s) => s.id === DEFAULT_SCENE_ID) || defaultScene(), ...rest];
+}
+
+export function getScene(id) {
+  return listScenes().find((s) => s.id === id) || null;
+}
+
+function cleanName(name, fallback) {
+  const trimmed = String(name || "").trim().slice(0, SCENE_NAME_MAX);
+  return trimmed || fallback;
+}
+
+function newSceneId() {
+  return `sc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// store a state document as a new scene (also used by bundle import); throws (e.g. on a quota
+// error) before touching the index, so a failed write leaves no stub
+export function addScene(name, doc) {
+  const scenes = listScenes();
+  const scene = { id: newSceneId(), name: cleanName(name, `Scene ${scenes.length + 1}`), createdAt: Date.now() };
+  localStorage.setItem(sceneStateKey(scene.id), JSON.stringify(doc));
+  writeIndex([...scenes, scene]);
+  return scene;
+}
+
+export function createScene(name, { cols, rows, defaultRadius }) {
+  return addScene(name, { ...emptyState(), grid: { cols, rows, defaultRadius } });
+}
+
+export function duplicateScene(id, name) {
+  const source = getScene(id);
+  if (!source) throw new Error("Scene not found");
+  const { state } = loadState("advanced", sceneStateKey(id));
+  const scene = addScene(name || `${source.name} (copy)`, state);
+  const log = localStorage.getItem(scenePerformanceKey(id));
+  if (log !== null) localStorage.setItem(scenePerformanceKey(scene.id), log);
+  return scene;
+}
+
+export function renameScene(id, name) {
+  const scenes = listScenes();
+  writeIndex(scenes.map((s) => (s.id === id ? { ...s, name: cleanName(name, s.name) } : s)));
+}
+
+// the default scene can be emptied but not deleted, so the grid always has somewhere to open;
+// resolves once upload audio no remaining scene uses has been removed from IndexedDB
+export function deleteScene(id) {
+  if (id === DEFAULT_SCENE_ID) throw new Error("The default scene cannot be deleted");
+  const uploads = uploadIds(id);
+  localStorage.removeItem(sceneStateKey(id));
+  localStorage.removeItem(scenePerformanceKey(id));
+  writeIndex(listScenes().filter((s) => s.id !== id));
+  const unused = uploads.filter((libId) => !isLibraryIdShared(libId, id));
+  return Promise.all(unused.map((libId) => deleteAudio(libId))).catch((e) => {
+    console.error("Failed to delete the scene's audio:", e);
+  });
+}
+
+// upload library ids listed in a scene's stored document, read without validating (and so
+// without quarantining anything) since the document is about to go
+function uploadIds(id) {
+  try {
+    const doc = JSON.parse(localStorage.getItem(sceneStateKey(id)));
+    if (!Array.isArray(doc?.library)) return [];
+    return doc.library.filter((item) => item && item.type === "upload" && typeof item.id === "string").map((item) => item.id);
+  } catch {
+    return [];
+  }
+}
+
+// true if a scene other than exceptId still lists libId in its library
+export function isLibraryIdShared(libId, exceptId) {
+  return listScenes().some((scene) => {
+    if (scene.id === exceptId) return false;
+    try {
+      const doc = JSON.parse(localStorage.getItem(sceneStateKey(scene.id)));
+      return Array.isArray(doc?.library) && doc.library.some((item) => item && item.id === libId);
+    } catch {
+      // unreadable documents are quarantined when opened; keep the audio until then
+      return true;
+    }
+  });
+}
@@ -0,0 +1,133 @@
+// ShareLink.js
+
+/**
+ * Scene links: a layout that only uses public recordings (manifest.json) or GridNote synth
+ * tones is encoded into the URL hash, so it can be shared without a server.
+ *
+ * The hash is `#scene=<code>` (plus `&edit=1` for an editable link). The code is base64url of
+ * a compact JSON document:
+ *   { v: 1, k: "urban" | "note", g: [cols, rows, defaultRadius, cellSize?],
+ *     l: [["p", fileName] | ["s", name, freq]],          library entries used by placements
+ *     p: [[libIndex, [x0, y0, x1, y1, ...], params?]],   placements (params only when set)
+ *     w?: [x0, y0, ...], z?: [[[x0, y0, ...], preset, wet]], s?: [spatialMode, panMode] }
+ * Decoding rebuilds a persisted-state document (see Persistence.js) and runs it through the
+ * same validation as saved state, so a damaged link loses entries rather than the page.
+ */
+
+import { emptyState, validateState } from "./Persistence";
+import { publicItem } from "./PublicRecordings";
+
+export const SHARE_VERSION = 1;
+export const SHARE_HASH_KEY = "scene";
+
+const flatten = (cells) => cells.flatMap((c) => [c.x, c.y]);
+
+function unflatten(flat) {
+  const cells = [];
+  for (let i = 0; i + 1 < (Array.isArray(flat) ? flat.length : 0); i += 2) cells.push({ x: flat[i], y: flat[i + 1] });
+  return cells;
+}
+
+function toBase64Url(text) {
+  let binary = "";
+  new TextEncoder().encode(text).forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(code) {
+  const b64 = code.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(b64 + "===".slice((b64.length + 3) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, (ch) => ch.charCodeAt(0)));
+}
+
+// library items a link would need but cannot carry (uploads), as a list of names
+export function shareBlockers(library, placements) {
+  const used = new Set(placements.map((pl) => pl.libId));
+  return library.filter((item) => used.has(item.id) && item.type !== "public" && item.type !== "synth").map((item) => item.name);
+}
+
+/**
+ * Encode a grid's layout. `state` is { library, placements (region-shaped), walls, zones,
+ * settings, grid: { cols, rows, defaultRadius, cellSize? } }. Throws if a placement uses an upload.
+ */
+export function encodeShare(kind, state) {
+  const blockers = shareBlockers(state.library, state.placements);
+  if (blockers.length) throw new Error(`Uploaded recordings cannot be shared in a link: ${blockers.join(", ")}`);
+
+  const used = [];
+  state.placements.forEach((pl) => {
+    if (!used.includes(pl.libId) && state.library.some((item) => item.id === pl.libId)) used.push(pl.libId);
+  });
+  const items = used.map((id) => state.library.find((item) => item.id === id));
+  const { cols, rows, defaultRadius, cellSize } = state.grid;
+  const doc = {
+    v: SHARE_VERSION,
+    k: kind,
+    g: cellSize ? [cols, rows, defaultRadius, cellSize] : [cols, rows, defaultRadius],
+    l: items.map((item) => (item.type === "public" ? ["p", item.name] : ["s", item.name, item.freq])),
+    p: state.placements
+      .filter((pl) => used.includes(pl.libId))
+      .map((pl) => {
+        const row = [used.indexOf(pl.libId), flatten(pl.cells)];
+        if (pl.params && Object.keys(pl.params).length) row.push(pl.params);
+        return row;
+      }),
+  };
+  if (state.walls && state.walls.length) doc.w = flatten(state.walls);
+  if (state.zones && state.zones.length) doc.z = state.zones.map((z) => [flatten(z.cells), z.preset, z.wet]);
+  const settings = { ...emptyState().settings, ...state.settings };
+  if (settings.spatialMode !== "stereo" || settings.panMode !== "absolute") doc.s = [settings.spatialMode, settings.panMode];
+  return toBase64Url(JSON.stringify(doc));
+}
+
+/**
+ * Decode a link code for the given grid kind into { state, rejected } (state is a validated
+ * persisted-state document with its grid size set). Throws with a readable message when the
+ * code is not a scene link or belongs to the other grid.
+ */
+export function decodeShare(kind, code) {
+  let doc;
+  try {
+    doc = JSON.parse(fromBase64Url(code));
+  } catch {
+    throw new Error("This scene link is damaged or incomplete");
+  }
+  if (!doc || doc.v !== SHARE_VERSION || !Array.isArray(doc.g) || !Array.isArray(doc.l) || !Array.isArray(doc.p)) {
+    throw new Error("This is not a scene link (or it was made by a newer version)");
+  }
+  if (doc.k !== kind) throw new Error(`This link is for the ${doc.k === "note" ? "Notes" : "Urban"} grid`);
+
+  const library = doc.l.map((entry, i) => {
+    if (Array.isArray(entry) && entry[0] === "p") return publicItem(String(entry[1]));
+    if (Array.isArray(entry) && entry[0] === "s") return { id: `lib-shared-${i}`, name: String(entry[1]), type: "synth", freq: entry[2] };
+    return null;
+  });
+  const [cols, rows, defaultRadius, cellSize] = doc.g;
+  const { state, rejected } = validateState({
+    library: library.filter(Boolean),
+    placements: doc.p.map((row, i) => ({
+      id: `pl-shared-${i}`,
+      cells: unflatten(row && row[1]),
+      libId: library[row && row[0]]?.id,
+      params: row && row[2],
+    })),
+    walls: unflatten(doc.w),
+    zones: (Array.isArray(doc.z) ? doc.z : []).map((z, i) => ({ id: `zone-shared-${i}`, cells: unflatten(z && z[0]), preset: z && z[1], wet: z && z[2] })),
+    settings: Array.isArray(doc.s) ? { spatialMode: doc.s[0], panMode: doc.s[1] } : {},
+    grid: { cols, rows, defaultRadius, cellSize },
+  });
+  return { state, rejected: rejected.length + library.filter((item) => !item).length };
+}
+
+// { code, editable } from a location hash, or null when it carries no scene
+export function readShareHash(hash) {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  const code = params.get(SHARE_HASH_KEY);
+  return code ? { code, editable: params.get("edit") === "1" } : null;
+}
+
+export function shareUrl(path, code, editable) {
+  return `${window.location.origin}${path}#${SHARE_HASH_KEY}=${code}${editable ? "&edit=1" : ""}`;
+}
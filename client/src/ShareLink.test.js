@@ -0,0 +1,95 @@
+import { describe, it, expect } from "vitest";
+import { encodeShare, decodeShare, readShareHash, SHARE_VERSION } from "./ShareLink";
+import { publicItem } from "./PublicRecordings";
+import { GRID_SIZE_MAX } from "./GridResize";
+
+// a link code for a hand-made document, to feed decodeShare damaged input
+const codeOf = (doc) => btoa(JSON.stringify(doc)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+const rain = publicItem("rain.mp3");
+const scene = {
+  library: [rain, { id: "up-1", name: "mine.wav", type: "upload" }],
+  placements: [{ id: "p1", cells: [{ x: 1, y: 1 }, { x: 2, y: 1 }], libId: rain.id, params: { volume: 0.5 } }],
+  walls: [{ x: 0, y: 3 }],
+  zones: [{ id: "z1", cells: [{ x: 4, y: 4 }], preset: "hall", wet: 0.4 }],
+  settings: { spatialMode: "hrtf", panMode: "absolute" },
+  grid: { cols: 10, rows: 6, defaultRadius: 2, cellSize: 40 },
+};
+
+describe("encodeShare / decodeShare", () => {
+  it("round-trips an urban layout", () => {
+    const { state, rejected } = decodeShare("urban", encodeShare("urban", scene));
+    expect(rejected).toBe(0);
+    expect(state.library).toEqual([rain]);
+    expect(state.placements).toEqual([{ id: "pl-shared-0", cells: scene.placements[0].cells, libId: rain.id, params: { volume: 0.5 } }]);
+    expect(state.walls).toEqual(scene.walls);
+    expect(state.zones).toEqual([{ ...scene.zones[0], id: "zone-shared-0" }]);
+    expect(state.settings).toEqual(scene.settings);
+    expect(state.grid).toEqual(scene.grid);
+  });
+
+  it("round-trips synth tones for the notes grid", () => {
+    const tone = { id: "lib-4", name: "G4", type: "synth", freq: 392 };
+    const code = encodeShare("note", { library: [tone], placements: [{ id: "p", cells: [{ x: 0, y: 0 }], libId: tone.id }], grid: { cols: 8, rows: 8, defaultRadius: 3 } });
+    const { state } = decodeShare("note", code);
+    expect(state.library).toEqual([{ id: "lib-shared-0", name: "G4", type: "synth", freq: 392 }]);
+    expect(state.placements[0]).toMatchObject({ libId: "lib-shared-0", cells: [{ x: 0, y: 0 }] });
+    expect(state.grid).toEqual({ cols: 8, rows: 8, defaultRadius: 3 });
+  });
+
+  it("refuses to encode placements of uploads", () => {
+    const placements = [...scene.placements, { id: "p2", cells: [{ x: 0, y: 0 }], libId: "up-1" }];
+    expect(() => encodeShare("urban", { ...scene, placements })).toThrow("mine.wav");
+  });
+});
+
+describe("decodeShare with damaged links", () => {
+  const valid = { v: SHARE_VERSION, k: "urban", g: [8, 8, 3], l: [["p", "rain.mp3"]], p: [[0, [1, 1]]] };
+
+  it.each([
+    ["is not base64 JSON", "%%%", "damaged"],
+    ["is cut short", codeOf(valid).slice(0, 12), "damaged"],
+    ["is not a scene document", codeOf({ hello: "world" }), "not a scene link"],
+    ["comes from a newer version", codeOf({ ...valid, v: SHARE_VERSION + 1 }), "not a scene link"],
+    ["is for the other grid", codeOf({ ...valid, k: "note" }), "Notes grid"],
+  ])("throws when the code %s", (_, code, message) => {
+    expect(() => decodeShare("urban", code)).toThrow(message);
+  });
+
+  it("drops invalid entries through validateState and counts them", () => {
+    const { state, rejected } = decodeShare("urban", codeOf({
+      ...valid,
+      l: [["p", "rain.mp3"], ["x", "tape"]],
+      p: [[0, [1, 1]], [0, [-1, 2]], [0, [2, 2], { effects: [{ type: "__proto__" }] }], [5, [3, 3]]],
+      w: [0, 0, 1.5, 2],
+      z: [[[0, 0], "nowhere", 0.3]],
+    }));
+    expect(state.placements.map((pl) => pl.cells)).toEqual([[{ x: 1, y: 1 }], [{ x: 2, y: 2 }]]);
+    expect(state.placements[1].params.effects).toEqual([]);
+    expect(state.walls).toEqual([{ x: 0, y: 0 }]);
+    expect(state.zones).toEqual([]);
+    // unknown library entry, negative cell, missing library item, effect, wall, zone
+    expect(rejected).toBe(6);
+  });
+
+  it("rejects a grid larger than the grid size limit", () => {
+    const { state, rejected } = decodeShare("urban", codeOf({ ...valid, g: [GRID_SIZE_MAX + 1, 8, 3] }));
+    expect(state.grid).toBeNull();
+    expect(state.placements).toHaveLength(1);
+    expect(rejected).toBe(1);
+  });
+});
+
+describe("readShareHash", () => {
+  it.each([
+    ["#scene=abc", { code: "abc", editable: false }],
+    ["#scene=abc&edit=1", { code: "abc", editable: true }],
+    ["scene=abc&edit=0", { code: "abc", editable: false }],
+    ["#other=1", null],
+    ["#scene=", null],
+    ["", null],
+    [undefined, null],
+  ])("reads %j", (hash, expected) => {
+    expect(readShareHash(hash)).toEqual(expected);
+  });
+});
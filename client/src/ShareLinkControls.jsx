@@ -0,0 +1,41 @@
+// --- ShareLinkControls: copy a read-only or editable link that carries the whole layout ---
+import React, { useState } from "react";
+import { shareUrl } from "./ShareLink";
+
+export default function ShareLinkControls({ path, blockers, getCode }) {
+  const [status, setStatus] = useState(null);
+  const [fallbackUrl, setFallbackUrl] = useState(null); // shown when the clipboard is unavailable
+
+  async function copy(editable) {
+    let url;
+    try {
+      url = shareUrl(path, getCode(), editable);
+    } catch (e) {
+      setStatus(e.message);
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      setFallbackUrl(null);
+      setStatus(editable ? "Editable link copied" : "Read-only link copied");
+    } catch {
+      setFallbackUrl(url);
+      setStatus("Copy the link below");
+    }
+  }
+
+  const blocked = blockers.length > 0;
+  return (
+    <div className="text-xs">
+      <div className="flex gap-2">
+        <button className="px-3 py-1 rounded border" disabled={blocked} onClick={() => copy(false)}>Copy link</button>
+        <button className="px-3 py-1 rounded border" disabled={blocked} onClick={() => copy(true)}>Copy editable link</button>
+      </div>
+      {blocked && <div className="mt-1 text-gray-500">Links can only carry public recordings and synth tones — export the scene instead (uses {blockers.join(", ")}).</div>}
+      {status && <div role="status" className="mt-1 text-gray-500">{status}</div>}
+      {fallbackUrl && (
+        <input readOnly aria-label="Scene link" value={fallbackUrl} onFocus={(e) => e.target.select()} className="mt-1 w-full border rounded p-1 text-gray-700" />
+      )}
+    </div>
+  );
+}
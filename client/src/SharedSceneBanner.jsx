@@ -0,0 +1,14 @@
+// --- SharedSceneBanner: tells the listener they are on a scene opened from a link ---
+export default function SharedSceneBanner({ editable, rejected, saveLabel, onSave }) {
+  return (
+    <div role="status" className="mb-4 p-2 border border-blue-300 bg-blue-50 text-blue-900 rounded text-sm flex gap-3 items-center">
+      <div className="flex-1">
+        {editable
+          ? "Shared scene (editable). Changes stay in this tab until you save them."
+          : "Shared scene (read-only). Save a copy to change it."}
+        {rejected > 0 && ` ${rejected} unreadable ${rejected === 1 ? "entry was" : "entries were"} skipped.`}
+      </div>
+      <button className="px-2 py-0.5 border rounded text-xs" onClick={onSave}>{saveLabel}</button>
+    </div>
+  );
+}
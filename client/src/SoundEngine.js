@@ -0,0 +1,947 @@
+// SoundEngine.js
+
+/**
+ * SoundEngine
+ *
+ * Headless audio engine shared by the grid components (GridNote, GridUrban,
+ * GridUrbanAdvanced). It owns every placement's node chain and recomputes
+ * gain/pan whenever the listener (cursor) moves or a placement changes.
+ *
+ * - Runs against any BaseAudioContext: a live AudioContext, an OfflineAudioContext,
+ *   or a fake object for unit tests exposing the surface the engine uses: createGain,
+ *   createStereoPanner, createPanner, createBufferSource, createOscillator,
+ *   createBiquadFilter, createAnalyser, createDynamicsCompressor, createConvolver and
+ *   createBuffer (reverb impulses), createDelay and createWaveShaper (insert effects), plus
+ *   currentTime, sampleRate, destination, listener and close(). The distance, rolloff, cone
+ *   and pan math is exported as pure functions (see SoundEngine.test.js).
+ * - Placements are { id, cells: [{x,y}], params }; single-cell grids pass one cell.
+ * - Sources are { buffer } (looping AudioBufferSourceNode) or { freq, wave } (oscillator).
+ * - Distance attenuation per placement: params.rolloff picks a curve (see ROLLOFF_MODELS),
+ *   params.minDistance holds full level near the source, params.floor keeps a minimum level
+ *   everywhere (e.g. a traffic bed), params.curve holds custom [distance, gain] breakpoints.
+ * - Directional emitters: params.direction (bearing in degrees, 0 = up, clockwise) with a cone
+ *   of params.angularRange (inner, full level) and params.coneOuter (outer angle) outside which
+ *   the level drops to params.coneOuterGain. angularRange 360 means omnidirectional.
+ * - Spatialization modes: "stereo" (StereoPannerNode, pan from the centroid's column) or
+ *   "hrtf" (PannerNode with HRTF; grid cells map to 3D and the AudioListener follows the cursor).
+ * - Pan modes: "absolute" (pan from the placement's column on the grid) or "relative"
+ *   (pan from the vector between the cursor and the placement's nearest cell, optionally
+ *   capped by a per-ear level difference in dB).
+ * - Playback: placements loop forever by default. With params.proximityTriggers they play
+ *   params.triggerCount times when the cursor enters their radius, wait params.triggerCooldown
+ *   seconds before firing again, and (params.stopOnExit) fade out over params.fadeOut seconds
+ *   when the cursor leaves.
+ * - Occlusion: wall cells (setWalls) block line-of-sight; a placement with no clear line from
+ *   the cursor to any of its cells is attenuated and low-passed.
+ * - Reverb zones (setReverbZones): regions with an acoustic preset. A placement with a cell in
+ *   the zone, or any placement while the cursor stands in the zone, feeds the zone's
+ *   ConvolverNode at the zone's wet level; the dry path drops by the same amount.
+ * - Voice management (voiceManagement: true): looping placements only run a source while the
+ *   cursor is within their radius plus voiceMargin cells (or while they are audible, e.g. via a
+ *   floor); restarted sources resume at the loop phase they would have reached had they kept
+ *   running. At most maxVoices loops play at once, ranked by params.priority (higher first),
+ *   then current gain, then distance. Proximity-triggered placements manage themselves.
+ * - Layers: placements may overlap. While the cursor stands on a cell of a placement with
+ *   params.exclusive, placements on a lower params.layer (default 0) covering that cell are
+ *   silenced, e.g. an interior sound shutting out the street ambience stacked under it.
+ * - Insert effects: params.effects (see Effects.js) are rebuilt between the voice input and the
+ *   occlusion filter whenever their types or order change, and updated in place otherwise.
+ *
+ * Node chain per placement:
+ *   source -> envelope -> input -> effects -> occlusion low-pass -> gain -> panner (optional) -> dry -> master -> destination
+ *                                                                       panner -> send -> zone convolver -> master
+ * Every source gets its own envelope, so a retriggered source starts at full level while the
+ * one it replaces is still fading out.
+ * Master bus: master (sum) -> volume -> [clip meter] -> limiter -> [level meter] -> destination
+ */
+
+export const SPATIAL_MODES = ["stereo", "hrtf"];
+export const PAN_MODES = ["absolute", "relative"];
+export const ROLLOFF_MODELS = ["linear", "inverse", "exponential", "logarithmic", "custom"];
+
+// low-pass cutoff (Hz) for a placement with a clear line-of-sight
+const OPEN_CUTOFF = 20000;
+
+import { createImpulseResponse } from "./Reverb";
+import { createEffectNode, EFFECT_TYPES } from "./Effects";
+
+export function createAudioContext() {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  return new Ctx();
+}
+
+// Geometry & gain math ----------------------------------------------
+
+export function distance(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+// compute min distance from listener to the placement's cells
+export function minDistanceToPlacement(pos, placement) {
+  if (!pos) return Infinity;
+  let md = Infinity;
+  placement.cells.forEach((c) => {
+    const d = distance(c, pos);
+    if (d < md) md = d;
+  });
+  return md;
+}
+
+// the placement cell closest to the listener (first cell when there is no listener)
+export function nearestCell(pos, placement) {
+  if (!pos) return placement.cells[0];
+  let best = placement.cells[0];
+  let md = Infinity;
+  placement.cells.forEach((c) => {
+    const d = distance(c, pos);
+    if (d < md) {
+      md = d;
+      best = c;
+    }
+  });
+  return best;
+}
+
+export function computeCentroid(cells) {
+  const sx = cells.reduce((s, c) => s + c.x, 0);
+  const sy = cells.reduce((s, c) => s + c.y, 0);
+  return { x: sx / cells.length, y: sy / cells.length };
+}
+
+export function centroidToPan(centroid, gridWidth) {
+  // centroid.x in [0 .. gridWidth-1] => pan -1 .. 1
+  if (gridWidth <= 1) return 0;
+  const norm = (centroid.x / (gridWidth - 1)) * 2 - 1;
+  return Math.max(-1, Math.min(1, norm));
+}
+
+// interpolate custom breakpoints [[distance, gain], ...]; holds the end values outside the range
+export function interpolateCurve(points, d) {
+  if (!points || points.length === 0) return 0;
+  const sorted = [...points].sort((a, b) => a[0] - b[0]);
+  if (d <= sorted[0][0]) return sorted[0][1];
+  for (let i = 1; i < sorted.length; i++) {
+    const [d1, g1] = sorted[i];
+    if (d <= d1) {
+      const [d0, g0] = sorted[i - 1];
+      const t = d1 === d0 ? 1 : (d - d0) / (d1 - d0);
+      return g0 + (g1 - g0) * t;
+    }
+  }
+  return sorted[sorted.length - 1][1];
+}
+
+// attenuation shape in [0,1] for distance d; every model is 1 at minDistance and 0 at radius
+export function computeRolloff(d, radius, { rolloff = "linear", rolloffFactor = 3, minDistance = 0, curve = null } = {}) {
+  if (d > radius) return 0;
+  if (rolloff === "custom") return Math.max(0, Math.min(1, interpolateCurve(curve, d)));
+  if (d <= minDistance) return 1;
+  const span = radius - minDistance;
+  const t = span > 0 ? Math.min(1, (d - minDistance) / span) : 1;
+  const k = Math.max(0.001, rolloffFactor);
+  // rescale c(t) so it runs from 1 at t=0 to 0 at t=1
+  const normalize = (c) => (c(t) - c(1)) / (1 - c(1));
+  switch (rolloff) {
+    case "inverse":
+      return normalize((x) => 1 / (1 + k * x));
+    case "exponential":
+      return normalize((x) => Math.exp(-k * x));
+    case "logarithmic":
+      // holds level near the source and drops off towards the edge
+      return Math.log(1 + k * (1 - t)) / Math.log(1 + k);
+    default:
+      return 1 - t;
+  }
+}
+
+// compute gain 1 at 0 -> floor at >= radius, shaped by the placement's rolloff params
+export function computeGainFromDistance(d, radius, baseVol = 1, rolloffParams = {}) {
+  const floor = Math.max(0, Math.min(1, rolloffParams.floor ?? 0));
+  const shape = computeRolloff(d, radius, rolloffParams);
+  const g = (floor + (1 - floor) * shape) * baseVol;
+  return Math.max(0, Math.min(1.0 * baseVol, g));
+}
+
+// grid bearing (degrees, 0 = up / -y, clockwise) of the vector from -> to
+export function bearing(from, to) {
+  const deg = (Math.atan2(to.x - from.x, from.y - to.y) * 180) / Math.PI;
+  return (deg + 360) % 360;
+}
+
+export function isTriggered(params = {}) {
+  return !!params.proximityTriggers;
+}
+
+// whether the listener is inside a placement's radius (strictly, so a trigger never fires silent)
+export function isListenerInside(placement, listener, defaultRadius = 3) {
+  if (!listener) return false;
+  const radius = placement.params?.radius ?? defaultRadius;
+  return minDistanceToPlacement(listener, placement) < radius;
+}
+
+// cells crossed by the segment between two cell centers (sampled along the line), endpoints excluded
+export function cellsBetween(a, b) {
+  const out = [];
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const steps = Math.max(Math.abs(dx), Math.abs(dy)) * 4;
+  const seen = new Set([`${a.x},${a.y}`, `${b.x},${b.y}`]);
+  for (let i = 1; i < steps; i++) {
+    const t = i / steps;
+    const cell = { x: Math.round(a.x + dx * t), y: Math.round(a.y + dy * t) };
+    const key = `${cell.x},${cell.y}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(cell);
+  }
+  return out;
+}
+
+export function hasLineOfSight(from, to, walls) {
+  if (!walls || walls.size === 0) return true;
+  return !cellsBetween(from, to).some((c) => walls.has(`${c.x},${c.y}`));
+}
+
+// occluded when no cell of the placement can be seen from the listener (walls: Set of "x,y")
+export function isOccluded(placement, listener, walls) {
+  if (!listener || !walls || walls.size === 0) return false;
+  return !placement.cells.some((c) => hasLineOfSight(listener, c, walls));
+}
+
+export function cellInCells(cell, cells) {
+  return !!cell && cells.some((c) => c.x === cell.x && c.y === cell.y);
+}
+
+// ids of the placements on the listener's cell that sit below the highest exclusive layer there
+export function exclusiveSilenced(placements, listener) {
+  const silenced = new Set();
+  if (!listener) return silenced;
+  const here = placements.filter((p) => cellInCells(listener, p.cells));
+  const top = Math.max(-Infinity, ...here.filter((p) => p.params?.exclusive).map((p) => p.params.layer ?? 0));
+  here.forEach((p) => {
+    if ((p.params?.layer ?? 0) < top) silenced.add(p.id);
+  });
+  return silenced;
+}
+
+// send level of a placement into a reverb zone: the zone's wet level if the placement or the
+// listener is inside the zone, otherwise 0
+export function computeZoneSend(placement, listener, zone) {
+  const inside = placement.cells.some((c) => cellInCells(c, zone.cells)) || cellInCells(listener, zone.cells);
+  return inside ? Math.max(0, Math.min(1, zone.wet ?? 0.3)) : 0;
+}
+
+export function isDirectional(params = {}) {
+  return (params.angularRange ?? 360) < 360;
+}
+
+// cone factor in [coneOuterGain, 1] for a listener seen from the source cell
+export function computeConeGain(source, listener, { direction = 0, angularRange = 360, coneOuter, coneOuterGain = 0 } = {}) {
+  if (angularRange >= 360 || !listener) return 1;
+  if (source.x === listener.x && source.y === listener.y) return 1;
+  const inner = Math.max(0, angularRange) / 2;
+  const outer = Math.max(inner, coneOuter ?? angularRange) / 2;
+  const diff = Math.abs(((bearing(source, listener) - direction + 540) % 360) - 180);
+  if (diff <= inner) return 1;
+  if (diff >= outer) return coneOuterGain;
+  const t = (diff - inner) / (outer - inner);
+  return 1 + (coneOuterGain - 1) * t;
+}
+
+// target gain for a placement given the listener position (0 when no listener)
+export function computePlacementGain(placement, listener, defaultRadius = 3) {
+  if (!listener) return 0;
+  const d = minDistanceToPlacement(listener, placement);
+  const radius = placement.params?.radius ?? defaultRadius;
+  const gain = computeGainFromDistance(d, radius, placement.params?.volume ?? 1, placement.params);
+  if (!isDirectional(placement.params)) return gain;
+  return gain * computeConeGain(nearestCell(listener, placement), listener, placement.params);
+}
+
+// "0:1, 2:0.6, 3:0" <-> [[0, 1], [2, 0.6], [3, 0]] for the placement editors
+export function parseCurvePoints(text) {
+  return String(text || "")
+    .split(",")
+    .map((pair) => pair.split(":").map((v) => parseFloat(v)))
+    .filter(([d, g]) => Number.isFinite(d) && Number.isFinite(g))
+    .sort((a, b) => a[0] - b[0]);
+}
+
+export function formatCurvePoints(points) {
+  return (points || []).map(([d, g]) => `${d}:${g}`).join(", ");
+}
+
+export function computePlacementPan(placement, gridWidth) {
+  return centroidToPan(computeCentroid(placement.cells), gridWidth);
+}
+
+// pan from the listener's point of view: sin(azimuth) of the vector listener -> cell,
+// so a source directly to the right is +1, straight ahead/behind is 0.
+// earLevelDifference (dB) caps the level difference between the ears at 90 degrees.
+export function computeRelativePan(listener, cell, earLevelDifference = null) {
+  if (!listener || !cell) return 0;
+  const d = distance(listener, cell);
+  if (d === 0) return 0;
+  const lateral = (cell.x - listener.x) / d;
+  if (earLevelDifference == null) return lateral;
+  // equal-power pan law: right/left = tan((pan + 1) * PI / 4)
+  const ratio = Math.pow(10, (Math.abs(lateral) * earLevelDifference) / 20);
+  const pan = (Math.atan(ratio) * 4) / Math.PI - 1;
+  return Math.sign(lateral) * Math.max(0, Math.min(1, pan));
+}
+
+// map a grid point into 3D listener space: column -> X, row -> Z (row 0 is furthest ahead),
+// elevation (cells above the ground plane) -> Y
+export function cellToPosition(cell, elevation = 0) {
+  return { x: cell.x, y: elevation, z: cell.y };
+}
+
+export function computePlacementPosition(placement, listener = null) {
+  const point = listener ? nearestCell(listener, placement) : computeCentroid(placement.cells);
+  return cellToPosition(point, placement.params?.elevation ?? 0);
+}
+
+// Engine ------------------------------------------------------------
+
+export function createSoundEngine({
+  context = null,
+  cols = 8,
+  defaultRadius = 3,
+  panning = true,
+  spatialization = "stereo",
+  panMode: initialPanMode = "absolute",
+  earLevelDifference = null,
+  occlusionGain = 0.35,
+  occlusionCutoff = 800,
+  limiter = true,
+  voiceManagement = false,
+  maxVoices = Infinity,
+  voiceMargin = 1,
+  rampTime = 0.06,
+} = {}) {
+  const ownsContext = !context;
+  const ctx = context || createAudioContext();
+
+  // master bus: everything sums into `master`, then volume, a brick-wall-ish limiter and meters
+  const master = ctx.createGain();
+  master.gain.value = 1;
+  const volume = ctx.createGain();
+  volume.gain.value = 1;
+  const clipMeter = ctx.createAnalyser();
+  clipMeter.fftSize = 1024;
+  const levelMeter = ctx.createAnalyser();
+  levelMeter.fftSize = 1024;
+  const limiterNode = limiter ? ctx.createDynamicsCompressor() : null;
+  if (limiterNode) {
+    limiterNode.threshold.value = -1;
+    limiterNode.knee.value = 0;
+    limiterNode.ratio.value = 20;
+    limiterNode.attack.value = 0.003;
+    limiterNode.release.value = 0.1;
+  }
+  master.connect(volume);
+  volume.connect(clipMeter);
+  if (limiterNode) {
+    volume.connect(limiterNode);
+    limiterNode.connect(levelMeter);
+  } else {
+    volume.connect(levelMeter);
+  }
+  levelMeter.connect(ctx.destination);
+  const meterData = new Float32Array(clipMeter.fftSize);
+
+  // running voices keyed by placement id:
+  // { placement, source, src, srcEnv, input, fx, filter, gain, panner, dry, sends, levels, trigger: { inside, lastStart }, clock0 }
+  // clock0 is the context time the loop (virtually) started, used to resume at the right phase
+  const voices = new Map();
+  let listener = null;
+  let mode = SPATIAL_MODES.includes(spatialization) ? spatialization : "stereo";
+  let panMode = PAN_MODES.includes(initialPanMode) ? initialPanMode : "absolute";
+  let ild = earLevelDifference;
+  let walls = new Set(); // "x,y" keys of wall cells
+  // reverb buses keyed by zone id: { zone, convolver, output }
+  const zoneBuses = new Map();
+  // ids silenced by an exclusive placement at the listener's cell, worked out once per pass
+  // (see updateSilenced) rather than for every voice
+  let silenced = new Set();
+  let disposed = false;
+
+  function rampParam(param, value) {
+    const now = ctx.currentTime;
+    try {
+      param.cancelScheduledValues(now);
+      param.setValueAtTime(param.value, now);
+      param.linearRampToValueAtTime(value, now + rampTime);
+    } catch {
+      param.value = value;
+    }
+  }
+
+  function setPositionParams(target, names, pos, legacySetter) {
+    const [px, py, pz] = names;
+    if (target[px]) {
+      rampParam(target[px], pos.x);
+      rampParam(target[py], pos.y);
+      rampParam(target[pz], pos.z);
+    } else if (target[legacySetter]) {
+      // older WebKit only exposes setPosition()
+      target[legacySetter](pos.x, pos.y, pos.z);
+    }
+  }
+
+  function createPannerNode() {
+    if (!panning) return null;
+    if (mode !== "hrtf") return ctx.createStereoPanner();
+    const panner = ctx.createPanner();
+    panner.panningModel = "HRTF";
+    // distance attenuation is computed by the engine, so the panner only provides direction
+    panner.distanceModel = "linear";
+    panner.refDistance = 1;
+    panner.maxDistance = 10000;
+    panner.rolloffFactor = 0;
+    return panner;
+  }
+
+  function updateAudioListener() {
+    const al = ctx.listener;
+    if (mode !== "hrtf" || !al || !listener) return;
+    setPositionParams(al, ["positionX", "positionY", "positionZ"], cellToPosition(listener), "setPosition");
+    // the listener always faces the top of the grid (forward = -Z, up = +Y)
+    if (al.forwardX) {
+      al.forwardX.value = 0;
+      al.forwardY.value = 0;
+      al.forwardZ.value = -1;
+      al.upX.value = 0;
+      al.upY.value = 1;
+      al.upZ.value = 0;
+    } else if (al.setOrientation) {
+      al.setOrientation(0, 0, -1, 0, 1, 0);
+    }
+  }
+
+  function createSourceNode(source) {
+    if (source.buffer) {
+      const src = ctx.createBufferSource();
+      src.buffer = source.buffer;
+      src.loop = true;
+      return src;
+    }
+    const osc = ctx.createOscillator();
+    osc.type = source.wave || "sine";
+    osc.frequency.value = source.freq ?? 440;
+    return osc;
+  }
+
+  // one pass of a source: buffer length, or params.toneLength seconds for oscillators
+  function sourceDuration(source, params = {}) {
+    return source.buffer ? source.buffer.duration : params.toneLength ?? 1;
+  }
+
+  function stopSource(voice, fade) {
+    const { src, srcEnv: env } = voice;
+    if (!src) return;
+    voice.src = null;
+    voice.srcEnv = null;
+    const release = () => {
+      src.disconnect();
+      env.disconnect();
+    };
+    const now = ctx.currentTime;
+    try {
+      env.gain.cancelScheduledValues(now);
+      env.gain.setValueAtTime(env.gain.value, now);
+      env.gain.linearRampToValueAtTime(0, now + fade);
+      src.onended = release;
+      src.stop(now + fade + 0.02);
+    } catch {
+      // source never started or context already closed
+      release();
+    }
+  }
+
+  function startSource(voice, { oneShot = false } = {}) {
+    const params = voice.placement.params || {};
+    const src = createSourceNode(voice.source);
+    const env = ctx.createGain();
+    env.gain.value = 1;
+    src.connect(env);
+    env.connect(voice.input);
+    const now = ctx.currentTime;
+    const start = oneShot ? now + (params.timing ?? 0) : Math.max(now, voice.clock0);
+    try {
+      if (!oneShot && voice.source.buffer) {
+        // pick the loop up where it would be had it never stopped
+        src.start(start, (start - voice.clock0) % voice.source.buffer.duration);
+      } else {
+        src.start(start);
+      }
+      if (oneShot) {
+        // loop the source and cut it after N passes so triggerCount plays back to back
+        const plays = Math.max(1, Math.round(params.triggerCount ?? 1));
+        src.stop(start + sourceDuration(voice.source, params) * plays);
+        src.onended = () => {
+          if (voice.src === src) {
+            voice.src = null;
+            voice.srcEnv = null;
+          }
+          src.disconnect();
+          env.disconnect();
+        };
+      }
+    } catch {
+      // some browsers require resume on user gesture; assumed already resumed elsewhere
+    }
+    voice.src = src;
+    voice.srcEnv = env;
+    if (oneShot) voice.trigger.lastStart = now;
+  }
+
+  // fire or release one-shot placements when the cursor crosses their radius
+  function updateTrigger(voice) {
+    const params = voice.placement.params || {};
+    if (!isTriggered(params)) return;
+    const inside = isListenerInside(voice.placement, listener, defaultRadius);
+    const { trigger } = voice;
+    if (inside && !trigger.inside) {
+      const cooldown = params.triggerCooldown ?? 2;
+      const cooled = trigger.lastStart == null || ctx.currentTime - trigger.lastStart >= cooldown;
+      if (cooled) {
+        stopSource(voice, 0.01);
+        startSource(voice, { oneShot: true });
+      }
+    } else if (!inside && trigger.inside && params.stopOnExit) {
+      stopSource(voice, Math.max(0.01, params.fadeOut ?? 0.5));
+    }
+    trigger.inside = inside;
+  }
+
+  function computePan(placement) {
+    if (!panning || mode !== "stereo") return 0;
+    if (panMode === "relative") return computeRelativePan(listener, nearestCell(listener, placement), ild);
+    return computePlacementPan(placement, cols);
+  }
+
+  function computeLevels(placement) {
+    const relative = panMode === "relative" ? listener : null;
+    const occluded = isOccluded(placement, listener, walls);
+    const gain = silenced.has(placement.id) ? 0 : computePlacementGain(placement, listener, defaultRadius);
+    const sends = {};
+    zoneBuses.forEach(({ zone }, id) => {
+      sends[id] = computeZoneSend(placement, listener, zone);
+    });
+    const wet = Math.max(0, ...Object.values(sends));
+    return {
+      gain: occluded ? gain * occlusionGain : gain,
+      pan: computePan(placement),
+      position: panning && mode === "hrtf" ? computePlacementPosition(placement, relative) : null,
+      occluded,
+      dry: 1 - wet,
+      sends,
+    };
+  }
+
+  function applyVoice(voice) {
+    updateTrigger(voice);
+    voice.levels = computeLevels(voice.placement);
+    rampParam(voice.gain.gain, voice.levels.gain);
+    rampParam(voice.filter.frequency, voice.levels.occluded ? occlusionCutoff : OPEN_CUTOFF);
+    rampParam(voice.dry.gain, voice.levels.dry);
+    voice.sends.forEach((send, id) => rampParam(send.gain, voice.levels.sends[id] ?? 0));
+    if (!voice.panner) return;
+    if (voice.levels.position) {
+      setPositionParams(voice.panner, ["positionX", "positionY", "positionZ"], voice.levels.position, "setPosition");
+    } else {
+      rampParam(voice.panner.pan, voice.levels.pan);
+    }
+  }
+
+  function updateSilenced() {
+    silenced = exclusiveSilenced(Array.from(voices.values(), (v) => v.placement), listener);
+  }
+
+  // whether a looping voice should hold a running source right now
+  function wantsSource(voice) {
+    if (!listener) return false;
+    const radius = voice.placement.params?.radius ?? defaultRadius;
+    return voice.levels.gain > 0 || minDistanceToPlacement(listener, voice.placement) <= radius + voiceMargin;
+  }
+
+  // start / stop looping sources so only the top maxVoices wanted placements run
+  function allocateVoices() {
+    if (!voiceManagement) return;
+    const ranked = [];
+    voices.forEach((voice) => {
+      if (isTriggered(voice.placement.params)) return;
+      if (wantsSource(voice)) ranked.push(voice);
+      else if (voice.src) stopSource(voice, 0.05);
+    });
+    ranked.sort(
+      (a, b) =>
+        (b.placement.params?.priority ?? 0) - (a.placement.params?.priority ?? 0) ||
+        b.levels.gain - a.levels.gain ||
+        minDistanceToPlacement(listener, a.placement) - minDistanceToPlacement(listener, b.placement)
+    );
+    ranked.forEach((voice, i) => {
+      if (i < maxVoices) {
+        if (!voice.src) startSource(voice);
+      } else if (voice.src) {
+        stopSource(voice, 0.05);
+      }
+    });
+  }
+
+  // insert effects this engine can build, in chain order (unknown types are skipped)
+  function knownEffects(placement) {
+    return (placement.params?.effects || []).filter((e) => e && Object.hasOwn(EFFECT_TYPES, e.type));
+  }
+
+  function effectsSignature(placement) {
+    return knownEffects(placement).map((e) => e.type).join("|");
+  }
+
+  // (re)build the insert chain between the voice input and the occlusion filter
+  function buildEffects(voice) {
+    try {
+      voice.input.disconnect();
+    } catch {
+      // not connected yet
+    }
+    voice.fx.forEach(({ node }) => node.disconnect());
+    voice.fx = knownEffects(voice.placement).map((effect) => ({ effect, node: createEffectNode(ctx, effect) }));
+    let prev = voice.input;
+    voice.fx.forEach(({ node }) => {
+      prev.connect(node.input);
+      prev = node.output;
+    });
+    prev.connect(voice.filter);
+    voice.fxSignature = effectsSignature(voice.placement);
+  }
+
+  function updateEffects(voice) {
+    if (effectsSignature(voice.placement) !== voice.fxSignature) {
+      buildEffects(voice);
+      return;
+    }
+    const effects = knownEffects(voice.placement);
+    voice.fx.forEach((entry, i) => {
+      entry.effect = effects[i];
+      entry.node.update(effects[i]);
+    });
+  }
+
+  // the last node of a voice's spatial chain, feeding the dry path and the reverb sends
+  function voiceOutput(voice) {
+    return voice.panner || voice.gain;
+  }
+
+  function connectSends(voice) {
+    const out = voiceOutput(voice);
+    voice.sends.forEach((send) => send.disconnect());
+    voice.sends = new Map();
+    zoneBuses.forEach((bus, id) => {
+      const send = ctx.createGain();
+      send.gain.value = 0;
+      out.connect(send);
+      send.connect(bus.convolver);
+      voice.sends.set(id, send);
+    });
+  }
+
+  // swap a voice's panner for one matching the current mode
+  function rewireVoice(voice) {
+    const next = createPannerNode();
+    try {
+      voice.gain.disconnect();
+      if (voice.panner) voice.panner.disconnect();
+    } catch {
+      // already disconnected
+    }
+    voice.panner = next;
+    if (next) voice.gain.connect(next);
+    voiceOutput(voice).connect(voice.dry);
+    connectSends(voice);
+    applyVoice(voice);
+  }
+
+  function stopVoice(voice) {
+    const now = ctx.currentTime;
+    try {
+      voice.gain.gain.cancelScheduledValues(now);
+      voice.gain.gain.setValueAtTime(voice.gain.gain.value, now);
+      voice.gain.gain.linearRampToValueAtTime(0, now + 0.03);
+    } catch {
+      // context already closed
+    }
+    stopSource(voice, 0.03);
+    // let the short fade finish before tearing the chain down
+    setTimeout(() => disconnectVoice(voice), 100);
+  }
+
+  function disconnectVoice(voice) {
+    try {
+      voice.input.disconnect();
+      voice.fx.forEach(({ node }) => node.disconnect());
+      voice.filter.disconnect();
+      voice.gain.disconnect();
+      if (voice.panner) voice.panner.disconnect();
+      voice.dry.disconnect();
+      voice.sends.forEach((send) => send.disconnect());
+    } catch {
+      // already disconnected
+    }
+  }
+
+  // start a voice for the placement (looping, or armed for proximity triggers);
+  // replaces any voice with the same id
+  function addPlacement(placement, source) {
+    if (disposed || !placement || !source) return false;
+    if (voices.has(placement.id)) removePlacement(placement.id);
+
+    const input = ctx.createGain();
+    input.gain.value = 1;
+    const filter = ctx.createBiquadFilter();
+    filter.type = "lowpass";
+    filter.frequency.value = OPEN_CUTOFF;
+    const gain = ctx.createGain();
+    gain.gain.value = 0; // start silent
+    const panner = createPannerNode();
+    const dry = ctx.createGain();
+    dry.gain.value = 1;
+
+    filter.connect(gain);
+    if (panner) gain.connect(panner);
+    (panner || gain).connect(dry);
+    dry.connect(master);
+
+    const voice = {
+      placement,
+      source,
+      src: null,
+      srcEnv: null,
+      input,
+      fx: [],
+      fxSignature: "",
+      filter,
+      gain,
+      panner,
+      dry,
+      sends: new Map(),
+      levels: { gain: 0, pan: 0, position: null },
+      trigger: { inside: false, lastStart: null },
+      clock0: ctx.currentTime + (placement.params?.timing ?? 0),
+    };
+    voices.set(placement.id, voice);
+    buildEffects(voice);
+    connectSends(voice);
+    if (panner && panner.pan) panner.pan.value = computePlacementPan(placement, cols);
+    if (!isTriggered(placement.params) && !voiceManagement) startSource(voice);
+    updateSilenced();
+    if (placement.params?.exclusive) voices.forEach(applyVoice);
+    else applyVoice(voice);
+    allocateVoices();
+    return true;
+  }
+
+  // refresh a running voice after its cells or params changed
+  function updatePlacement(placement) {
+    const voice = voices.get(placement.id);
+    if (!voice) return;
+    const wasTriggered = isTriggered(voice.placement.params);
+    const wasExclusive = !!voice.placement.params?.exclusive;
+    voice.placement = placement;
+    updateEffects(voice);
+    if (wasTriggered !== isTriggered(placement.params)) {
+      // switching between looping and proximity-triggered playback
+      stopSource(voice, 0.03);
+      voice.trigger = { inside: false, lastStart: null };
+      if (wasTriggered && !voiceManagement) startSource(voice);
+    }
+    // an exclusive placement's cells or layer decide what else is heard
+    updateSilenced();
+    if (wasExclusive || placement.params?.exclusive) voices.forEach(applyVoice);
+    else applyVoice(voice);
+    allocateVoices();
+  }
+
+  function removePlacement(id) {
+    const voice = voices.get(id);
+    if (!voice) return;
+    voices.delete(id);
+    stopVoice(voice);
+    updateSilenced();
+    if (voice.placement.params?.exclusive) voices.forEach(applyVoice);
+    allocateVoices();
+  }
+
+  function hasPlacement(id) {
+    return voices.has(id);
+  }
+
+  function getPlacementIds() {
+    return Array.from(voices.keys());
+  }
+
+  // { placements, playing }: how many voices exist and how many hold a running source
+  function getVoiceStats() {
+    let playing = 0;
+    voices.forEach((voice) => {
+      if (voice.src) playing += 1;
+    });
+    return { placements: voices.size, playing };
+  }
+
+  // last computed { gain, pan, position, playing } targets for a placement (null if not running)
+  function getPlacementLevels(id) {
+    const voice = voices.get(id);
+    return voice ? { ...voice.levels, playing: !!voice.src } : null;
+  }
+
+  // a resized grid or new default radius: re-pan and re-level every placement
+  function setGrid(next = {}) {
+    if (next.cols) cols = next.cols;
+    if (next.defaultRadius) defaultRadius = next.defaultRadius;
+    updateSilenced();
+    voices.forEach(applyVoice);
+    allocateVoices();
+  }
+
+  function setListener(pos) {
+    listener = pos ? { x: pos.x, y: pos.y } : null;
+    updateAudioListener();
+    updateSilenced();
+    voices.forEach(applyVoice);
+    allocateVoices();
+  }
+
+  function setSpatialization(nextMode) {
+    if (!SPATIAL_MODES.includes(nextMode) || nextMode === mode) return;
+    mode = nextMode;
+    updateAudioListener();
+    voices.forEach(rewireVoice);
+  }
+
+  function getSpatialization() {
+    return mode;
+  }
+
+  // earLevel: max level difference between ears in dB (null = plain sin(azimuth) pan)
+  function setPanMode(nextMode, earLevel = ild) {
+    if (!PAN_MODES.includes(nextMode)) return;
+    panMode = nextMode;
+    ild = earLevel;
+    voices.forEach(applyVoice);
+  }
+
+  function getPanMode() {
+    return panMode;
+  }
+
+  // cells: [{x,y}] of wall cells that block line-of-sight
+  function setWalls(cells) {
+    walls = new Set((cells || []).map((c) => `${c.x},${c.y}`));
+    voices.forEach(applyVoice);
+    allocateVoices();
+  }
+
+  // zones: [{ id, cells: [{x,y}], preset, wet }]; impulse responses are reused while the preset is unchanged
+  function setReverbZones(zones) {
+    const next = new Map((zones || []).map((z) => [z.id, z]));
+    zoneBuses.forEach((bus, id) => {
+      const zone = next.get(id);
+      if (zone && zone.preset === bus.zone.preset) return;
+      bus.convolver.disconnect();
+      bus.output.disconnect();
+      zoneBuses.delete(id);
+    });
+    next.forEach((zone, id) => {
+      const bus = zoneBuses.get(id);
+      if (bus) {
+        bus.zone = zone;
+        return;
+      }
+      const convolver = ctx.createConvolver();
+      convolver.buffer = createImpulseResponse(ctx, zone.preset);
+      const output = ctx.createGain();
+      output.gain.value = 1;
+      convolver.connect(output);
+      output.connect(master);
+      zoneBuses.set(id, { zone, convolver, output });
+    });
+    voices.forEach((voice) => {
+      connectSends(voice);
+      applyVoice(voice);
+    });
+  }
+
+  // continuous master volume (0 mutes)
+  function setMasterGain(value) {
+    rampParam(volume.gain, Math.max(0, value));
+  }
+
+  function peakOf(analyser) {
+    analyser.getFloatTimeDomainData(meterData);
+    let peak = 0;
+    for (let i = 0; i < meterData.length; i++) peak = Math.max(peak, Math.abs(meterData[i]));
+    return peak;
+  }
+
+  // { level, levelDb, clipping, reduction }: post-limiter peak (0..1 and dBFS), whether the
+  // pre-limiter mix went over full scale, and the limiter's current gain reduction in dB
+  function getMeter() {
+    const level = peakOf(levelMeter);
+    return {
+      level,
+      levelDb: level > 0 ? 20 * Math.log10(level) : -Infinity,
+      clipping: peakOf(clipMeter) >= 1,
+      // older implementations exposed reduction as an AudioParam rather than a number
+      reduction: limiterNode ? Number(limiterNode.reduction?.value ?? limiterNode.reduction) || 0 : 0,
+    };
+  }
+
+  function dispose() {
+    if (disposed) return;
+    disposed = true;
+    voices.forEach(stopVoice);
+    voices.clear();
+    zoneBuses.forEach((bus) => {
+      bus.convolver.disconnect();
+      bus.output.disconnect();
+    });
+    zoneBuses.clear();
+    try {
+      master.disconnect();
+      volume.disconnect();
+      if (limiterNode) limiterNode.disconnect();
+      levelMeter.disconnect();
+    } catch {
+      // already disconnected
+    }
+    // closing a context that is already closed rejects
+    if (ownsContext && ctx.close && ctx.state !== "closed") ctx.close().catch(() => {});
+  }
+
+  return {
+    context: ctx,
+    master,
+    addPlacement,
+    updatePlacement,
+    removePlacement,
+    hasPlacement,
+    getPlacementIds,
+    getPlacementLevels,
+    getVoiceStats,
+    setListener,
+    setGrid,
+    setSpatialization,
+    getSpatialization,
+    setPanMode,
+    getPanMode,
+    setWalls,
+    setReverbZones,
+    setMasterGain,
+    getMeter,
+    dispose,
+  };
+}
@@ -0,0 +1,236 @@
+import { describe, it, expect } from "vitest";
+import { createSoundEngine, computeRolloff, computeGainFromDistance, computeConeGain, computeRelativePan, exclusiveSilenced } from "./SoundEngine";
+
+// Minimal stand-in for a BaseAudioContext: nodes record their connections, and params jump
+// straight to the last value scheduled on them, so a test reads the level a ramp ends at.
+function fakeParam(value) {
+  return {
+    value,
+    cancelScheduledValues() {},
+    setValueAtTime(v) { this.value = v; },
+    linearRampToValueAtTime(v) { this.value = v; },
+  };
+}
+
+function fakeNode(kind, props = {}) {
+  return {
+    kind,
+    ...props,
+    connections: [],
+    connect(node) { this.connections.push(node); return node; },
+    disconnect() { this.connections = []; },
+  };
+}
+
+function fakeSource(kind, props) {
+  return fakeNode(kind, { ...props, started: null, start(when = 0) { this.started = when; }, stop() {} });
+}
+
+const position = () => ({ positionX: fakeParam(0), positionY: fakeParam(0), positionZ: fakeParam(0) });
+
+// the context surface listed in SoundEngine.js's header
+function createFakeContext() {
+  const nodes = [];
+  const track = (node) => {
+    nodes.push(node);
+    return node;
+  };
+  return {
+    nodes,
+    currentTime: 0,
+    sampleRate: 8000,
+    destination: fakeNode("destination"),
+    listener: { ...position(), forwardX: fakeParam(0), forwardY: fakeParam(0), forwardZ: fakeParam(-1), upX: fakeParam(0), upY: fakeParam(1), upZ: fakeParam(0) },
+    createGain: () => track(fakeNode("gain", { gain: fakeParam(1) })),
+    createStereoPanner: () => track(fakeNode("panner", { pan: fakeParam(0) })),
+    createPanner: () => track(fakeNode("hrtf", position())),
+    createBufferSource: () => track(fakeSource("buffer", { buffer: null, loop: false })),
+    createOscillator: () => track(fakeSource("oscillator", { type: "sine", frequency: fakeParam(440) })),
+    createBiquadFilter: () => track(fakeNode("filter", { type: "lowpass", frequency: fakeParam(350), Q: fakeParam(1), gain: fakeParam(0) })),
+    createAnalyser: () => track(fakeNode("analyser", { fftSize: 2048, getFloatTimeDomainData(data) { data.fill(0); } })),
+    createDynamicsCompressor: () =>
+      track(fakeNode("compressor", { threshold: fakeParam(0), knee: fakeParam(0), ratio: fakeParam(1), attack: fakeParam(0), release: fakeParam(0), reduction: 0 })),
+    createConvolver: () => track(fakeNode("convolver", { buffer: null })),
+    createBuffer: (channels, length) => {
+      const data = Array.from({ length: channels }, () => new Float32Array(length));
+      return { numberOfChannels: channels, length, getChannelData: (ch) => data[ch] };
+    },
+    createDelay: () => track(fakeNode("delay", { delayTime: fakeParam(0) })),
+    createWaveShaper: () => track(fakeNode("shaper", { curve: null })),
+  };
+}
+
+// a single placement's gain node and the panner it feeds
+function voiceNodes(ctx) {
+  const panner = ctx.nodes.find((n) => n.kind === "panner");
+  return { gain: ctx.nodes.find((n) => n.kind === "gain" && n.connections.includes(panner)), panner };
+}
+
+describe("computeRolloff", () => {
+  it("runs from 1 at minDistance to 0 at the radius for every model", () => {
+    ["linear", "inverse", "exponential", "logarithmic"].forEach((rolloff) => {
+      expect(computeRolloff(1, 4, { rolloff, minDistance: 1 })).toBeCloseTo(1);
+      expect(computeRolloff(4, 4, { rolloff, minDistance: 1 })).toBeCloseTo(0);
+      expect(computeRolloff(5, 4, { rolloff })).toBe(0);
+    });
+  });
+
+  it("is linear by default and follows custom breakpoints", () => {
+    expect(computeRolloff(1, 4)).toBeCloseTo(0.75);
+    expect(computeRolloff(1, 4, { rolloff: "custom", curve: [[0, 1], [2, 0]] })).toBeCloseTo(0.5);
+  });
+});
+
+describe("computeGainFromDistance", () => {
+  it("scales the rolloff by the volume and keeps the floor level", () => {
+    expect(computeGainFromDistance(0, 4, 0.5)).toBeCloseTo(0.5);
+    expect(computeGainFromDistance(2, 4)).toBeCloseTo(0.5);
+    expect(computeGainFromDistance(5, 4)).toBe(0);
+    expect(computeGainFromDistance(10, 4, 1, { floor: 0.2 })).toBeCloseTo(0.2);
+  });
+});
+
+describe("computeConeGain", () => {
+  const cone = { direction: 90, angularRange: 90, coneOuter: 180, coneOuterGain: 0.1 };
+
+  it("is full level inside the inner cone and coneOuterGain behind the source", () => {
+    expect(computeConeGain({ x: 0, y: 0 }, { x: 3, y: 0 }, cone)).toBe(1);
+    expect(computeConeGain({ x: 0, y: 0 }, { x: -3, y: 0 }, cone)).toBeCloseTo(0.1);
+  });
+
+  it("is omnidirectional at 360 degrees", () => {
+    expect(computeConeGain({ x: 0, y: 0 }, { x: -3, y: 0 }, { angularRange: 360 })).toBe(1);
+  });
+});
+
+describe("computeRelativePan", () => {
+  it("pans by the listener's view of the cell", () => {
+    expect(computeRelativePan({ x: 0, y: 0 }, { x: 2, y: 0 })).toBeCloseTo(1);
+    expect(computeRelativePan({ x: 0, y: 0 }, { x: -2, y: 0 })).toBeCloseTo(-1);
+    expect(computeRelativePan({ x: 0, y: 0 }, { x: 0, y: -3 })).toBeCloseTo(0);
+    expect(computeRelativePan({ x: 1, y: 1 }, { x: 1, y: 1 })).toBe(0);
+  });
+
+  it("caps the ear level difference", () => {
+    const pan = computeRelativePan({ x: 0, y: 0 }, { x: 2, y: 0 }, 6);
+    expect(pan).toBeGreaterThan(0);
+    expect(pan).toBeLessThan(1);
+  });
+});
+
+describe("exclusiveSilenced", () => {
+  const street = { id: "street", cells: [{ x: 0, y: 0 }, { x: 1, y: 0 }], params: {} };
+  const cafe = { id: "cafe", cells: [{ x: 1, y: 0 }], params: { layer: 1, exclusive: true } };
+  const radio = { id: "radio", cells: [{ x: 1, y: 0 }], params: { layer: 2 } };
+
+  it("silences lower layers only on the exclusive placement's cells", () => {
+    expect([...exclusiveSilenced([street, cafe, radio], { x: 1, y: 0 })]).toEqual(["street"]);
+    expect(exclusiveSilenced([street, cafe, radio], { x: 0, y: 0 }).size).toBe(0);
+    expect(exclusiveSilenced([street, cafe], null).size).toBe(0);
+  });
+
+  it("leaves stacks without an exclusive placement alone", () => {
+    expect(exclusiveSilenced([street, radio], { x: 1, y: 0 }).size).toBe(0);
+  });
+});
+
+describe("createSoundEngine on a fake context", () => {
+  const placement = { id: "a", cells: [{ x: 0, y: 0 }], params: { radius: 4 } };
+
+  it("starts a placement silent and panned by its column", () => {
+    const ctx = createFakeContext();
+    const engine = createSoundEngine({ context: ctx, cols: 5 });
+    engine.addPlacement(placement, { freq: 220 });
+    const src = ctx.nodes.find((n) => n.kind === "oscillator");
+    const { gain, panner } = voiceNodes(ctx);
+    expect(src.started).toBe(0);
+    expect(gain.gain.value).toBe(0);
+    expect(panner.pan.value).toBe(-1);
+  });
+
+  it("sets gain and pan from the listener position", () => {
+    const ctx = createFakeContext();
+    const engine = createSoundEngine({ context: ctx, cols: 5 });
+    engine.addPlacement({ ...placement, cells: [{ x: 4, y: 0 }] }, { buffer: {} });
+    const { gain, panner } = voiceNodes(ctx);
+
+    engine.setListener({ x: 2, y: 0 });
+    expect(gain.gain.value).toBeCloseTo(0.5);
+    expect(panner.pan.value).toBe(1);
+    expect(engine.getPlacementLevels("a")).toMatchObject({ gain: gain.gain.value, pan: 1 });
+
+    engine.setListener({ x: 0, y: 0 });
+    expect(gain.gain.value).toBe(0);
+    engine.setListener(null);
+    expect(gain.gain.value).toBe(0);
+  });
+
+  it("pans relative to the listener in relative pan mode", () => {
+    const ctx = createFakeContext();
+    const engine = createSoundEngine({ context: ctx, cols: 5, panMode: "relative" });
+    engine.addPlacement({ ...placement, cells: [{ x: 2, y: 0 }] }, { freq: 220 });
+    const { panner } = voiceNodes(ctx);
+
+    engine.setListener({ x: 0, y: 0 });
+    expect(panner.pan.value).toBeCloseTo(1);
+    engine.setListener({ x: 4, y: 0 });
+    expect(panner.pan.value).toBeCloseTo(-1);
+  });
+
+  it("applies updated params and stops removed placements", () => {
+    const ctx = createFakeContext();
+    const engine = createSoundEngine({ context: ctx, cols: 5 });
+    engine.addPlacement(placement, { freq: 220 });
+    const { gain } = voiceNodes(ctx);
+    engine.setListener({ x: 0, y: 0 });
+    expect(gain.gain.value).toBe(1);
+
+    engine.updatePlacement({ ...placement, params: { radius: 4, volume: 0.25 } });
+    expect(gain.gain.value).toBeCloseTo(0.25);
+
+    engine.removePlacement("a");
+    expect(gain.gain.value).toBe(0);
+    expect(engine.hasPlacement("a")).toBe(false);
+  });
+
+  it("mutes a lower layer while the listener stands on an exclusive placement", () => {
+    const engine = createSoundEngine({ context: createFakeContext(), cols: 5 });
+    engine.addPlacement({ id: "street", cells: [{ x: 0, y: 0 }, { x: 1, y: 0 }], params: { radius: 4 } }, { freq: 220 });
+    engine.addPlacement({ id: "cafe", cells: [{ x: 1, y: 0 }], params: { radius: 4, layer: 1, exclusive: true } }, { freq: 330 });
+
+    engine.setListener({ x: 1, y: 0 });
+    expect(engine.getPlacementLevels("street").gain).toBe(0);
+    expect(engine.getPlacementLevels("cafe").gain).toBe(1);
+    engine.setListener({ x: 0, y: 0 });
+    expect(engine.getPlacementLevels("street").gain).toBe(1);
+
+    engine.setListener({ x: 1, y: 0 });
+    engine.removePlacement("cafe");
+    expect(engine.getPlacementLevels("street").gain).toBe(1);
+  });
+
+  it("fades a retriggered one-shot out on its own envelope while the new one starts at full level", () => {
+    const ctx = createFakeContext();
+    const engine = createSoundEngine({ context: ctx, cols: 5 });
+    engine.addPlacement({ ...placement, params: { radius: 2, proximityTriggers: true, triggerCooldown: 0 } }, { freq: 220 });
+    const envelopeOf = (src) => src.connections[0];
+
+    engine.setListener({ x: 0, y: 0 });
+    engine.setListener({ x: 3, y: 0 });
+    engine.setListener({ x: 1, y: 0 });
+    const [first, second] = ctx.nodes.filter((n) => n.kind === "oscillator");
+    expect(envelopeOf(first)).not.toBe(envelopeOf(second));
+    expect(envelopeOf(first).gain.value).toBe(0);
+    expect(envelopeOf(second).gain.value).toBe(1);
+    expect(engine.getPlacementLevels("a").playing).toBe(true);
+  });
+
+  it("leaves panning centred when it is off", () => {
+    const ctx = createFakeContext();
+    const engine = createSoundEngine({ context: ctx, cols: 5, panning: false });
+    engine.addPlacement(placement, { freq: 220 });
+    engine.setListener({ x: 0, y: 0 });
+    expect(ctx.nodes.some((n) => n.kind === "panner")).toBe(false);
+    expect(engine.getPlacementLevels("a")).toMatchObject({ gain: 1, pan: 0 });
+  });
+});
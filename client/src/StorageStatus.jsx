@@ -0,0 +1,20 @@
+// --- StorageStatus: browser storage usage and persistence errors ---
+import { formatBytes } from "./AudioStore";
+
+export default function StorageStatus({ usage, error, onDismiss }) {
+  return (
+    <div className="text-xs">
+      {usage && (
+        <div className="text-gray-500">
+          Storage: {formatBytes(usage.usage)} used{usage.quota ? ` of ${formatBytes(usage.quota)}` : ""}
+        </div>
+      )}
+      {error && (
+        <div role="alert" className="mt-1 p-2 border border-red-300 bg-red-50 text-red-700 rounded flex gap-2 items-start">
+          <div className="flex-1">{error}</div>
+          <button className="px-1 border rounded" onClick={onDismiss}>Dismiss</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+// --- UrbanScene: route element that opens the urban grid on the scene named in the URL (or in a scene link) ---
+import React from "react";
+import { Link, useParams } from "react-router";
+import GridUrbanAdvanced from "./GridUrbanAdvanced";
+import { DEFAULT_SCENE_ID, getScene, scenePath } from "./Scenes";
+import useSharedScene from "./useSharedScene";
+
+export default function UrbanScene() {
+  const { sceneId = DEFAULT_SCENE_ID } = useParams();
+  const shared = useSharedScene("urban");
+
+  if (shared && shared.error) {
+    return (
+      <div className="p-4 pt-20 font-sans">
+        <p role="alert" className="mb-2">{shared.error}.</p>
+        <Link to={scenePath(DEFAULT_SCENE_ID)} className="underline">Open the default scene</Link>
+      </div>
+    );
+  }
+  if (shared) {
+    return <GridUrbanAdvanced key={`shared-${shared.code}-${shared.editable}`} shared={shared} />;
+  }
+
+  if (!getScene(sceneId)) {
+    return (
+      <div className="p-4 pt-20 font-sans">
+        <p role="alert" className="mb-2">This scene does not exist (it may have been deleted).</p>
+        <Link to={scenePath(DEFAULT_SCENE_ID)} className="underline">Open the default scene</Link>
+      </div>
+    );
+  }
+
+  // a fresh grid per scene: its state, engine and caches are all read once on mount
+  return <GridUrbanAdvanced key={sceneId} sceneId={sceneId} />;
+}
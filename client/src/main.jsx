@@ -4,9 +4,9 @@ import './index.css'
 import App from './App.jsx'
 import { BrowserRouter as Router, Routes, Route } from "react-router"
 import Layout from './Layout.jsx'
-import GridNote from './GridNote.jsx'
+import NoteScene from './NoteScene.jsx'
 import GridUrban from './GridUrban.jsx'
-import GridUrbanAdvanced from './GridUrbanAdvanced.jsx'
+import UrbanScene from './UrbanScene.jsx'
 
 const allLinks = [
             { to: "/sound-garden/notes", label: "Notes Grid" },
@@ -18,8 +18,9 @@ createRoot(document.getElementById('root')).render(
     <Router>
       <Routes>
         <Route path="/sound-garden" element={<Layout children={<App/>} links={allLinks} />} />
-        <Route path="/sound-garden/notes" element={<Layout children={<GridNote/>} links={allLinks} />} />
-        <Route path="/sound-garden/urban" element={<Layout children={<GridUrbanAdvanced/>} links={allLinks} />} />
+        <Route path="/sound-garden/notes" element={<Layout children={<NoteScene/>} links={allLinks} />} />
+        <Route path="/sound-garden/urban" element={<Layout children={<UrbanScene/>} links={allLinks} />} />
+        <Route path="/sound-garden/urban/:sceneId" element={<Layout children={<UrbanScene/>} links={allLinks} />} />
       </Routes>
     </Router>
   </StrictMode>,
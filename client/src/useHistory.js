@@ -0,0 +1,34 @@
+// useHistory.js
+import { useCallback, useState } from "react";
+import { createHistory } from "./History";
+
+// undo/redo stack for one grid plus the confirmation to announce after each step:
+// { record(command), undo(), redo(), canUndo, canRedo, undoLabel, redoLabel, announcement }
+export default function useHistory() {
+  const [, setVersion] = useState(0);
+  const [announcement, setAnnouncement] = useState("");
+  const [history] = useState(() => createHistory({ onChange: () => setVersion((v) => v + 1) }));
+
+  const record = useCallback((command) => history.record(command), [history]);
+
+  const undo = useCallback(() => {
+    const command = history.undo();
+    setAnnouncement(command ? `Undid ${command.label}` : "Nothing to undo");
+  }, [history]);
+
+  const redo = useCallback(() => {
+    const command = history.redo();
+    setAnnouncement(command ? `Redid ${command.label}` : "Nothing to redo");
+  }, [history]);
+
+  return {
+    record,
+    undo,
+    redo,
+    canUndo: history.canUndo(),
+    canRedo: history.canRedo(),
+    undoLabel: history.nextUndo()?.label || null,
+    redoLabel: history.nextRedo()?.label || null,
+    announcement,
+  };
+}
@@ -0,0 +1,39 @@
+// useMasterVolume.js
+import { useCallback, useEffect, useState } from "react";
+
+// shared by every grid mode so the listener's level follows them around
+export const MASTER_VOLUME_KEY = "ss_master_volume";
+export const MASTER_VOLUME_STEP = 0.05;
+
+const clampVolume = (v) => Math.max(0, Math.min(1, v));
+
+function loadVolume() {
+  try {
+    const raw = localStorage.getItem(MASTER_VOLUME_KEY);
+    const v = raw === null ? NaN : parseFloat(raw);
+    return Number.isFinite(v) ? clampVolume(v) : 0.8;
+  } catch {
+    return 0.8;
+  }
+}
+
+// returns [volume (0..1), setVolume, nudge(direction)] where nudge steps by MASTER_VOLUME_STEP
+export default function useMasterVolume() {
+  const [volume, setVolumeState] = useState(loadVolume);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(MASTER_VOLUME_KEY, String(volume));
+    } catch (e) {
+      console.error("Failed to persist master volume:", e);
+    }
+  }, [volume]);
+
+  const setVolume = useCallback((v) => setVolumeState(clampVolume(v)), []);
+  const nudge = useCallback(
+    (direction) => setVolumeState((v) => clampVolume(Math.round((v + direction * MASTER_VOLUME_STEP) * 100) / 100)),
+    []
+  );
+
+  return [volume, setVolume, nudge];
+}
@@ -0,0 +1,19 @@
+// useSharedScene.js
+import { useMemo } from "react";
+import { useLocation } from "react-router";
+import { readShareHash, decodeShare } from "./ShareLink";
+
+// the scene carried by the current URL hash for one grid kind: null when there is none,
+// otherwise { code, editable, state, rejected, error } (error set and state null if it is unreadable)
+export default function useSharedScene(kind) {
+  const { hash } = useLocation();
+  return useMemo(() => {
+    const share = readShareHash(hash);
+    if (!share) return null;
+    try {
+      return { ...share, ...decodeShare(kind, share.code), error: null };
+    } catch (e) {
+      return { ...share, state: null, rejected: 0, error: e.message };
+    }
+  }, [kind, hash]);
+}
@@ -0,0 +1,46 @@
+// useStorageStatus.js
+import { useCallback, useEffect, useState } from "react";
+import { estimateStorage, isQuotaError } from "./AudioStore";
+
+// storage usage plus the last persistence failure, so grids can report quota problems
+// instead of silently dropping data
+export default function useStorageStatus() {
+  const [usage, setUsage] = useState(null); // { usage, quota } in bytes, or null if unknown
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(() => {
+    estimateStorage().then(setUsage);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // what: short phrase completing "could not ..." (e.g. "save the library")
+  const report = useCallback((e, what) => {
+    console.error(`Failed to ${what}:`, e);
+    setError(
+      isQuotaError(e)
+        ? `Browser storage is full, so we could not ${what}. Delete unused uploads to free space.`
+        : `Could not ${what}: ${e && e.message ? e.message : e}`
+    );
+  }, []);
+
+  // JSON into localStorage; returns false (and reports) on failure
+  const saveLocal = useCallback((key, value, what) => {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (e) {
+      report(e, what);
+      return false;
+    }
+  }, [report]);
+
+  // show a message that is not tied to a failed write (e.g. data was migrated or set aside)
+  const notify = useCallback((message) => setError(message), []);
+
+  const dismiss = useCallback(() => setError(null), []);
+
+  return { usage, error, refresh, report, saveLocal, notify, dismiss };
+}